@@ -2,6 +2,14 @@ const app = require('./src/app.js');
 const config = require('./src/config/config.js');
 const database = require('./src/config/database.js');
 const sessionManager = require('./src/services/sessionManager.js');
+const webhookService = require('./src/services/webhookService.js');
+const eventStreamService = require('./src/services/eventStreamService.js');
+const presenceService = require('./src/services/presenceService.js');
+const mediaService = require('./src/services/mediaService.js');
+const outboundQueueService = require('./src/services/outboundQueueService.js');
+const schedulerService = require('./src/services/schedulerService.js');
+const exportService = require('./src/services/exportService.js');
+const idempotencyService = require('./src/services/idempotencyService.js');
 
 // Global server variable
 let server;
@@ -21,6 +29,14 @@ process.on('unhandledRejection', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    webhookService.stopWorker();
+    outboundQueueService.stopWorker();
+    schedulerService.stop();
+    eventStreamService.close();
+    presenceService.stopCleanup();
+    mediaService.stopCleanup();
+    exportService.stop();
+    idempotencyService.stopCleanup();
 
     if (server) {
         server.close(() => {
@@ -34,6 +50,14 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received. Shutting down gracefully...');
+    webhookService.stopWorker();
+    outboundQueueService.stopWorker();
+    schedulerService.stop();
+    eventStreamService.close();
+    presenceService.stopCleanup();
+    mediaService.stopCleanup();
+    exportService.stop();
+    idempotencyService.stopCleanup();
 
     if (server) {
         server.close(() => {
@@ -53,9 +77,30 @@ async function startServer() {
         // Connect to database
         await database.connect();
 
+        // Resume pending webhook deliveries
+        await webhookService.startWorker();
+
+        // Expire presence state and prune presence history
+        presenceService.startCleanup();
+
+        // Delete expired media files
+        mediaService.startCleanup();
+
+        // Delete expired idempotency keys
+        idempotencyService.startCleanup();
+
         // Initialize all saved sessions
         await sessionManager.initializeAllSessions();
 
+        // Resume queued outbound messages
+        await outboundQueueService.startWorker();
+
+        // Resume scheduled messages
+        await schedulerService.start();
+
+        // Resume export jobs and delete expired export files
+        await exportService.start();
+
         // Start Express server
         server = app.listen(config.port, () => {
             console.log(`✅ Server is running on port ${config.port}`);
@@ -67,6 +112,9 @@ async function startServer() {
             console.log('========================================\n');
         });
 
+        // WebSocket event stream shares the HTTP server
+        eventStreamService.attach(server);
+
         return server;
     } catch (error) {
         console.error('❌ Failed to start server:', error);
@@ -22,6 +22,17 @@ const eventRoutes = require('./routes/eventRoutes.js');
 const labelRoutes = require('./routes/labelRoutes.js');
 const observabilityRoutes = require('./routes/observabilityRoutes.js');
 const chatRoutes = require('./routes/chatRoutes.js');
+const streamRoutes = require('./routes/streamRoutes.js');
+const mediaRoutes = require('./routes/mediaRoutes.js');
+const queueRoutes = require('./routes/queueRoutes.js');
+const scheduledRoutes = require('./routes/scheduledRoutes.js');
+const campaignRoutes = require('./routes/campaignRoutes.js');
+const templateRoutes = require('./routes/templateRoutes.js');
+const optOutRoutes = require('./routes/optOutRoutes.js');
+const ruleRoutes = require('./routes/ruleRoutes.js');
+const callRoutes = require('./routes/callRoutes.js');
+const exportRoutes = require('./routes/exportRoutes.js');
+const pollRoutes = require('./routes/pollRoutes.js');
 
 // Create Express app
 const app = express();
@@ -64,6 +75,17 @@ app.use('/api/events', eventRoutes);
 app.use('/api/labels', labelRoutes);
 app.use('/api/observability', observabilityRoutes);
 app.use('/api/chats', chatRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/scheduled', scheduledRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/optout', optOutRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/calls', callRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/polls', pollRoutes);
 
 // 404 handler
 app.use((req, res) => {
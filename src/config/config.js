@@ -7,6 +7,28 @@ module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 3000,
   apiKey: process.env.API_KEY || 'default-api-key',
+
+  auth: {
+    // Accepted authentication methods: apiKey (X-API-Key header), jwt (Authorization: Bearer)
+    methods: (process.env.AUTH_METHODS || 'apiKey').split(',').map(method => method.trim()),
+    apiKeyPrefix: process.env.API_KEY_PREFIX || 'wagw',
+    apiKeyCacheTtl: parseInt(process.env.API_KEY_CACHE_TTL) || 60000, // 1 minute
+
+    jwt: {
+      algorithm: process.env.JWT_ALGORITHM || 'HS256', // HS256 or RS256
+      secret: process.env.JWT_SECRET,
+      jwksFile: process.env.JWT_JWKS_FILE,
+      audience: process.env.JWT_AUDIENCE,
+      issuer: process.env.JWT_ISSUER,
+      clockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE) || 30, // seconds
+      defaultScopes: (process.env.JWT_DEFAULT_SCOPES || '').split(',').filter(Boolean),
+      claims: {
+        instances: process.env.JWT_INSTANCES_CLAIM || 'instances',
+        scopes: process.env.JWT_SCOPES_CLAIM || 'scope',
+        tenant: process.env.JWT_TENANT_CLAIM || 'tenant_id'
+      }
+    }
+  },
   
   database: {
     url: process.env.DATABASE_URL
@@ -18,6 +40,95 @@ module.exports = {
     sessionPath: process.env.SESSION_PATH || './sessions'
   },
   
+  webhook: {
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // 10 seconds
+    maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 5000, // 5 seconds
+    retryMaxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 60 * 60 * 1000, // 1 hour
+    workerInterval: parseInt(process.env.WEBHOOK_WORKER_INTERVAL) || 5000,
+    workerBatchSize: parseInt(process.env.WEBHOOK_WORKER_BATCH_SIZE) || 20,
+    secretRotationGracePeriod: parseInt(process.env.WEBHOOK_SECRET_GRACE_PERIOD) || 24 * 60 * 60 // seconds
+  },
+  
+  queue: {
+    workerInterval: parseInt(process.env.QUEUE_WORKER_INTERVAL) || 1000,
+    ratePerMinute: parseInt(process.env.QUEUE_RATE_PER_MINUTE) || 20, // per instance
+    jitter: process.env.QUEUE_JITTER ? parseInt(process.env.QUEUE_JITTER) : 2000, // random extra delay in ms
+    dailyCap: parseInt(process.env.QUEUE_DAILY_CAP) || 0, // messages per instance per day, 0 = unlimited
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3
+  },
+  
+  scheduler: {
+    interval: parseInt(process.env.SCHEDULER_INTERVAL) || 5000,
+    timezone: process.env.SCHEDULER_TIMEZONE || 'UTC' // default timezone of cron recurrences
+  },
+  
+  optOut: {
+    // Incoming messages that equal one of the keywords (case-insensitive) unsubscribe the sender
+    keywords: (process.env.OPT_OUT_KEYWORDS || 'STOP,BERHENTI,UNSUBSCRIBE')
+      .split(',')
+      .map(keyword => keyword.trim())
+      .filter(Boolean),
+    reply: process.env.OPT_OUT_REPLY ?? 'You have been unsubscribed and will not receive further messages.' // empty disables the reply
+  },
+  
+  calls: {
+    // Defaults of instances that reject calls, overridable via /api/calls/:instanceId/settings
+    rejectMessage: process.env.CALL_REJECT_MESSAGE ?? "We don't take calls, please send us a message instead.", // empty disables the reply
+    replyCooldown: process.env.CALL_REJECT_COOLDOWN ? parseInt(process.env.CALL_REJECT_COOLDOWN) : 3600 // seconds between replies to the same caller
+  },
+  
+  inbox: {
+    slaSeconds: process.env.INBOX_SLA_SECONDS ? parseInt(process.env.INBOX_SLA_SECONDS) : 3600 // first reply target, 0 disables slaBreached
+  },
+  
+  exports: {
+    path: process.env.EXPORT_PATH || './exports', // files of async export jobs
+    ttlHours: parseInt(process.env.EXPORT_TTL_HOURS) || 24, // hours a finished export can be downloaded
+    cleanupInterval: 60 * 60 * 1000 // 1 hour
+  },
+  
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24, // hours a send response is replayed for its Idempotency-Key
+    processingTimeout: (parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT) || 300) * 1000, // a request that never answered frees its key after this (5 minutes)
+    cleanupInterval: 60 * 60 * 1000 // 1 hour
+  },
+  
+  media: {
+    download: process.env.MEDIA_DOWNLOAD !== 'false',
+    driver: process.env.MEDIA_STORAGE_DRIVER || 'local', // local, s3
+    baseUrl: (process.env.MEDIA_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
+    maxSize: parseInt(process.env.MEDIA_MAX_SIZE) || 64 * 1024 * 1024, // 64 MB
+    ttlDays: process.env.MEDIA_TTL_DAYS ? parseInt(process.env.MEDIA_TTL_DAYS) : 30, // 0 keeps media forever
+    cleanupInterval: 60 * 60 * 1000, // 1 hour
+    local: {
+      path: process.env.MEDIA_LOCAL_PATH || './media'
+    },
+    s3: {
+      endpoint: process.env.MEDIA_S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      region: process.env.MEDIA_S3_REGION || 'us-east-1',
+      bucket: process.env.MEDIA_S3_BUCKET,
+      prefix: process.env.MEDIA_S3_PREFIX || '',
+      accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.MEDIA_S3_FORCE_PATH_STYLE === 'true'
+    }
+  },
+  
+  presence: {
+    ttl: parseInt(process.env.PRESENCE_TTL) || 10 * 60 * 1000, // 10 minutes
+    history: process.env.PRESENCE_HISTORY === 'true',
+    historyRetentionDays: parseInt(process.env.PRESENCE_HISTORY_RETENTION_DAYS) || 30,
+    cleanupInterval: 60 * 1000
+  },
+  
+  stream: {
+    wsPath: '/api/stream/ws',
+    heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL) || 30000,
+    sseRetry: parseInt(process.env.STREAM_SSE_RETRY) || 5000, // client reconnect delay
+    maxClients: parseInt(process.env.STREAM_MAX_CLIENTS) || 1000
+  },
+  
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: true
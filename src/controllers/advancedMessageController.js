@@ -1,5 +1,65 @@
 const whatsappService = require('../services/whatsappService');
 const database = require('../config/database');
+const outboundQueueService = require('../services/outboundQueueService');
+const messageBuilder = require('../services/messageBuilder');
+const schedulerService = require('../services/schedulerService');
+const pollService = require('../services/pollService');
+
+// Put a message on the outbound queue instead of sending it (request body async: true)
+async function queueMessage(res, instanceId, type, jid, content, context) {
+    // Queued messages wait for the instance to connect, it only has to exist
+    const instance = await database.getInstance().instance.findUnique({
+        where: { id: instanceId },
+        select: { id: true },
+    });
+
+    if (!instance) {
+        return res.status(404).json({
+            success: false,
+            error: 'Instance not found',
+        });
+    }
+
+    const job = await outboundQueueService.enqueue(instanceId, type, [{ to: jid, content, context }]);
+
+    return res.status(202).json({
+        success: true,
+        data: {
+            jobId: job.id,
+            status: job.status,
+        },
+        message: 'Message queued',
+    });
+}
+
+// Schedule a message instead of sending it (request body sendAt and/or recurrence)
+async function scheduleMessage(res, instanceId, type, body) {
+    const { to, sendAt, recurrence, timezone, ...payload } = body;
+    delete payload.instanceId;
+    delete payload.async;
+
+    try {
+        const scheduled = await schedulerService.create(instanceId, { type, to, payload, sendAt, recurrence, timezone });
+
+        return res.status(201).json({
+            success: true,
+            data: {
+                scheduledMessageId: scheduled.id,
+                sendAt: scheduled.sendAt,
+                recurrence: scheduled.recurrence,
+                status: scheduled.status,
+            },
+            message: 'Message scheduled',
+        });
+    } catch (error) {
+        if (!error.status) throw error;
+
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
 
 class AdvancedMessageController {
     // ============= BASIC MESSAGING =============
@@ -7,7 +67,7 @@ class AdvancedMessageController {
     // Send text message
     async sendText(req, res) {
         try {
-            const { instanceId, to, message, quotedMessageId } = req.body;
+            const { instanceId, to, message } = req.body;
 
             if (!instanceId || !to || !message) {
                 return res.status(400).json({
@@ -16,6 +76,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'text', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const messageOptions = messageBuilder.build('text', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'text', jid, messageOptions, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -24,15 +95,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-            const messageOptions = { text: message };
-
-            // Add quoted message if provided
-            if (quotedMessageId) {
-                messageOptions.quoted = { key: { id: quotedMessageId } };
-            }
-
-            const result = await instance.socket.sendMessage(jid, messageOptions);
+            const result = await instance.socket.sendMessage(jid, messageOptions, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -55,7 +118,7 @@ class AdvancedMessageController {
     // Send image
     async sendImage(req, res) {
         try {
-            const { instanceId, to, imageUrl, imageBase64, caption, viewOnce } = req.body;
+            const { instanceId, to, imageUrl, imageBase64 } = req.body;
 
             if (!instanceId || !to || (!imageUrl && !imageBase64)) {
                 return res.status(400).json({
@@ -64,6 +127,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'image', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const messageOptions = messageBuilder.build('image', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'image', jid, messageOptions, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -72,20 +146,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-            const messageOptions = {
-                caption: caption || '',
-                viewOnce: viewOnce || false,
-            };
-
-            if (imageBase64) {
-                const base64Data = imageBase64.replace(/^data:image\/\w+;base64,/, '');
-                messageOptions.image = Buffer.from(base64Data, 'base64');
-            } else if (imageUrl) {
-                messageOptions.image = { url: imageUrl };
-            }
-
-            const result = await instance.socket.sendMessage(jid, messageOptions);
+            const result = await instance.socket.sendMessage(jid, messageOptions, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -108,7 +169,7 @@ class AdvancedMessageController {
     // Send file/document
     async sendFile(req, res) {
         try {
-            const { instanceId, to, fileUrl, fileBase64, fileName, mimetype, caption } = req.body;
+            const { instanceId, to, fileUrl, fileBase64 } = req.body;
 
             if (!instanceId || !to || (!fileUrl && !fileBase64)) {
                 return res.status(400).json({
@@ -117,6 +178,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'file', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const messageOptions = messageBuilder.build('file', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'file', jid, messageOptions, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -125,21 +197,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-            const messageOptions = {
-                fileName: fileName || 'document',
-                mimetype: mimetype || 'application/octet-stream',
-                caption: caption || '',
-            };
-
-            if (fileBase64) {
-                const base64Data = fileBase64.replace(/^data:.*;base64,/, '');
-                messageOptions.document = Buffer.from(base64Data, 'base64');
-            } else if (fileUrl) {
-                messageOptions.document = { url: fileUrl };
-            }
-
-            const result = await instance.socket.sendMessage(jid, messageOptions);
+            const result = await instance.socket.sendMessage(jid, messageOptions, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -162,7 +220,7 @@ class AdvancedMessageController {
     // Send voice/audio
     async sendVoice(req, res) {
         try {
-            const { instanceId, to, audioUrl, audioBase64, ptt = true } = req.body;
+            const { instanceId, to, audioUrl, audioBase64 } = req.body;
 
             if (!instanceId || !to || (!audioUrl && !audioBase64)) {
                 return res.status(400).json({
@@ -171,6 +229,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'voice', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const messageOptions = messageBuilder.build('voice', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'voice', jid, messageOptions, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -179,20 +248,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-            const messageOptions = {
-                ptt: ptt, // Push to talk (voice note)
-                mimetype: 'audio/ogg; codecs=opus',
-            };
-
-            if (audioBase64) {
-                const base64Data = audioBase64.replace(/^data:audio\/\w+;base64,/, '');
-                messageOptions.audio = Buffer.from(base64Data, 'base64');
-            } else if (audioUrl) {
-                messageOptions.audio = { url: audioUrl };
-            }
-
-            const result = await instance.socket.sendMessage(jid, messageOptions);
+            const result = await instance.socket.sendMessage(jid, messageOptions, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -215,7 +271,7 @@ class AdvancedMessageController {
     // Send video
     async sendVideo(req, res) {
         try {
-            const { instanceId, to, videoUrl, videoBase64, caption, gifPlayback = false } = req.body;
+            const { instanceId, to, videoUrl, videoBase64 } = req.body;
 
             if (!instanceId || !to || (!videoUrl && !videoBase64)) {
                 return res.status(400).json({
@@ -224,6 +280,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'video', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const messageOptions = messageBuilder.build('video', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'video', jid, messageOptions, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -232,20 +299,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-            const messageOptions = {
-                caption: caption || '',
-                gifPlayback: gifPlayback,
-            };
-
-            if (videoBase64) {
-                const base64Data = videoBase64.replace(/^data:video\/\w+;base64,/, '');
-                messageOptions.video = Buffer.from(base64Data, 'base64');
-            } else if (videoUrl) {
-                messageOptions.video = { url: videoUrl };
-            }
-
-            const result = await instance.socket.sendMessage(jid, messageOptions);
+            const result = await instance.socket.sendMessage(jid, messageOptions, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -268,7 +322,7 @@ class AdvancedMessageController {
     // Send link with custom preview
     async sendLinkPreview(req, res) {
         try {
-            const { instanceId, to, text, url, title, description, thumbnailUrl } = req.body;
+            const { instanceId, to, text, url, title } = req.body;
 
             if (!instanceId || !to || !text) {
                 return res.status(400).json({
@@ -277,6 +331,19 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'link-preview', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+
+            // Without custom preview data the preview is auto-generated
+            const messageOptions = messageBuilder.build('link-preview', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'link-preview', jid, messageOptions, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -285,45 +352,17 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-
-            // If custom preview data is provided
-            if (url && title) {
-                const messageOptions = {
-                    text: text,
-                    linkPreview: {
-                        url: url,
-                        title: title,
-                        description: description || '',
-                        thumbnailUrl: thumbnailUrl || null,
-                    },
-                };
+            const result = await instance.socket.sendMessage(jid, messageOptions, { context: req.sendContext });
 
-                const result = await instance.socket.sendMessage(jid, messageOptions);
-
-                res.json({
-                    success: true,
-                    data: {
-                        messageId: result.key.id,
-                        status: result.status,
-                        timestamp: result.messageTimestamp,
-                    },
-                    message: 'Link with preview sent successfully',
-                });
-            } else {
-                // Auto-generate preview
-                const result = await instance.socket.sendMessage(jid, { text: text });
-
-                res.json({
-                    success: true,
-                    data: {
-                        messageId: result.key.id,
-                        status: result.status,
-                        timestamp: result.messageTimestamp,
-                    },
-                    message: 'Link sent successfully',
-                });
-            }
+            res.json({
+                success: true,
+                data: {
+                    messageId: result.key.id,
+                    status: result.status,
+                    timestamp: result.messageTimestamp,
+                },
+                message: url && title ? 'Link with preview sent successfully' : 'Link sent successfully',
+            });
         } catch (error) {
             console.error('Error sending link preview:', error);
             res.status(500).json({
@@ -338,7 +377,7 @@ class AdvancedMessageController {
     // Send poll
     async sendPoll(req, res) {
         try {
-            const { instanceId, to, question, options, multipleAnswers = false, toAnnouncementGroup = false } = req.body;
+            const { instanceId, to, question, options } = req.body;
 
             if (!instanceId || !to || !question || !options || !Array.isArray(options)) {
                 return res.status(400).json({
@@ -347,6 +386,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'poll', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const pollMessage = messageBuilder.build('poll', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'poll', jid, pollMessage, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -355,18 +405,10 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
+            const result = await instance.socket.sendMessage(jid, pollMessage, { context: req.sendContext });
 
-            const pollMessage = {
-                poll: {
-                    name: question,
-                    values: options,
-                    selectableCount: multipleAnswers ? options.length : 1,
-                    toAnnouncementGroup: toAnnouncementGroup ? true : false,
-                },
-            };
-
-            const result = await instance.socket.sendMessage(jid, pollMessage);
+            // Stored right away, so that the results can be read before the first vote
+            await pollService.recordPoll(instanceId, result, instance.socket);
 
             res.json({
                 success: true,
@@ -387,7 +429,7 @@ class AdvancedMessageController {
     // Send location
     async sendLocation(req, res) {
         try {
-            const { instanceId, to, latitude, longitude, name, address } = req.body;
+            const { instanceId, to, latitude, longitude } = req.body;
 
             if (!instanceId || !to || latitude === undefined || longitude === undefined) {
                 return res.status(400).json({
@@ -396,6 +438,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'location', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const locationMessage = messageBuilder.build('location', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'location', jid, locationMessage, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -404,18 +457,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-
-            const locationMessage = {
-                location: {
-                    degreesLatitude: latitude,
-                    degreesLongitude: longitude,
-                    name: name || '',
-                    address: address || '',
-                },
-            };
-
-            const result = await instance.socket.sendMessage(jid, locationMessage);
+            const result = await instance.socket.sendMessage(jid, locationMessage, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -438,7 +480,7 @@ class AdvancedMessageController {
     // Send contact vCard
     async sendContact(req, res) {
         try {
-            const { instanceId, to, contactName, contactNumber, organization } = req.body;
+            const { instanceId, to, contactName, contactNumber } = req.body;
 
             if (!instanceId || !to || !contactName || !contactNumber) {
                 return res.status(400).json({
@@ -447,6 +489,17 @@ class AdvancedMessageController {
                 });
             }
 
+            if (req.body.sendAt || req.body.recurrence) {
+                return scheduleMessage(res, instanceId, 'contact', req.body);
+            }
+
+            const jid = messageBuilder.toJid(to);
+            const contactMessage = messageBuilder.build('contact', req.body);
+
+            if (req.body.async) {
+                return queueMessage(res, instanceId, 'contact', jid, contactMessage, req.sendContext);
+            }
+
             const instance = whatsappService.getInstance(instanceId);
             if (!instance || !instance.socket) {
                 return res.status(404).json({
@@ -455,23 +508,7 @@ class AdvancedMessageController {
                 });
             }
 
-            const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-
-            const vcard = `BEGIN:VCARD
-VERSION:3.0
-FN:${contactName}
-TEL;type=CELL;type=VOICE;waid=${contactNumber.replace(/[^0-9]/g, '')}:${contactNumber}
-${organization ? `ORG:${organization}` : ''}
-END:VCARD`;
-
-            const contactMessage = {
-                contacts: {
-                    displayName: contactName,
-                    contacts: [{ vcard }],
-                },
-            };
-
-            const result = await instance.socket.sendMessage(jid, contactMessage);
+            const result = await instance.socket.sendMessage(jid, contactMessage, { context: req.sendContext });
 
             res.json({
                 success: true,
@@ -520,7 +557,7 @@ END:VCARD`;
                 where: { messageId },
             });
 
-            const result = await instance.socket.sendMessage(toJid, { forward: message });
+            const result = await instance.socket.sendMessage(toJid, { forward: message }, { context: req.sendContext });
 
             res.json({
                 success: true,
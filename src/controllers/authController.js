@@ -1,27 +1,37 @@
 const config = require('../config/config');
 const database = require('../config/database');
-const crypto = require('crypto');
+const apiKeyService = require('../services/apiKeyService');
+const webhookService = require('../services/webhookService');
+const { apiKeyAuth } = require('../middleware/auth');
 
 class AuthController {
   async validateApiKey(req, res, next) {
     try {
       const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+
+      // Bearer tokens are handled by the shared auth middleware
+      if (!apiKey && req.headers.authorization?.startsWith('Bearer ')) {
+        return apiKeyAuth(req, res, next);
+      }
       
-      if (!apiKey) {
+      if (!apiKey || !config.auth.methods.includes('apiKey')) {
         return res.status(401).json({
           success: false,
           error: 'API key is required'
         });
       }
       
-      // In production, you should validate against database
-      if (apiKey !== config.apiKey) {
+      // Master key from config or a tenant key stored in the database
+      const auth = await apiKeyService.authenticate(apiKey);
+
+      if (!auth) {
         return res.status(401).json({
           success: false,
           error: 'Invalid API key'
         });
       }
       
+      req.auth = auth;
       next();
     } catch (error) {
       console.error('Error validating API key:', error);
@@ -32,37 +42,183 @@ class AuthController {
     }
   }
 
-  async generateApiKey(req, res) {
+  async createTenant(req, res) {
     try {
-      const { name, permissions = ['read', 'write'] } = req.body;
-      
+      const { name, instanceIds = [] } = req.body;
+
       if (!name) {
         return res.status(400).json({
           success: false,
           error: 'Name is required'
         });
       }
+
+      if (!Array.isArray(instanceIds)) {
+        return res.status(400).json({
+          success: false,
+          error: 'instanceIds must be an array'
+        });
+      }
+
+      const tenant = await apiKeyService.createTenant({ name, instanceIds });
+
+      res.status(201).json({
+        success: true,
+        data: tenant,
+        message: 'Tenant created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating tenant:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to create tenant'
+      });
+    }
+  }
+
+  async listTenants(req, res) {
+    try {
+      const tenants = await apiKeyService.listTenants();
+
+      res.json({
+        success: true,
+        data: tenants,
+        count: tenants.length
+      });
+    } catch (error) {
+      console.error('Error listing tenants:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list tenants'
+      });
+    }
+  }
+
+  async assignTenantInstances(req, res) {
+    try {
+      const { tenantId } = req.params;
+      const { instanceIds } = req.body;
+
+      if (!Array.isArray(instanceIds) || instanceIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'instanceIds array is required'
+        });
+      }
+
+      const assigned = await apiKeyService.assignInstances(tenantId, instanceIds);
+
+      res.json({
+        success: true,
+        data: { tenantId, assigned },
+        message: `${assigned} instance(s) assigned to tenant`
+      });
+    } catch (error) {
+      console.error('Error assigning instances to tenant:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to assign instances'
+      });
+    }
+  }
+
+  async generateApiKey(req, res) {
+    try {
+      const { tenantId, name, scopes, instanceIds = null, expiresAt = null } = req.body;
+      
+      if (!tenantId || !name) {
+        return res.status(400).json({
+          success: false,
+          error: 'tenantId and name are required'
+        });
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `scopes array is required. Available scopes: ${apiKeyService.scopes.join(', ')}`
+        });
+      }
+
+      if (instanceIds !== null && !Array.isArray(instanceIds)) {
+        return res.status(400).json({
+          success: false,
+          error: 'instanceIds must be an array or null'
+        });
+      }
       
-      // Generate a random API key
-      const apiKey = crypto.randomBytes(32).toString('hex');
+      const apiKey = await apiKeyService.createKey({ tenantId, name, scopes, instanceIds, expiresAt });
       
-      // In production, save this to database
-      // For now, just return it
-      res.json({
+      res.status(201).json({
         success: true,
-        data: {
-          name,
-          apiKey,
-          permissions,
-          createdAt: new Date()
-        },
-        message: 'API key generated successfully. Please save it securely.'
+        data: apiKey,
+        message: 'API key generated successfully. Please save it securely, it will not be shown again.'
       });
     } catch (error) {
       console.error('Error generating API key:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to generate API key'
+      });
+    }
+  }
+
+  async listApiKeys(req, res) {
+    try {
+      const { tenantId } = req.query;
+
+      const keys = await apiKeyService.listKeys(tenantId || null);
+
+      res.json({
+        success: true,
+        data: keys,
+        count: keys.length
+      });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to generate API key'
+        error: error.message || 'Failed to list API keys'
+      });
+    }
+  }
+
+  async rotateApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      const apiKey = await apiKeyService.rotateKey(keyId);
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: 'API key rotated successfully. The previous key is no longer valid.'
+      });
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to rotate API key'
+      });
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      const apiKey = await apiKeyService.revokeKey(keyId);
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to revoke API key'
       });
     }
   }
@@ -129,6 +285,11 @@ class AuthController {
       
       if (instanceId) {
         where.instanceId = instanceId;
+      } else {
+        const allowedInstanceIds = await apiKeyService.getAccessibleInstanceIds(req.auth);
+        if (allowedInstanceIds) {
+          where.instanceId = { in: allowedInstanceIds };
+        }
       }
       
       if (status !== 'all') {
@@ -176,69 +337,62 @@ class AuthController {
         where: { id: webhookId }
       });
       
-      if (!webhook) {
+      if (!webhook || !(await apiKeyService.canAccessInstance(req.auth, webhook.instanceId))) {
         return res.status(404).json({
           success: false,
           error: 'Webhook not found'
         });
       }
       
-      // Get instance to find webhook URL
-      const instance = await prisma.instance.findUnique({
-        where: { id: webhook.instanceId }
-      });
+      if (webhook.status === 'sent' || webhook.status === 'processing') {
+        return res.status(400).json({
+          success: false,
+          error: `Webhook is already ${webhook.status === 'sent' ? 'delivered' : 'being delivered'}`
+        });
+      }
+      
+      // Rows queued before URLs were stored fall back to the instance webhook URL
+      let url = webhook.url;
+      if (!url) {
+        const instance = await prisma.instance.findUnique({
+          where: { id: webhook.instanceId }
+        });
+        url = instance?.webhookUrl;
+      }
       
-      if (!instance || !instance.webhookUrl) {
+      if (!url) {
         return res.status(400).json({
           success: false,
           error: 'Instance or webhook URL not found'
         });
       }
       
-      // Retry webhook
-      try {
-        const response = await fetch(instance.webhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Webhook-Event': webhook.event,
-            'X-Webhook-Retry': 'true'
-          },
-          body: webhook.payload
-        });
-        
-        if (response.ok) {
-          await prisma.webhook.update({
-            where: { id: webhookId },
-            data: {
-              status: 'sent',
-              attempts: { increment: 1 },
-              lastAttempt: new Date()
-            }
-          });
-          
-          res.json({
-            success: true,
-            message: 'Webhook retry successful'
-          });
-        } else {
-          throw new Error(`HTTP ${response.status}`);
-        }
-      } catch (error) {
-        await prisma.webhook.update({
-          where: { id: webhookId },
-          data: {
-            status: 'failed',
-            attempts: { increment: 1 },
-            lastAttempt: new Date()
-          }
-        });
-        
-        res.status(500).json({
+      // Claim the row so the background worker does not deliver it at the same time
+      const claimed = await prisma.webhook.updateMany({
+        where: { id: webhookId, status: webhook.status },
+        data: { status: 'processing' }
+      });
+      
+      if (claimed.count === 0) {
+        return res.status(409).json({
           success: false,
-          error: `Webhook retry failed: ${error.message}`
+          error: 'Webhook is being delivered, try again later'
+        });
+      }
+      
+      const delivered = await webhookService.retryWebhook({ ...webhook, url });
+      
+      if (delivered) {
+        return res.json({
+          success: true,
+          message: 'Webhook retry successful'
         });
       }
+      
+      res.status(500).json({
+        success: false,
+        error: 'Webhook retry failed'
+      });
     } catch (error) {
       console.error('Error retrying webhook:', error);
       res.status(500).json({
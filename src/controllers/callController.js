@@ -0,0 +1,79 @@
+const callService = require('../services/callService');
+
+class CallController {
+  /**
+   * List the calls of an instance
+   * GET /api/calls/:instanceId?from=&status=&isVideo=&autoRejected=&since=&until=&limit=&offset=
+   */
+  async getCalls(req, res) {
+    try {
+      const { from, status, since, until } = req.query;
+      const isVideo = req.query.isVideo !== undefined ? req.query.isVideo === 'true' : undefined;
+      const autoRejected = req.query.autoRejected !== undefined ? req.query.autoRejected === 'true' : undefined;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { calls, total } = await callService.list(req.params.instanceId, {
+        from, status, isVideo, autoRejected, since, until, limit, offset
+      });
+
+      return res.json({
+        success: true,
+        data: calls,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting calls:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the call rejection settings of an instance
+   * GET /api/calls/:instanceId/settings
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await callService.getSettings(req.params.instanceId);
+
+      return res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error getting call settings:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update the call rejection settings of an instance
+   * PUT /api/calls/:instanceId/settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const { rejectCalls, message, cooldownSeconds } = req.body || {};
+      const settings = await callService.updateSettings(req.params.instanceId, { rejectCalls, message, cooldownSeconds });
+
+      return res.json({
+        success: true,
+        message: 'Call settings updated',
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error updating call settings:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new CallController();
@@ -0,0 +1,303 @@
+const campaignService = require('../services/campaignService');
+
+class CampaignController {
+  /**
+   * Create a draft campaign
+   * POST /api/campaigns/:instanceId
+   */
+  async createCampaign(req, res) {
+    try {
+      const { name, template } = req.body || {};
+      const campaign = await campaignService.create(req.params.instanceId, { name, template });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Campaign created',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error creating campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the campaigns of an instance
+   * GET /api/campaigns/:instanceId?limit=&offset=
+   */
+  async getCampaigns(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { campaigns, total } = await campaignService.list(req.params.instanceId, { limit, offset });
+
+      return res.json({
+        success: true,
+        data: campaigns,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting campaigns:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a campaign with its delivery statistics
+   * GET /api/campaigns/:instanceId/:campaignId
+   */
+  async getCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const campaign = await campaignService.get(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error getting campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a draft campaign
+   * PUT /api/campaigns/:instanceId/:campaignId
+   */
+  async updateCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const { name, template } = req.body || {};
+      const campaign = await campaignService.update(instanceId, campaignId, { name, template });
+
+      return res.json({
+        success: true,
+        message: 'Campaign updated',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error updating campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete a campaign
+   * DELETE /api/campaigns/:instanceId/:campaignId
+   */
+  async deleteCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      await campaignService.delete(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        message: 'Campaign deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Import recipients, as a text/csv body, { csv } or { recipients: [{ phone, ...variables }] }
+   * POST /api/campaigns/:instanceId/:campaignId/recipients
+   */
+  async addRecipients(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const data = typeof req.body === 'string' ? { csv: req.body } : req.body || {};
+
+      const result = await campaignService.addRecipients(instanceId, campaignId, data);
+
+      return res.json({
+        success: true,
+        message: `${result.added} recipients added`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error adding campaign recipients:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Remove every recipient of a draft campaign
+   * DELETE /api/campaigns/:instanceId/:campaignId/recipients
+   */
+  async clearRecipients(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const removed = await campaignService.clearRecipients(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        message: `${removed} recipients removed`,
+        data: { removed }
+      });
+    } catch (error) {
+      console.error('Error removing campaign recipients:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Start a draft campaign, its messages are queued
+   * POST /api/campaigns/:instanceId/:campaignId/start
+   */
+  async startCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const campaign = await campaignService.start(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        message: 'Campaign started',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error starting campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Pause a running campaign
+   * POST /api/campaigns/:instanceId/:campaignId/pause
+   */
+  async pauseCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const campaign = await campaignService.pause(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        message: 'Campaign paused',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error pausing campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Resume a paused campaign
+   * POST /api/campaigns/:instanceId/:campaignId/resume
+   */
+  async resumeCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const campaign = await campaignService.resume(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        message: 'Campaign resumed',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error resuming campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Cancel a campaign, messages that were not sent yet are dropped
+   * POST /api/campaigns/:instanceId/:campaignId/cancel
+   */
+  async cancelCampaign(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const campaign = await campaignService.cancel(instanceId, campaignId);
+
+      return res.json({
+        success: true,
+        message: 'Campaign cancelled',
+        data: campaign
+      });
+    } catch (error) {
+      console.error('Error cancelling campaign:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Per-recipient delivery report, as JSON or CSV (format=csv)
+   * GET /api/campaigns/:instanceId/:campaignId/report?status=&limit=&offset=&format=
+   */
+  async getReport(req, res) {
+    try {
+      const { instanceId, campaignId } = req.params;
+      const { status, format } = req.query;
+
+      if (format === 'csv') {
+        const csv = await campaignService.exportReport(instanceId, campaignId, { status });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaignId}.csv"`);
+        return res.send(csv);
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const [campaign, report] = await Promise.all([
+        campaignService.get(instanceId, campaignId),
+        campaignService.getReport(instanceId, campaignId, { status, limit, offset })
+      ]);
+
+      return res.json({
+        success: true,
+        data: {
+          campaign,
+          recipients: report.recipients
+        },
+        pagination: { total: report.total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting campaign report:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignController();
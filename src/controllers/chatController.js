@@ -1,9 +1,11 @@
 const whatsappService = require('../services/whatsappService');
+const inboxService = require('../services/inboxService');
+const receiptService = require('../services/receiptService');
 
 exports.getChats = async (req, res) => {
     try {
         const { instanceId } = req.params;
-        const { sortBy, sortOrder, limit, offset } = req.query;
+        const { sortBy, sortOrder, limit, offset, cursor, since, updatedSince, status, assigneeId, tag, awaitingReply } = req.query;
 
         // Build options object
         const options = {};
@@ -12,6 +14,17 @@ exports.getChats = async (req, res) => {
         if (limit) options.limit = parseInt(limit);
         if (offset) options.offset = parseInt(offset);
 
+        // Cursor pagination and incremental sync
+        if (cursor !== undefined) options.cursor = cursor;
+        if (since) options.since = since;
+        if (updatedSince) options.updatedSince = updatedSince;
+
+        // Inbox filters
+        if (status) options.status = status;
+        if (assigneeId) options.assigneeId = assigneeId;
+        if (tag) options.tag = tag;
+        if (awaitingReply === 'true') options.awaitingReply = true;
+
         const result = await whatsappService.getChats(instanceId, options);
 
         // If result is already an object with data property (new format), use it directly
@@ -31,7 +44,7 @@ exports.getChats = async (req, res) => {
         }
     } catch (error) {
         console.error('Error getting chats:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Failed to get chats',
         });
@@ -124,7 +137,7 @@ exports.getChatPicture = async (req, res) => {
 exports.getMessagesInChat = async (req, res) => {
     try {
         const { instanceId, chatId } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
+        const { limit, offset, cursor, since, updatedSince } = req.query;
 
         if (!instanceId || !chatId) {
             return res.status(400).json({
@@ -133,25 +146,23 @@ exports.getMessagesInChat = async (req, res) => {
             });
         }
 
-        const messages = await whatsappService.getMessagesInChat(
-            instanceId, 
-            chatId, 
-            parseInt(limit), 
-            parseInt(offset)
-        );
+        const result = await whatsappService.getMessagesInChat(instanceId, chatId, {
+            limit: parseInt(limit) || 50,
+            offset: parseInt(offset) || 0,
+            cursor,
+            since,
+            updatedSince,
+        });
 
         res.json({
             success: true,
-            data: messages,
-            count: messages.length,
-            pagination: {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-            },
+            data: result.data,
+            count: result.data.length,
+            pagination: result.pagination,
         });
     } catch (error) {
         console.error('Error getting messages in chat:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Failed to get messages in chat',
         });
@@ -222,6 +233,27 @@ exports.getMessageById = async (req, res) => {
     }
 };
 
+exports.getMessageReceipts = async (req, res) => {
+    try {
+        const { instanceId, chatId, messageId } = req.params;
+
+        // The socket counts the participants of a group, receipts are also returned while disconnected
+        const instance = whatsappService.getInstance(instanceId);
+        const receipts = await receiptService.getReceipts(instanceId, chatId, messageId, instance?.socket);
+
+        res.json({
+            success: true,
+            data: receipts,
+        });
+    } catch (error) {
+        console.error('Error getting message receipts:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get message receipts',
+        });
+    }
+};
+
 exports.deleteMessage = async (req, res) => {
     try {
         const { instanceId, chatId, messageId } = req.params;
@@ -394,3 +426,124 @@ exports.unreadChat = async (req, res) => {
         });
     }
 };
+
+exports.getInbox = async (req, res) => {
+    try {
+        const { instanceId, chatId } = req.params;
+
+        const inbox = await inboxService.get(instanceId, chatId);
+
+        res.json({
+            success: true,
+            data: inbox,
+        });
+    } catch (error) {
+        console.error('Error getting chat inbox state:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get chat inbox state',
+        });
+    }
+};
+
+exports.updateInbox = async (req, res) => {
+    try {
+        const { instanceId, chatId } = req.params;
+        const { status, assigneeId, tags } = req.body || {};
+
+        const inbox = await inboxService.update(instanceId, chatId, { status, assigneeId, tags });
+
+        res.json({
+            success: true,
+            data: inbox,
+            message: 'Chat inbox state updated successfully',
+        });
+    } catch (error) {
+        console.error('Error updating chat inbox state:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to update chat inbox state',
+        });
+    }
+};
+
+exports.getNotes = async (req, res) => {
+    try {
+        const { instanceId, chatId } = req.params;
+
+        const notes = await inboxService.listNotes(instanceId, chatId);
+
+        res.json({
+            success: true,
+            data: notes,
+            count: notes.length,
+        });
+    } catch (error) {
+        console.error('Error getting chat notes:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get chat notes',
+        });
+    }
+};
+
+exports.addNote = async (req, res) => {
+    try {
+        const { instanceId, chatId } = req.params;
+        const { body, authorId } = req.body || {};
+
+        const note = await inboxService.addNote(instanceId, chatId, { body, authorId });
+
+        res.status(201).json({
+            success: true,
+            data: note,
+            message: 'Note added successfully',
+        });
+    } catch (error) {
+        console.error('Error adding chat note:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to add chat note',
+        });
+    }
+};
+
+exports.updateNote = async (req, res) => {
+    try {
+        const { instanceId, chatId, noteId } = req.params;
+        const { body } = req.body || {};
+
+        const note = await inboxService.updateNote(instanceId, chatId, noteId, { body });
+
+        res.json({
+            success: true,
+            data: note,
+            message: 'Note updated successfully',
+        });
+    } catch (error) {
+        console.error('Error updating chat note:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to update chat note',
+        });
+    }
+};
+
+exports.deleteNote = async (req, res) => {
+    try {
+        const { instanceId, chatId, noteId } = req.params;
+
+        await inboxService.deleteNote(instanceId, chatId, noteId);
+
+        res.json({
+            success: true,
+            message: 'Note deleted successfully',
+        });
+    } catch (error) {
+        console.error('Error deleting chat note:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to delete chat note',
+        });
+    }
+};
@@ -1,4 +1,19 @@
 const whatsappService = require('../services/whatsappService');
+const eventService = require('../services/eventService');
+
+function getSocket(res, instanceId) {
+    const instance = whatsappService.getInstance(instanceId);
+
+    if (!instance || !instance.socket) {
+        res.status(404).json({
+            success: false,
+            error: 'Instance not found or not connected',
+        });
+        return null;
+    }
+
+    return instance.socket;
+}
 
 exports.sendEvent = async (req, res, next) => {
     try {
@@ -13,60 +28,93 @@ exports.sendEvent = async (req, res, next) => {
             });
         }
 
-        if (!name) {
-            return res.status(400).json({
-                success: false,
-                error: 'Event name is required',
-            });
-        }
+        const socket = getSocket(res, instanceId);
+        if (!socket) return;
 
-        if (!startTime) {
-            return res.status(400).json({
-                success: false,
-                error: 'Event start time is required',
-            });
-        }
+        // Native event message, stored so that the RSVPs can be decrypted
+        const result = await eventService.send(instanceId, socket, to, {
+            name,
+            description,
+            location,
+            startTime,
+            endTime,
+            callLink,
+        }, req.sendContext);
 
-        const instance = whatsappService.getInstance(instanceId);
+        res.json({
+            success: true,
+            message: 'Event message sent successfully',
+            data: result,
+        });
+    } catch (error) {
+        console.error('Error sending event message:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to send event message',
+        });
+    }
+};
 
-        if (!instance || !instance.socket) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found or not connected',
-            });
-        }
+exports.cancelEvent = async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
 
-        const { socket } = instance;
+        const socket = getSocket(res, instanceId);
+        if (!socket) return;
 
-        // Format recipient
-        const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
+        const event = await eventService.cancel(instanceId, socket, messageId);
 
-        // Create event message as formatted text
-        let messageText = `📅 *${name}*\n\n`;
-        if (description) messageText += `📝 Description: ${description}\n\n`;
-        if (location) {
-            messageText += `📍 Location: ${location.name || ''}\n`;
-            if (location.address) messageText += `Address: ${location.address}\n`;
-            messageText += '\n';
-        }
-        messageText += `🕐 Start: ${new Date(startTime).toLocaleString()}\n`;
-        if (endTime) messageText += `🕐 End: ${new Date(endTime).toLocaleString()}\n`;
-        if (callLink) messageText += `\n🔗 Join Call: ${callLink}`;
+        res.json({
+            success: true,
+            message: 'Event canceled successfully',
+            data: event,
+        });
+    } catch (error) {
+        console.error('Error canceling event:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to cancel event',
+        });
+    }
+};
 
-        // Send text message
-        const result = await socket.sendMessage(jid, { text: messageText });
+exports.getEvents = async (req, res, next) => {
+    try {
+        const { chatId, cursor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        const { data, pagination } = await eventService.list(req.params.instanceId, { chatId, limit, cursor });
 
         res.json({
             success: true,
-            message: 'Event message sent successfully',
-            data: result,
+            data,
+            count: data.length,
+            pagination,
         });
     } catch (error) {
-        console.error('Error sending event message:', error);
-        res.status(500).json({
+        console.error('Error getting events:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Internal server error',
+        });
+    }
+};
+
+exports.getResponses = async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+
+        const event = await eventService.getResponses(instanceId, messageId, { response: req.query.response });
+
+        res.json({
+            success: true,
+            data: event,
+        });
+    } catch (error) {
+        console.error('Error getting event responses:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to send event message',
-            details: error.message,
+            error: error.status ? error.message : 'Internal server error',
         });
     }
 };
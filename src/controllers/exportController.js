@@ -0,0 +1,168 @@
+const fs = require('fs');
+const exportService = require('../services/exportService');
+
+/**
+ * Stream an export of a chat, or of every chat when chatId is null
+ */
+async function streamExport(req, res, chatId) {
+  try {
+    const { format, since, until, timezone } = req.query;
+
+    const exportData = await exportService.prepare(req.params.instanceId, {
+      chatId,
+      format,
+      since,
+      until,
+      includeMedia: req.query.includeMedia === 'true',
+      timezone
+    });
+
+    res.setHeader('Content-Type', exportData.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(exportData.fileName)}`);
+
+    await exportService.write(exportData, res);
+  } catch (error) {
+    console.error('Error exporting messages:', error);
+
+    // The export failed halfway, the client sees a truncated download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error'
+    });
+  }
+}
+
+class ExportController {
+  /**
+   * Stream the messages of every chat of an instance
+   * GET /api/exports/:instanceId?format=&since=&until=&includeMedia=&timezone=
+   */
+  async exportInstance(req, res) {
+    return streamExport(req, res, null);
+  }
+
+  /**
+   * Stream the messages of a chat
+   * GET /api/exports/:instanceId/chats/:chatId?format=&since=&until=&includeMedia=&timezone=
+   */
+  async exportChat(req, res) {
+    return streamExport(req, res, req.params.chatId);
+  }
+
+  /**
+   * Start an export job for large exports
+   * POST /api/exports/:instanceId/jobs
+   */
+  async createJob(req, res) {
+    try {
+      const job = await exportService.createJob(req.params.instanceId, req.body || {});
+
+      return res.status(202).json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error creating export job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the export jobs of an instance
+   * GET /api/exports/:instanceId/jobs
+   */
+  async getJobs(req, res) {
+    try {
+      const jobs = await exportService.listJobs(req.params.instanceId);
+
+      return res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Error getting export jobs:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the status of an export job
+   * GET /api/exports/:instanceId/jobs/:jobId
+   */
+  async getJob(req, res) {
+    try {
+      const job = await exportService.getJob(req.params.instanceId, req.params.jobId);
+
+      return res.json({
+        success: true,
+        data: exportService.serialize(job)
+      });
+    } catch (error) {
+      console.error('Error getting export job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Download the file of a completed export job
+   * GET /api/exports/:instanceId/jobs/:jobId/download
+   */
+  async downloadJob(req, res) {
+    try {
+      const file = await exportService.getDownload(req.params.instanceId, req.params.jobId);
+
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Length', file.size);
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`);
+
+      const stream = fs.createReadStream(file.filePath);
+      stream.on('error', error => {
+        console.error('Error streaming export:', error.message);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete an export job and its file
+   * DELETE /api/exports/:instanceId/jobs/:jobId
+   */
+  async deleteJob(req, res) {
+    try {
+      await exportService.deleteJob(req.params.instanceId, req.params.jobId);
+
+      return res.json({
+        success: true,
+        message: 'Export job deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting export job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new ExportController();
@@ -2,12 +2,22 @@ const database = require('../config/database');
 const { prisma } = require('../config/database');
 const sessionManager = require('../services/sessionManager');
 const whatsappService = require('../services/whatsappService');
+const apiKeyService = require('../services/apiKeyService');
+const businessHoursService = require('../services/businessHoursService');
 
 class InstanceController {
     async create(req, res) {
         try {
             const { name, id, webhookUrl, phoneNumber } = req.body;
 
+            // A key limited to a list of instances could not access the instance it creates
+            if (req.auth?.instanceIds) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'API key is limited to specific instances and cannot create instances',
+                });
+            }
+
             if (!name) {
                 return res.status(400).json({
                     success: false,
@@ -27,6 +37,7 @@ class InstanceController {
                 name,
                 webhookUrl,
                 phoneNumber,
+                tenantId: req.auth?.tenantId,
             });
 
             res.status(201).json({
@@ -199,7 +210,8 @@ class InstanceController {
 
     async getAll(req, res) {
         try {
-            const instances = await sessionManager.getAllInstances();
+            const allowedInstanceIds = await apiKeyService.getAccessibleInstanceIds(req.auth);
+            const instances = await sessionManager.getAllInstances(allowedInstanceIds);
 
             res.json({
                 success: true,
@@ -311,6 +323,52 @@ class InstanceController {
             });
         }
     }
+
+    /** Business hours of an instance and whether it is open now */
+    async getBusinessHours(req, res) {
+        try {
+            const { instanceId } = req.params;
+
+            const settings = await businessHoursService.get(instanceId);
+
+            res.json({
+                success: true,
+                data: {
+                    ...settings,
+                    open: businessHoursService.isOpen(settings),
+                },
+            });
+        } catch (error) {
+            console.error('Error getting business hours:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Failed to get business hours',
+            });
+        }
+    }
+
+    async updateBusinessHours(req, res) {
+        try {
+            const { instanceId } = req.params;
+
+            const settings = await businessHoursService.update(instanceId, req.body || {});
+
+            res.json({
+                success: true,
+                data: {
+                    ...settings,
+                    open: businessHoursService.isOpen(settings),
+                },
+                message: 'Business hours updated successfully',
+            });
+        } catch (error) {
+            console.error('Error updating business hours:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Failed to update business hours',
+            });
+        }
+    }
 }
 
 module.exports = new InstanceController();
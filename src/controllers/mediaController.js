@@ -0,0 +1,73 @@
+const mediaService = require('../services/mediaService');
+const { getStorage } = require('../services/storage');
+
+class MediaController {
+  /**
+   * Stream the downloaded media of a message, supports Range requests
+   * GET /api/media/:instanceId/:messageId
+   */
+  async getMedia(req, res) {
+    try {
+      const { instanceId, messageId } = req.params;
+
+      const message = await mediaService.getMessageMedia(instanceId, messageId);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Media not found or expired'
+        });
+      }
+
+      const storage = getStorage();
+      const stat = await storage.stat(message.mediaKey);
+      if (!stat) {
+        return res.status(404).json({
+          success: false,
+          error: 'Media file not found'
+        });
+      }
+
+      const range = mediaService.parseRange(req.headers.range, stat.size);
+      if (range === false) {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).json({
+          success: false,
+          error: 'Requested range not satisfiable'
+        });
+      }
+
+      const fileName = message.mediaFileName || message.messageId;
+      res.setHeader('Content-Type', message.mediaMimeType || 'application/octet-stream');
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+      res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+
+      if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+      } else {
+        res.setHeader('Content-Length', stat.size);
+      }
+
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+
+      const stream = await storage.createReadStream(message.mediaKey, range || {});
+      stream.on('error', error => {
+        console.error('Error streaming media:', error.message);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Error getting media:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new MediaController();
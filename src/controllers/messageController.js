@@ -1,10 +1,14 @@
 const whatsappService = require('../services/whatsappService');
 const database = require('../config/database');
+const outboundQueueService = require('../services/outboundQueueService');
+const optOutService = require('../services/optOutService');
+const searchService = require('../services/searchService');
+const { usesCursor, buildPage, paginate } = require('../utils/cursor');
 
 class MessageController {
   async sendBulk(req, res) {
     try {
-      const { instanceId, recipients, message, delay = 1000 } = req.body;
+      const { instanceId, recipients, message, delay = 1000, async = false } = req.body;
       
       if (!instanceId || !recipients || !Array.isArray(recipients) || !message) {
         return res.status(400).json({
@@ -13,12 +17,44 @@ class MessageController {
         });
       }
       
+      // Recipients on the opt-out list are skipped
+      const { allowed, optedOut } = await optOutService.filterRecipients(instanceId, recipients.map(String));
+
+      if (allowed.length === 0 && optedOut.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'All recipients have opted out',
+          code: optOutService.OPTED_OUT
+        });
+      }
+
+      // async: true puts the messages on the queue: the queue worker applies the
+      // instance rate limits and the job survives restarts
+      if (async) {
+        const job = await outboundQueueService.enqueue(instanceId, 'bulk', allowed.map(recipient => ({
+          to: String(recipient).includes('@') ? String(recipient) : `${recipient}@s.whatsapp.net`,
+          content: { text: message },
+          context: req.sendContext
+        })));
+
+        return res.status(202).json({
+          success: true,
+          data: {
+            jobId: job.id,
+            status: job.status,
+            total: job.total,
+            skipped: optedOut
+          },
+          message: `Bulk message queued for ${job.total} recipients`
+        });
+      }
+      
       const results = [];
       const failed = [];
       
-      for (const recipient of recipients) {
+      for (const recipient of allowed) {
         try {
-          const result = await whatsappService.sendMessage(instanceId, recipient, message);
+          const result = await whatsappService.sendMessage(instanceId, recipient, message, { context: req.sendContext });
           results.push({
             to: recipient,
             success: true,
@@ -33,7 +69,8 @@ class MessageController {
           failed.push({
             to: recipient,
             success: false,
-            error: error.message
+            error: error.message,
+            code: error.code
           });
         }
       }
@@ -43,6 +80,7 @@ class MessageController {
         data: {
           sent: results,
           failed: failed,
+          skipped: optedOut,
           totalSent: results.length,
           totalFailed: failed.length
         },
@@ -60,14 +98,19 @@ class MessageController {
   async getChats(req, res) {
     try {
       const { instanceId } = req.params;
-      const { limit = 50, offset = 0, archived = false } = req.query;
+      const { cursor, since, updatedSince, archived = false } = req.query;
+      const cursorMode = usesCursor(req.query);
+      const limit = cursorMode ? Math.min(parseInt(req.query.limit) || 50, 500) : parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+      const page = buildPage({ cursor, since, updatedSince }, { field: 'lastMessageAt', nullable: true });
       
       const prisma = database.getInstance();
       
-      const chats = await prisma.chat.findMany({
+      const rows = await prisma.chat.findMany({
         where: {
           instanceId,
-          archived: archived === 'true'
+          archived: archived === 'true',
+          ...page.where
         },
         include: {
           _count: {
@@ -76,25 +119,24 @@ class MessageController {
             }
           }
         },
-        orderBy: {
-          lastMessageAt: 'desc'
-        },
-        take: parseInt(limit),
-        skip: parseInt(offset)
+        orderBy: page.orderBy,
+        take: cursorMode ? limit + 1 : limit,
+        skip: cursorMode ? 0 : offset
       });
+
+      const { data, pagination } = cursorMode
+        ? paginate(rows, limit, page.sort)
+        : { data: rows, pagination: { limit, offset } };
       
       res.json({
         success: true,
-        data: chats,
-        count: chats.length,
-        pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset)
-        }
+        data,
+        count: data.length,
+        pagination
       });
     } catch (error) {
       console.error('Error getting chats:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to get chats'
       });
@@ -104,7 +146,11 @@ class MessageController {
   async getChatMessages(req, res) {
     try {
       const { instanceId, chatId } = req.params;
-      const { limit = 50, offset = 0 } = req.query;
+      const { cursor, since, updatedSince } = req.query;
+      const cursorMode = usesCursor(req.query);
+      const limit = cursorMode ? Math.min(parseInt(req.query.limit) || 50, 500) : parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+      const page = buildPage({ cursor, since, updatedSince });
       
       const prisma = database.getInstance();
       
@@ -123,30 +169,30 @@ class MessageController {
         });
       }
       
-      const messages = await prisma.message.findMany({
+      const rows = await prisma.message.findMany({
         where: {
           instanceId,
-          chatId: chat.id
-        },
-        orderBy: {
-          timestamp: 'desc'
+          chatId: chat.id,
+          ...page.where
         },
-        take: parseInt(limit),
-        skip: parseInt(offset)
+        orderBy: page.orderBy,
+        take: cursorMode ? limit + 1 : limit,
+        skip: cursorMode ? 0 : offset
       });
+
+      const { data, pagination } = cursorMode
+        ? paginate(rows, limit, page.sort)
+        : { data: rows, pagination: { limit, offset } };
       
       res.json({
         success: true,
-        data: messages,
-        count: messages.length,
-        pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset)
-        }
+        data,
+        count: data.length,
+        pagination
       });
     } catch (error) {
       console.error('Error getting chat messages:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to get messages'
       });
@@ -156,11 +202,15 @@ class MessageController {
   async getAllMessages(req, res) {
     try {
       const { instanceId } = req.params;
-      const { limit = 100, offset = 0, fromMe, type, status } = req.query;
+      const { cursor, since, updatedSince, fromMe, type, status } = req.query;
+      const cursorMode = usesCursor(req.query);
+      const limit = cursorMode ? Math.min(parseInt(req.query.limit) || 100, 500) : parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      const page = buildPage({ cursor, since, updatedSince });
       
       const prisma = database.getInstance();
       
-      const where = { instanceId };
+      const where = { instanceId, ...page.where };
       
       if (fromMe !== undefined) {
         where.fromMe = fromMe === 'true';
@@ -174,7 +224,7 @@ class MessageController {
         where.status = status;
       }
       
-      const messages = await prisma.message.findMany({
+      const rows = await prisma.message.findMany({
         where,
         include: {
           chat: {
@@ -185,35 +235,73 @@ class MessageController {
             }
           }
         },
-        orderBy: {
-          timestamp: 'desc'
-        },
-        take: parseInt(limit),
-        skip: parseInt(offset)
+        orderBy: page.orderBy,
+        take: cursorMode ? limit + 1 : limit,
+        skip: cursorMode ? 0 : offset
       });
-      
-      const total = await prisma.message.count({ where });
+
+      // Offset pages also count every matching message
+      if (!cursorMode) {
+        const total = await prisma.message.count({ where });
+
+        return res.json({
+          success: true,
+          data: rows,
+          count: rows.length,
+          total,
+          pagination: {
+            limit,
+            offset,
+            hasMore: offset + rows.length < total
+          }
+        });
+      }
+
+      const { data, pagination } = paginate(rows, limit, page.sort);
       
       res.json({
         success: true,
-        data: messages,
-        count: messages.length,
-        total,
-        pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: parseInt(offset) + messages.length < total
-        }
+        data,
+        count: data.length,
+        pagination
       });
     } catch (error) {
       console.error('Error getting all messages:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to get messages'
       });
     }
   }
 
+  /**
+   * Full-text search over message bodies
+   * GET /api/message/search/:instanceId?q=&chatId=&from=&type=&fromMe=&since=&until=&limit=&cursor=
+   */
+  async searchMessages(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { q, chatId, from, type, since, until, cursor } = req.query;
+      const fromMe = req.query.fromMe !== undefined ? req.query.fromMe === 'true' : undefined;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const result = await searchService.searchMessages(instanceId, {
+        q, chatId, from, type, fromMe, since, until, limit, cursor
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to search messages'
+      });
+    }
+  }
+
   async deleteMessage(req, res) {
     try {
       const { instanceId, messageId } = req.params;
@@ -0,0 +1,173 @@
+const optOutService = require('../services/optOutService');
+
+class OptOutController {
+  /**
+   * List the opt-out list of an instance
+   * GET /api/optout/:instanceId?search=&source=&limit=&offset=
+   */
+  async getOptOuts(req, res) {
+    try {
+      const { search, source } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { entries, total } = await optOutService.list(req.params.instanceId, { search, source, limit, offset });
+
+      return res.json({
+        success: true,
+        data: entries,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting opt-out list:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Check whether a recipient opted out
+   * GET /api/optout/:instanceId/check/:phone
+   */
+  async checkOptOut(req, res) {
+    try {
+      const { instanceId, phone } = req.params;
+      const optedOut = await optOutService.isOptedOut(instanceId, phone);
+
+      return res.json({
+        success: true,
+        data: { phone, optedOut }
+      });
+    } catch (error) {
+      console.error('Error checking opt-out:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Add recipients to the opt-out list
+   * POST /api/optout/:instanceId
+   */
+  async addOptOut(req, res) {
+    try {
+      const { phone, phones, note } = req.body || {};
+      const list = Array.isArray(phones) ? phones : (phone ? [phone] : []);
+
+      if (list.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'phone or phones array is required'
+        });
+      }
+
+      const result = await optOutService.add(req.params.instanceId, list, { source: 'manual', note });
+
+      return res.json({
+        success: true,
+        message: `${result.added} recipients opted out`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error adding opt-out:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Import the opt-out list, as a text/csv body, { csv } or { phones }
+   * POST /api/optout/:instanceId/import
+   */
+  async importOptOuts(req, res) {
+    try {
+      const data = typeof req.body === 'string' ? { csv: req.body } : req.body || {};
+      const result = await optOutService.import(req.params.instanceId, data);
+
+      return res.json({
+        success: true,
+        message: `${result.added} recipients opted out`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error importing opt-out list:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Remove a recipient from the opt-out list
+   * DELETE /api/optout/:instanceId/:phone
+   */
+  async removeOptOut(req, res) {
+    try {
+      const { instanceId, phone } = req.params;
+      await optOutService.remove(instanceId, phone);
+
+      return res.json({
+        success: true,
+        message: 'Recipient removed from the opt-out list'
+      });
+    } catch (error) {
+      console.error('Error removing opt-out:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the opt-out keywords and confirmation reply
+   * GET /api/optout/:instanceId/settings
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await optOutService.getSettings(req.params.instanceId);
+
+      return res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error getting opt-out settings:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update the opt-out keywords and confirmation reply
+   * PUT /api/optout/:instanceId/settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const settings = await optOutService.updateSettings(req.params.instanceId, req.body || {});
+
+      return res.json({
+        success: true,
+        message: 'Opt-out settings updated',
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error updating opt-out settings:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new OptOutController();
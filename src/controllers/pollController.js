@@ -0,0 +1,52 @@
+const pollService = require('../services/pollService');
+
+class PollController {
+  /**
+   * List the polls of an instance, newest first
+   * GET /api/polls/:instanceId?chatId=&limit=&cursor=
+   */
+  async getPolls(req, res) {
+    try {
+      const { chatId, cursor } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+      const { data, pagination } = await pollService.list(req.params.instanceId, { chatId, limit, cursor });
+
+      return res.json({
+        success: true,
+        data,
+        count: data.length,
+        pagination
+      });
+    } catch (error) {
+      console.error('Error getting polls:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Live results of a poll, with the voters of every option
+   * GET /api/polls/:instanceId/:messageId
+   */
+  async getResults(req, res) {
+    try {
+      const results = await pollService.getResults(req.params.instanceId, req.params.messageId);
+
+      return res.json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error getting poll results:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new PollController();
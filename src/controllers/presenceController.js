@@ -1,4 +1,6 @@
 const whatsappService = require('../services/whatsappService');
+const presenceService = require('../services/presenceService');
+const config = require('../config/config');
 
 // Set session presence
 exports.setPresence = async (req, res, next) => {
@@ -59,24 +61,14 @@ exports.setPresence = async (req, res, next) => {
 exports.getAllPresence = async (req, res, next) => {
     try {
         const { instanceId } = req.params;
-        const instance = whatsappService.getInstance(instanceId);
 
-        if (!instance || !instance.socket) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found or not connected',
-            });
-        }
-
-        const { socket } = instance;
-
-        // Get all presence subscriptions from store
-        const presences = socket.store?.presences || {};
+        // Presence updates received while subscribed, until they expire (PRESENCE_TTL)
+        const presences = presenceService.getAll(instanceId);
 
         res.json({
             success: true,
             data: presences,
-            count: Object.keys(presences).length,
+            count: presences.length,
         });
     } catch (error) {
         console.error('Error getting all presence:', error);
@@ -107,24 +99,25 @@ exports.getPresence = async (req, res, next) => {
         const jid = chatId.includes('@') ? chatId : `${chatId}@s.whatsapp.net`;
 
         // Check if already subscribed
-        let presence = socket.store?.presences?.[jid];
+        let participants = presenceService.getChat(instanceId, jid);
 
         // If not subscribed, subscribe to it
-        if (!presence) {
+        if (participants.length === 0) {
             await socket.presenceSubscribe(jid);
 
             // Wait a bit for the presence update
             await new Promise((resolve) => setTimeout(resolve, 1000));
 
             // Get the presence again
-            presence = socket.store?.presences?.[jid];
+            participants = presenceService.getChat(instanceId, jid);
         }
 
         res.json({
             success: true,
             data: {
                 chatId: jid,
-                presence: presence || null,
+                presence: participants.find((entry) => entry.jid === jid) || null,
+                participants,
             },
         });
     } catch (error) {
@@ -174,3 +167,53 @@ exports.subscribePresence = async (req, res, next) => {
         });
     }
 };
+
+// Get the last-seen timeline of a chat (requires PRESENCE_HISTORY=true)
+exports.getPresenceHistory = async (req, res, next) => {
+    try {
+        const { instanceId, chatId } = req.params;
+        const { participant, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+        if (!config.presence.history) {
+            return res.status(400).json({
+                success: false,
+                error: 'Presence history is disabled. Set PRESENCE_HISTORY=true to record it',
+            });
+        }
+
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be valid dates',
+            });
+        }
+
+        // Format chat ID
+        const jid = chatId.includes('@') ? chatId : `${chatId}@s.whatsapp.net`;
+
+        const history = await presenceService.getHistory(instanceId, jid, {
+            jid: participant ? (participant.includes('@') ? participant : `${participant}@s.whatsapp.net`) : undefined,
+            from,
+            to,
+            limit,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                chatId: jid,
+                current: presenceService.getChat(instanceId, jid),
+                history,
+            },
+            count: history.length,
+        });
+    } catch (error) {
+        console.error('Error getting presence history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get presence history',
+            details: error.message,
+        });
+    }
+};
@@ -0,0 +1,193 @@
+const outboundQueueService = require('../services/outboundQueueService');
+
+class QueueController {
+  /**
+   * List outbound queue jobs of an instance
+   * GET /api/queue/:instanceId/jobs?status=&limit=&offset=
+   */
+  async getJobs(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { jobs, total } = await outboundQueueService.listJobs(instanceId, { status, limit, offset });
+
+      return res.json({
+        success: true,
+        data: jobs,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting queue jobs:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the status and progress of a job
+   * GET /api/queue/:instanceId/jobs/:jobId
+   */
+  async getJob(req, res) {
+    try {
+      const { instanceId, jobId } = req.params;
+      const job = await outboundQueueService.getJob(instanceId, jobId);
+
+      return res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error getting queue job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the per-recipient state of a job
+   * GET /api/queue/:instanceId/jobs/:jobId/messages?status=&limit=&offset=
+   */
+  async getJobMessages(req, res) {
+    try {
+      const { instanceId, jobId } = req.params;
+      const { status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { messages, total } = await outboundQueueService.getJobMessages(instanceId, jobId, { status, limit, offset });
+
+      return res.json({
+        success: true,
+        data: messages,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting queue job messages:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Cancel a job
+   * POST /api/queue/:instanceId/jobs/:jobId/cancel
+   */
+  async cancelJob(req, res) {
+    try {
+      const { instanceId, jobId } = req.params;
+      const job = await outboundQueueService.cancelJob(instanceId, jobId);
+
+      return res.json({
+        success: true,
+        message: 'Job cancelled',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error cancelling queue job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Pause a job
+   * POST /api/queue/:instanceId/jobs/:jobId/pause
+   */
+  async pauseJob(req, res) {
+    try {
+      const { instanceId, jobId } = req.params;
+      const job = await outboundQueueService.pauseJob(instanceId, jobId);
+
+      return res.json({
+        success: true,
+        message: 'Job paused',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error pausing queue job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Resume a paused job
+   * POST /api/queue/:instanceId/jobs/:jobId/resume
+   */
+  async resumeJob(req, res) {
+    try {
+      const { instanceId, jobId } = req.params;
+      const job = await outboundQueueService.resumeJob(instanceId, jobId);
+
+      return res.json({
+        success: true,
+        message: 'Job resumed',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error resuming queue job:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the queue settings of an instance
+   * GET /api/queue/:instanceId/settings
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await outboundQueueService.getSettings(req.params.instanceId);
+
+      return res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error getting queue settings:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update the queue settings of an instance
+   * PUT /api/queue/:instanceId/settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const settings = await outboundQueueService.updateSettings(req.params.instanceId, req.body || {});
+
+      return res.json({
+        success: true,
+        message: 'Queue settings updated',
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error updating queue settings:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new QueueController();
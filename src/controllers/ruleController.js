@@ -0,0 +1,145 @@
+const ruleService = require('../services/ruleService');
+
+class RuleController {
+  /**
+   * Create an auto-reply rule
+   * POST /api/rules/:instanceId
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await ruleService.create(req.params.instanceId, req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        message: 'Rule created',
+        data: rule
+      });
+    } catch (error) {
+      console.error('Error creating rule:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the rules of an instance in evaluation order
+   * GET /api/rules/:instanceId?enabled=&limit=&offset=
+   */
+  async getRules(req, res) {
+    try {
+      const enabled = req.query.enabled !== undefined ? req.query.enabled === 'true' : undefined;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { rules, total } = await ruleService.list(req.params.instanceId, { enabled, limit, offset });
+
+      return res.json({
+        success: true,
+        data: rules,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting rules:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a rule
+   * GET /api/rules/:instanceId/:ruleId
+   */
+  async getRule(req, res) {
+    try {
+      const { instanceId, ruleId } = req.params;
+      const rule = await ruleService.get(instanceId, ruleId);
+
+      return res.json({
+        success: true,
+        data: rule
+      });
+    } catch (error) {
+      console.error('Error getting rule:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a rule
+   * PUT /api/rules/:instanceId/:ruleId
+   */
+  async updateRule(req, res) {
+    try {
+      const { instanceId, ruleId } = req.params;
+      const rule = await ruleService.update(instanceId, ruleId, req.body || {});
+
+      return res.json({
+        success: true,
+        message: 'Rule updated',
+        data: rule
+      });
+    } catch (error) {
+      console.error('Error updating rule:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete a rule
+   * DELETE /api/rules/:instanceId/:ruleId
+   */
+  async deleteRule(req, res) {
+    try {
+      const { instanceId, ruleId } = req.params;
+      await ruleService.delete(instanceId, ruleId);
+
+      return res.json({
+        success: true,
+        message: 'Rule deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Dry run a message against the rules, nothing is sent
+   * POST /api/rules/:instanceId/test
+   */
+  async testRules(req, res) {
+    try {
+      const { ruleId, ...message } = req.body || {};
+      const matches = await ruleService.test(req.params.instanceId, message, ruleId);
+
+      return res.json({
+        success: true,
+        data: {
+          matched: matches.length > 0,
+          matches
+        }
+      });
+    } catch (error) {
+      console.error('Error testing rules:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new RuleController();
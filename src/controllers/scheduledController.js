@@ -0,0 +1,130 @@
+const schedulerService = require('../services/schedulerService');
+
+class ScheduledController {
+  /**
+   * Schedule a message. Besides type, to, sendAt, recurrence and timezone the body
+   * holds the fields of the matching /send/<type> route.
+   * POST /api/scheduled/:instanceId
+   */
+  async createScheduled(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { type, to, sendAt, recurrence, timezone, ...payload } = req.body || {};
+      delete payload.instanceId;
+      delete payload.async;
+
+      const message = await schedulerService.create(instanceId, { type, to, payload, sendAt, recurrence, timezone });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Message scheduled',
+        data: message
+      });
+    } catch (error) {
+      console.error('Error scheduling message:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the scheduled messages of an instance
+   * GET /api/scheduled/:instanceId?status=&limit=&offset=
+   */
+  async getScheduled(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { messages, total } = await schedulerService.list(instanceId, { status, limit, offset });
+
+      return res.json({
+        success: true,
+        data: messages,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting scheduled messages:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a scheduled message
+   * GET /api/scheduled/:instanceId/:id
+   */
+  async getScheduledById(req, res) {
+    try {
+      const { instanceId, id } = req.params;
+      const message = await schedulerService.get(instanceId, id);
+
+      return res.json({
+        success: true,
+        data: message
+      });
+    } catch (error) {
+      console.error('Error getting scheduled message:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Reschedule or edit a scheduled message
+   * PUT /api/scheduled/:instanceId/:id
+   */
+  async updateScheduled(req, res) {
+    try {
+      const { instanceId, id } = req.params;
+      const { to, payload, sendAt, recurrence, timezone } = req.body || {};
+
+      const message = await schedulerService.update(instanceId, id, { to, payload, sendAt, recurrence, timezone });
+
+      return res.json({
+        success: true,
+        message: 'Scheduled message updated',
+        data: message
+      });
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Cancel a scheduled message
+   * DELETE /api/scheduled/:instanceId/:id
+   */
+  async cancelScheduled(req, res) {
+    try {
+      const { instanceId, id } = req.params;
+      const message = await schedulerService.cancel(instanceId, id);
+
+      return res.json({
+        success: true,
+        message: 'Scheduled message cancelled',
+        data: message
+      });
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new ScheduledController();
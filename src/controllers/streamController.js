@@ -0,0 +1,29 @@
+const eventStreamService = require('../services/eventStreamService');
+
+class StreamController {
+  /**
+   * Live event feed over Server-Sent Events
+   * GET /api/stream/sse?instanceIds=a,b&events=message.*,call.received
+   */
+  async sse(req, res) {
+    try {
+      const filter = await eventStreamService.createFilter(req.auth, {
+        instanceIds: req.query.instanceIds || req.query.instanceId,
+        events: req.query.events
+      });
+
+      eventStreamService.addSseClient(req, res, req.auth, filter);
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error opening event stream:', error);
+      }
+
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new StreamController();
@@ -0,0 +1,167 @@
+const templateService = require('../services/templateService');
+
+class TemplateController {
+  /**
+   * Create a template
+   * POST /api/templates/:instanceId
+   */
+  async createTemplate(req, res) {
+    try {
+      const { name, description, type, content, variables } = req.body || {};
+      const template = await templateService.create(req.params.instanceId, { name, description, type, content, variables });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Template created',
+        data: template
+      });
+    } catch (error) {
+      console.error('Error creating template:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the templates of an instance
+   * GET /api/templates/:instanceId?type=&limit=&offset=
+   */
+  async getTemplates(req, res) {
+    try {
+      const { type } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { templates, total } = await templateService.list(req.params.instanceId, { type, limit, offset });
+
+      return res.json({
+        success: true,
+        data: templates,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      console.error('Error getting templates:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a template, ?version= returns an older version
+   * GET /api/templates/:instanceId/:templateId?version=
+   */
+  async getTemplate(req, res) {
+    try {
+      const { instanceId, templateId } = req.params;
+      const template = await templateService.getVersion(instanceId, templateId, req.query.version);
+
+      return res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('Error getting template:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a template, saved as a new version
+   * PUT /api/templates/:instanceId/:templateId
+   */
+  async updateTemplate(req, res) {
+    try {
+      const { instanceId, templateId } = req.params;
+      const { name, description, type, content, variables } = req.body || {};
+      const template = await templateService.update(instanceId, templateId, { name, description, type, content, variables });
+
+      return res.json({
+        success: true,
+        message: `Template saved as version ${template.version}`,
+        data: template
+      });
+    } catch (error) {
+      console.error('Error updating template:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete a template with all its versions
+   * DELETE /api/templates/:instanceId/:templateId
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const { instanceId, templateId } = req.params;
+      await templateService.delete(instanceId, templateId);
+
+      return res.json({
+        success: true,
+        message: 'Template deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the versions of a template
+   * GET /api/templates/:instanceId/:templateId/versions
+   */
+  async getTemplateVersions(req, res) {
+    try {
+      const { instanceId, templateId } = req.params;
+      const versions = await templateService.listVersions(instanceId, templateId);
+
+      return res.json({
+        success: true,
+        data: versions
+      });
+    } catch (error) {
+      console.error('Error getting template versions:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Render a template without sending it
+   * POST /api/templates/:instanceId/:templateId/preview
+   */
+  async previewTemplate(req, res) {
+    try {
+      const { instanceId, templateId } = req.params;
+      const { variables, version } = req.body || {};
+      const preview = await templateService.render(instanceId, templateId, { variables, version });
+
+      return res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      console.error('Error previewing template:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new TemplateController();
@@ -1,5 +1,6 @@
 const webhookService = require('../services/webhookService');
 const database = require('../config/database');
+const apiKeyService = require('../services/apiKeyService');
 
 class WebhookController {
   /**
@@ -51,7 +52,7 @@ class WebhookController {
       const parsedLimit = parseInt(limit);
 
       const logs = await webhookService.getWebhookLogs(
-        instanceId || null,
+        instanceId || await apiKeyService.getAccessibleInstanceIds(req.auth),
         parsedLimit
       );
 
@@ -91,7 +92,7 @@ class WebhookController {
 
       const log = await webhookService.getWebhookLogById(webhookId);
 
-      if (!log) {
+      if (!log || !(await apiKeyService.canAccessInstance(req.auth, log.instanceId))) {
         return res.status(404).json({
           success: false,
           error: 'Webhook log not found'
@@ -127,7 +128,7 @@ class WebhookController {
 
       const log = await webhookService.getWebhookLogById(webhookId);
 
-      if (!log || log.status === 'success') {
+      if (!log || log.status === 'success' || !(await apiKeyService.canAccessInstance(req.auth, log.instanceId))) {
         return res.status(400).json({
           success: false,
           error: 'Invalid webhook ID or already successful'
@@ -136,22 +137,36 @@ class WebhookController {
 
       // Get the original payload from log
       const payload = JSON.parse(log.payload);
-      const instance = await database.getInstance().instance.findUnique({
-        where: { id: log.instanceId }
-      });
 
-      if (!instance?.webhookUrl) {
+      // Resend to the subscription the log belongs to, or the instance webhook URL
+      let url;
+      let subscription = null;
+
+      if (log.subscriptionId) {
+        subscription = await database.getInstance().webhookSubscription.findUnique({
+          where: { id: log.subscriptionId }
+        });
+        url = subscription?.url;
+      } else {
+        const instance = await database.getInstance().instance.findUnique({
+          where: { id: log.instanceId }
+        });
+        url = instance?.webhookUrl;
+      }
+
+      if (!url) {
         return res.status(400).json({
           success: false,
-          error: 'Instance webhook URL not found'
+          error: log.subscriptionId ? 'Webhook subscription not found' : 'Instance webhook URL not found'
         });
       }
 
       // Trigger retry
       const result = await webhookService.triggerWebhook(
-        instance.webhookUrl,
+        url,
         payload,
-        log.instanceId
+        log.instanceId,
+        subscription
       );
 
       return res.json({
@@ -177,7 +192,8 @@ class WebhookController {
       const { instanceId, days = 7 } = req.query;
       const prisma = database.getInstance();
 
-      const where = instanceId ? { instanceId } : {};
+      const allowedInstanceIds = await apiKeyService.getAccessibleInstanceIds(req.auth);
+      const where = instanceId ? { instanceId } : (allowedInstanceIds ? { instanceId: { in: allowedInstanceIds } } : {});
       const dateFilter = {
         createdAt: {
           gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000)
@@ -232,6 +248,11 @@ class WebhookController {
       let where = {};
       if (instanceId) {
         where.instanceId = instanceId;
+      } else {
+        const allowedInstanceIds = await apiKeyService.getAccessibleInstanceIds(req.auth);
+        if (allowedInstanceIds) {
+          where.instanceId = { in: allowedInstanceIds };
+        }
       }
       if (days) {
         where.createdAt = {
@@ -256,6 +277,250 @@ class WebhookController {
       });
     }
   }
+
+  /**
+   * Get dead-lettered webhook deliveries for an instance
+   */
+  async getDeadLetters(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+
+      const { webhooks, total } = await webhookService.getDeadLetters(
+        instanceId,
+        parseInt(limit),
+        parseInt(offset)
+      );
+
+      return res.json({
+        success: true,
+        count: webhooks.length,
+        total,
+        data: webhooks.map(webhook => ({
+          ...webhook,
+          payload: JSON.parse(webhook.payload)
+        })),
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + webhooks.length < total
+        }
+      });
+    } catch (error) {
+      console.error('Error getting dead-lettered webhooks:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Replay dead-lettered webhook deliveries
+   */
+  async replayDeadLetters(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { ids } = req.body || {};
+
+      if (ids !== undefined && !Array.isArray(ids)) {
+        return res.status(400).json({
+          success: false,
+          error: 'ids must be an array of webhook IDs'
+        });
+      }
+
+      const replayed = await webhookService.replayDeadLetters(instanceId, ids);
+
+      return res.json({
+        success: true,
+        message: 'Dead-lettered webhooks queued for delivery',
+        replayedCount: replayed
+      });
+    } catch (error) {
+      console.error('Error replaying dead-lettered webhooks:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Purge dead-lettered webhook deliveries
+   */
+  async purgeDeadLetters(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { ids } = req.body || {};
+
+      if (ids !== undefined && !Array.isArray(ids)) {
+        return res.status(400).json({
+          success: false,
+          error: 'ids must be an array of webhook IDs'
+        });
+      }
+
+      const purged = await webhookService.purgeDeadLetters(instanceId, ids);
+
+      return res.json({
+        success: true,
+        message: 'Dead-lettered webhooks purged',
+        deletedCount: purged
+      });
+    } catch (error) {
+      console.error('Error purging dead-lettered webhooks:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Rotate the webhook signing secret of an instance
+   * POST /api/webhook/secret/:instanceId/rotate
+   */
+  async rotateSecret(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const { gracePeriodSeconds } = req.body || {};
+
+      if (gracePeriodSeconds !== undefined && (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'gracePeriodSeconds must be a non-negative integer'
+        });
+      }
+
+      const result = await webhookService.rotateSecret(instanceId, gracePeriodSeconds);
+
+      return res.json({
+        success: true,
+        message: 'Webhook secret rotated',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List webhook subscriptions
+   * GET /api/webhook/subscriptions/:instanceId
+   */
+  async getSubscriptions(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const subscriptions = await webhookService.listSubscriptions(instanceId);
+
+      return res.json({
+        success: true,
+        data: subscriptions,
+        count: subscriptions.length
+      });
+    } catch (error) {
+      console.error('Error getting webhook subscriptions:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a webhook subscription
+   * GET /api/webhook/subscriptions/:instanceId/:subscriptionId
+   */
+  async getSubscription(req, res) {
+    try {
+      const { instanceId, subscriptionId } = req.params;
+      const subscription = await webhookService.getSubscription(instanceId, subscriptionId);
+
+      return res.json({
+        success: true,
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error getting webhook subscription:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Create a webhook subscription
+   * POST /api/webhook/subscriptions/:instanceId
+   */
+  async createSubscription(req, res) {
+    try {
+      const { instanceId } = req.params;
+      const subscription = await webhookService.createSubscription(instanceId, req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        message: 'Webhook subscription created',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a webhook subscription
+   * PUT /api/webhook/subscriptions/:instanceId/:subscriptionId
+   */
+  async updateSubscription(req, res) {
+    try {
+      const { instanceId, subscriptionId } = req.params;
+      const subscription = await webhookService.updateSubscription(instanceId, subscriptionId, req.body || {});
+
+      return res.json({
+        success: true,
+        message: 'Webhook subscription updated',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error updating webhook subscription:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook subscription
+   * DELETE /api/webhook/subscriptions/:instanceId/:subscriptionId
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const { instanceId, subscriptionId } = req.params;
+      await webhookService.deleteSubscription(instanceId, subscriptionId);
+
+      return res.json({
+        success: true,
+        message: 'Webhook subscription deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Internal server error'
+      });
+    }
+  }
 }
 
 module.exports = new WebhookController();
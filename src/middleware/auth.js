@@ -1,32 +1,51 @@
 const config = require('../config/config');
+const apiKeyService = require('../services/apiKeyService');
+const jwtService = require('../services/jwtService');
 
 // API Key Authentication Middleware
-exports.apiKeyAuth = (req, res, next) => {
+// Falls back to JWT bearer authentication when enabled in config.auth.methods
+exports.apiKeyAuth = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.headers['X-API-Key'];
-  
-  if (!apiKey) {
+  const { methods } = config.auth;
+
+  if (!apiKey && methods.includes('jwt') && req.headers.authorization?.startsWith('Bearer ')) {
+    return exports.bearerAuth(req, res, next);
+  }
+
+  if (!apiKey || !methods.includes('apiKey')) {
     return res.status(401).json({
       success: false,
-      error: 'API key is required'
+      error: methods.includes('apiKey') ? 'API key is required' : 'Bearer token is required'
     });
   }
 
-  // Check if API key matches the one in environment/config
-  if (apiKey !== config.apiKey) {
-    return res.status(401).json({
+  try {
+    // Master key from environment/config or a tenant key from the database
+    const auth = await apiKeyService.authenticate(apiKey);
+
+    if (!auth) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    // API key is valid, proceed to next middleware
+    req.auth = auth;
+    next();
+  } catch (error) {
+    console.error('Error validating API key:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid API key'
+      error: 'Authentication failed'
     });
   }
-
-  // API key is valid, proceed to next middleware
-  next();
 };
 
-// Optional: Bearer Token Authentication (for future use)
+// JWT Bearer Token Authentication (HS256 with a shared secret or RS256 with a JWKS file)
 exports.bearerAuth = (req, res, next) => {
   const authHeader = req.headers.authorization;
-  
+
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({
       success: false,
@@ -35,9 +54,7 @@ exports.bearerAuth = (req, res, next) => {
   }
 
   const token = authHeader.substring(7);
-  
-  // TODO: Implement JWT verification or token validation
-  // For now, just check if token exists
+
   if (!token) {
     return res.status(401).json({
       success: false,
@@ -45,30 +62,79 @@ exports.bearerAuth = (req, res, next) => {
     });
   }
 
-  req.token = token;
+  try {
+    // Validates signature, expiry, audience and issuer, then maps claims to scopes/instances
+    req.auth = jwtService.verify(token);
+    req.token = token;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        error: 'Token expired'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        details: error.message
+      });
+    }
+
+    console.error('Error verifying bearer token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  }
+};
+
+// Scope authorization middleware
+// Accepts a single scope, or { read, write } to pick the scope by HTTP method
+exports.requireScope = (scope) => (req, res, next) => {
+  const required = typeof scope === 'string'
+    ? scope
+    : (['GET', 'HEAD'].includes(req.method) ? scope.read : scope.write);
+
+  if (!req.auth || !apiKeyService.hasScope(req.auth.scopes, required)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      requiredScope: required
+    });
+  }
+
   next();
 };
 
 // Instance ownership verification middleware
+// Reads the instance ID from the route params, the body or the query string.
+// Can also be registered with router.param('instanceId', ...)
 exports.verifyInstanceOwnership = async (req, res, next) => {
-  const { instanceId } = req.params;
-  
+  const instanceId = req.params.instanceId || req.body?.instanceId || req.query?.instanceId;
+
   if (!instanceId) {
-    return res.status(400).json({
-      success: false,
-      error: 'Instance ID is required'
-    });
+    return next();
   }
 
-  // TODO: Implement ownership verification logic
-  // For now, just check if instanceId is valid UUID format
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(instanceId)) {
-    return res.status(400).json({
+  try {
+    const allowed = await apiKeyService.canAccessInstance(req.auth, instanceId);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'API key is not allowed to access this instance'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error verifying instance ownership:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid instance ID format'
+      error: 'Failed to verify instance ownership'
     });
   }
-
-  next();
 };
@@ -0,0 +1,55 @@
+const idempotencyService = require('../services/idempotencyService');
+
+// Idempotency Middleware
+// Send requests with an Idempotency-Key header are sent once: repeats with the same
+// body get the stored response (header Idempotent-Replayed: true), repeats with another
+// body or while the first request is still running answer 409 with a code.
+exports.idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    idempotencyService.validateKey(key);
+
+    const owner = idempotencyService.getOwner(req.auth);
+    const requestHash = idempotencyService.hashRequest(req.method, req.baseUrl + req.path, req.body);
+    const { record, replay } = await idempotencyService.begin(owner, key, requestHash);
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(replay.responseStatus).json(replay.responseBody);
+    }
+
+    // Successful responses are stored before they are sent, any other response releases the key.
+    // A client that disconnects does not release it: the request keeps running and may still send.
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const success = res.statusCode >= 200 && res.statusCode < 300;
+      const store = success
+        ? idempotencyService.complete(record.id, res.statusCode, body)
+        : idempotencyService.release(record.id);
+
+      store
+        .catch(error => console.error('Error storing idempotency key:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error checking idempotency key:', error);
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to check idempotency key',
+      ...(error.status && error.code ? { code: error.code } : {})
+    });
+  }
+};
@@ -0,0 +1,33 @@
+const optOutService = require('../services/optOutService');
+
+// Opt-out Enforcement Middleware
+// Rejects sends to a recipient (body "to") on the instance's opt-out list with
+// 403 and code RECIPIENT_OPTED_OUT. Reads the instance ID from the route params or the body.
+exports.enforceOptOut = async (req, res, next) => {
+  const instanceId = req.params.instanceId || req.body?.instanceId;
+  const to = req.body?.to;
+
+  // Missing fields are reported by the route itself
+  if (!instanceId || !to || typeof to !== 'string') {
+    return next();
+  }
+
+  try {
+    await optOutService.assertCanSend(instanceId, to);
+    next();
+  } catch (error) {
+    if (error.code === optOutService.OPTED_OUT) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Error checking opt-out list:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check opt-out list'
+    });
+  }
+};
@@ -0,0 +1,16 @@
+const sendContextService = require('../services/sendContextService');
+
+// Send Context Middleware
+// Validates the optional correlationId and metadata of a send request and sets
+// req.sendContext, which is echoed back in the message.sent webhook of the sent message.
+exports.validateSendContext = (req, res, next) => {
+  try {
+    req.sendContext = sendContextService.fromBody(req.body || {});
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,47 @@
+const templateService = require('../services/templateService');
+
+// Message Template Middleware, mounted on /send: the send routes accept a stored
+// template (templateId, variables and an optional templateVersion in the body)
+// instead of inline content. The template type must match the route, /send/<type>.
+exports.applyTemplate = async (req, res, next) => {
+  const { instanceId, templateId, templateVersion, variables } = req.body || {};
+
+  // Without instanceId the route itself answers 400
+  if (!templateId || !instanceId) {
+    return next();
+  }
+
+  try {
+    const rendered = await templateService.render(instanceId, templateId, { variables, version: templateVersion });
+    const type = req.path.replace(/^\//, '');
+
+    if (rendered.type !== type) {
+      return res.status(400).json({
+        success: false,
+        error: `Template ${rendered.name} is a ${rendered.type} template, use /send/${rendered.type}`
+      });
+    }
+
+    if (rendered.missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing template variables: ${rendered.missing.join(', ')}`
+      });
+    }
+
+    // Inline fields of the request override the template content
+    const fields = { ...req.body };
+    delete fields.templateId;
+    delete fields.templateVersion;
+    delete fields.variables;
+
+    req.body = { ...rendered.content, ...fields };
+    next();
+  } catch (error) {
+    console.error('Error applying message template:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to apply message template'
+    });
+  }
+};
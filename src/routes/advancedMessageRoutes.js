@@ -1,10 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const advancedMessageController = require('../controllers/advancedMessageController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+const { applyTemplate } = require('../middleware/template');
+const { enforceOptOut } = require('../middleware/optOut');
+const { validateSendContext } = require('../middleware/sendContext');
+const { idempotency } = require('../middleware/idempotency');
 
 // Apply API key authentication to all routes
 router.use(apiKeyAuth);
+router.use(requireScope('message:send'));
+router.use(verifyInstanceOwnership);
+
+// Repeats with the same Idempotency-Key get the first response instead of a second message
+router.use('/send', idempotency);
+router.use('/forward', idempotency);
+
+// Send routes accept templateId + variables instead of inline content
+router.use('/send', applyTemplate);
+
+// Recipients on the opt-out list are rejected
+router.use('/send', enforceOptOut);
+router.use('/forward', enforceOptOut);
+
+// correlationId and metadata are echoed back in message.sent
+router.use('/send', validateSendContext);
+router.use('/forward', validateSendContext);
 
 // ============= BASIC MESSAGING ROUTES =============
 
@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Webhook management
-router.post('/webhook/validate', authController.validateApiKey, authController.validateWebhook);
-router.get('/webhook/events/:instanceId', authController.validateApiKey, authController.getWebhookEvents);
-router.get('/webhook/events', authController.validateApiKey, authController.getWebhookEvents);
-router.post('/webhook/retry/:webhookId', authController.validateApiKey, authController.retryWebhook);
+router.post('/webhook/validate', authController.validateApiKey, requireScope('webhook:manage'), verifyInstanceOwnership, authController.validateWebhook);
+router.get('/webhook/events/:instanceId', authController.validateApiKey, requireScope('webhook:read'), verifyInstanceOwnership, authController.getWebhookEvents);
+router.get('/webhook/events', authController.validateApiKey, requireScope('webhook:read'), authController.getWebhookEvents);
+router.post('/webhook/retry/:webhookId', authController.validateApiKey, requireScope('webhook:manage'), authController.retryWebhook);
+
+// Tenant management (admin only)
+router.post('/tenants', authController.validateApiKey, requireScope('admin'), authController.createTenant);
+router.get('/tenants', authController.validateApiKey, requireScope('admin'), authController.listTenants);
+router.post('/tenants/:tenantId/instances', authController.validateApiKey, requireScope('admin'), authController.assignTenantInstances);
+
+// API key management (admin only)
+router.post('/keys', authController.validateApiKey, requireScope('admin'), authController.generateApiKey);
+router.get('/keys', authController.validateApiKey, requireScope('admin'), authController.listApiKeys);
+router.post('/keys/:keyId/rotate', authController.validateApiKey, requireScope('admin'), authController.rotateApiKey);
+router.delete('/keys/:keyId', authController.validateApiKey, requireScope('admin'), authController.revokeApiKey);
 
 module.exports = router;
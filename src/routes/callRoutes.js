@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const callController = require('../controllers/callController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'call:read', write: 'call:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Call rejection
+router.get('/:instanceId/settings', callController.getSettings);
+router.put('/:instanceId/settings', callController.updateSettings);
+
+// Call log
+router.get('/:instanceId', callController.getCalls);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaignController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'message:send' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Campaigns
+router.post('/:instanceId', campaignController.createCampaign);
+router.get('/:instanceId', campaignController.getCampaigns);
+router.get('/:instanceId/:campaignId', campaignController.getCampaign);
+router.put('/:instanceId/:campaignId', campaignController.updateCampaign);
+router.delete('/:instanceId/:campaignId', campaignController.deleteCampaign);
+
+// Recipients, CSV can be posted as a text/csv body
+router.post(
+  '/:instanceId/:campaignId/recipients',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }),
+  campaignController.addRecipients
+);
+router.delete('/:instanceId/:campaignId/recipients', campaignController.clearRecipients);
+
+// Sending
+router.post('/:instanceId/:campaignId/start', campaignController.startCampaign);
+router.post('/:instanceId/:campaignId/pause', campaignController.pauseCampaign);
+router.post('/:instanceId/:campaignId/resume', campaignController.resumeCampaign);
+router.post('/:instanceId/:campaignId/cancel', campaignController.cancelCampaign);
+
+// Delivery report, format=csv exports it
+router.get('/:instanceId/:campaignId/report', campaignController.getReport);
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const channelController = require('../controllers/channelController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'channel:read', write: 'channel:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Get list of known channels (subscribed newsletters)
 router.get('/:instanceId', channelController.getChannels);
@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
 const authController = require('../controllers/authController');
+const { requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(authController.validateApiKey);
+router.use(requireScope({ read: 'chat:read', write: 'chat:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Chat management routes
 router.get('/:instanceId', chatController.getChats);
@@ -15,6 +18,7 @@ router.get('/:instanceId/:chatId/messages', chatController.getMessagesInChat);
 router.delete('/:instanceId/:chatId/messages', chatController.clearAllMessages);
 router.post('/:instanceId/:chatId/read', chatController.readUnreadMessages);
 router.get('/:instanceId/:chatId/messages/:messageId', chatController.getMessageById);
+router.get('/:instanceId/:chatId/messages/:messageId/receipts', chatController.getMessageReceipts);
 router.delete('/:instanceId/:chatId/messages/:messageId', chatController.deleteMessage);
 router.put('/:instanceId/:chatId/messages/:messageId', chatController.editMessage);
 router.post('/:instanceId/:chatId/messages/:messageId/pin', chatController.pinMessage);
@@ -23,4 +27,12 @@ router.post('/:instanceId/:chatId/archive', chatController.archiveChat);
 router.post('/:instanceId/:chatId/unarchive', chatController.unarchiveChat);
 router.post('/:instanceId/:chatId/unread', chatController.unreadChat);
 
+// Shared inbox
+router.get('/:instanceId/:chatId/inbox', chatController.getInbox);
+router.put('/:instanceId/:chatId/inbox', chatController.updateInbox);
+router.get('/:instanceId/:chatId/notes', chatController.getNotes);
+router.post('/:instanceId/:chatId/notes', chatController.addNote);
+router.put('/:instanceId/:chatId/notes/:noteId', chatController.updateNote);
+router.delete('/:instanceId/:chatId/notes/:noteId', chatController.deleteNote);
+
 module.exports = router;
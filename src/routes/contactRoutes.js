@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'contact:read', write: 'contact:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Contact routes
 router.get('/:instanceId/all', contactController.getAllContacts);
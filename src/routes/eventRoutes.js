@@ -1,12 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+const { enforceOptOut } = require('../middleware/optOut');
+const { validateSendContext } = require('../middleware/sendContext');
+const { idempotency } = require('../middleware/idempotency');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'event:send' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Event routes
-router.post('/:instanceId', eventController.sendEvent);
+router.post('/:instanceId', idempotency, enforceOptOut, validateSendContext, eventController.sendEvent);
+router.get('/:instanceId', eventController.getEvents);
+router.post('/:instanceId/:messageId/cancel', idempotency, eventController.cancelEvent);
+
+// RSVPs
+router.get('/:instanceId/:messageId/responses', eventController.getResponses);
 
 module.exports = router;
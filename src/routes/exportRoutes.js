@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope('message:read'));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Export jobs
+router.post('/:instanceId/jobs', exportController.createJob);
+router.get('/:instanceId/jobs', exportController.getJobs);
+router.get('/:instanceId/jobs/:jobId', exportController.getJob);
+router.get('/:instanceId/jobs/:jobId/download', exportController.downloadJob);
+router.delete('/:instanceId/jobs/:jobId', exportController.deleteJob);
+
+// Streamed exports
+router.get('/:instanceId/chats/:chatId', exportController.exportChat);
+router.get('/:instanceId', exportController.exportInstance);
+
+module.exports = router;
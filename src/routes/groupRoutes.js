@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const groupController = require('../controllers/groupController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'group:read', write: 'group:admin' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Group management routes
 router.get('/:instanceId', groupController.getGroups);
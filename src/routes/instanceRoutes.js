@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const instanceController = require('../controllers/instanceController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'instance:read', write: 'instance:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Instance management routes
 router.post('/create', instanceController.create);
@@ -19,4 +21,8 @@ router.post('/:instanceId/restart', instanceController.restart);
 router.post('/:instanceId/logout', instanceController.logout);
 router.get('/', instanceController.getAll);
 
+// Business hours, greeting and away messages
+router.get('/:instanceId/business-hours', instanceController.getBusinessHours);
+router.put('/:instanceId/business-hours', instanceController.updateBusinessHours);
+
 module.exports = router;
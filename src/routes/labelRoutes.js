@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const labelController = require('../controllers/labelController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'label:read', write: 'label:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Label routes (WhatsApp Business only)
 router.get('/:instanceId', labelController.getAllLabels);
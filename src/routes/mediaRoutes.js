@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+const authController = require('../controllers/authController');
+const { requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// The API key may also be passed as ?apiKey= so media URLs work in <img>/<video> tags
+router.use(authController.validateApiKey);
+router.use(requireScope('message:read'));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Downloaded media of a message (GET also answers HEAD)
+router.get('/:instanceId/:messageId', mediaController.getMedia);
+
+module.exports = router;
@@ -1,18 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+const { validateSendContext } = require('../middleware/sendContext');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'message:send' }));
+router.use(verifyInstanceOwnership);
+router.param('instanceId', verifyInstanceOwnership);
 
 // Message sending routes
-router.post('/send/bulk', messageController.sendBulk);
+router.post('/send/bulk', validateSendContext, messageController.sendBulk);
 
 // Message management routes
 router.get('/chats/:instanceId', messageController.getChats);
 router.get('/chat/:instanceId/:chatId', messageController.getChatMessages);
 router.get('/all/:instanceId', messageController.getAllMessages);
+router.get('/search/:instanceId', messageController.searchMessages);
 router.delete('/:instanceId/:messageId', messageController.deleteMessage);
 
 // Chat actions
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const observabilityController = require('../controllers/observabilityController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope } = require('../middleware/auth');
 
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'observability:read', write: 'admin' }));
 
 // Public endpoints (no auth required)
 router.get('/ping', observabilityController.ping);
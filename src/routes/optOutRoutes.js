@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const optOutController = require('../controllers/optOutController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'contact:read', write: 'contact:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Keywords and confirmation reply
+router.get('/:instanceId/settings', optOutController.getSettings);
+router.put('/:instanceId/settings', optOutController.updateSettings);
+
+// Opt-out list
+router.get('/:instanceId', optOutController.getOptOuts);
+router.get('/:instanceId/check/:phone', optOutController.checkOptOut);
+router.post('/:instanceId', optOutController.addOptOut);
+router.post(
+  '/:instanceId/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  optOutController.importOptOuts
+);
+router.delete('/:instanceId/:phone', optOutController.removeOptOut);
+
+module.exports = router;
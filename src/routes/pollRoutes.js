@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const pollController = require('../controllers/pollController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope('message:read'));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Poll results
+router.get('/:instanceId', pollController.getPolls);
+router.get('/:instanceId/:messageId', pollController.getResults);
+
+module.exports = router;
@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const presenceController = require('../controllers/presenceController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'presence:read', write: 'presence:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Presence routes
 router.post('/:instanceId', presenceController.setPresence);
 router.get('/:instanceId', presenceController.getAllPresence);
 router.get('/:instanceId/:chatId', presenceController.getPresence);
+router.get('/:instanceId/:chatId/history', presenceController.getPresenceHistory);
 router.post('/:instanceId/:chatId/subscribe', presenceController.subscribePresence);
 
 module.exports = router;
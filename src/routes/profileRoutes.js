@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const profileController = require('../controllers/profileController.js');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'profile:read', write: 'profile:manage' }));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Get my profile
 router.get('/:instanceId', profileController.getProfile);
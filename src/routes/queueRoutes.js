@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const queueController = require('../controllers/queueController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'message:send' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Outbound queue jobs
+router.get('/:instanceId/jobs', queueController.getJobs);
+router.get('/:instanceId/jobs/:jobId', queueController.getJob);
+router.get('/:instanceId/jobs/:jobId/messages', queueController.getJobMessages);
+router.post('/:instanceId/jobs/:jobId/cancel', queueController.cancelJob);
+router.post('/:instanceId/jobs/:jobId/pause', queueController.pauseJob);
+router.post('/:instanceId/jobs/:jobId/resume', queueController.resumeJob);
+
+// Per-instance rate, jitter and daily cap
+router.get('/:instanceId/settings', queueController.getSettings);
+router.put('/:instanceId/settings', queueController.updateSettings);
+
+module.exports = router;
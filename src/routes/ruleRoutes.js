@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const ruleController = require('../controllers/ruleController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'message:send' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Dry run
+router.post('/:instanceId/test', ruleController.testRules);
+
+// Auto-reply rules
+router.post('/:instanceId', ruleController.createRule);
+router.get('/:instanceId', ruleController.getRules);
+router.get('/:instanceId/:ruleId', ruleController.getRule);
+router.put('/:instanceId/:ruleId', ruleController.updateRule);
+router.delete('/:instanceId/:ruleId', ruleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const scheduledController = require('../controllers/scheduledController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'message:send' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Scheduled and recurring messages
+router.post('/:instanceId', scheduledController.createScheduled);
+router.get('/:instanceId', scheduledController.getScheduled);
+router.get('/:instanceId/:id', scheduledController.getScheduledById);
+router.put('/:instanceId/:id', scheduledController.updateScheduled);
+router.delete('/:instanceId/:id', scheduledController.cancelScheduled);
+
+module.exports = router;
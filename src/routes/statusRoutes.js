@@ -1,17 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const statusController = require('../controllers/statusController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope('status:send'));
+router.param('instanceId', verifyInstanceOwnership);
 
 // Status routes
-router.post('/:instanceId/text', statusController.sendTextStatus);
-router.post('/:instanceId/image', statusController.sendImageStatus);
-router.post('/:instanceId/voice', statusController.sendVoiceStatus);
-router.post('/:instanceId/video', statusController.sendVideoStatus);
-router.post('/:instanceId/delete', statusController.deleteStatus);
+router.post('/:instanceId/text', idempotency, statusController.sendTextStatus);
+router.post('/:instanceId/image', idempotency, statusController.sendImageStatus);
+router.post('/:instanceId/voice', idempotency, statusController.sendVoiceStatus);
+router.post('/:instanceId/video', idempotency, statusController.sendVideoStatus);
+router.post('/:instanceId/delete', idempotency, statusController.deleteStatus);
 router.get('/:instanceId/new-message-id', statusController.generateNewMessageId);
 
 module.exports = router;
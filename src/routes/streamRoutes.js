@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+const authController = require('../controllers/authController');
+const { requireScope } = require('../middleware/auth');
+
+// EventSource can not set headers, so the API key may also be passed as ?apiKey=
+router.use(authController.validateApiKey);
+router.use(requireScope('stream:read'));
+
+// Server-Sent Events feed. The WebSocket feed is served on /api/stream/ws (see eventStreamService)
+router.get('/sse', streamController.sse);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(apiKeyAuth);
+router.use(requireScope({ read: 'message:read', write: 'message:send' }));
+router.param('instanceId', verifyInstanceOwnership);
+
+// Message templates
+router.post('/:instanceId', templateController.createTemplate);
+router.get('/:instanceId', templateController.getTemplates);
+router.get('/:instanceId/:templateId', templateController.getTemplate);
+router.put('/:instanceId/:templateId', templateController.updateTemplate);
+router.delete('/:instanceId/:templateId', templateController.deleteTemplate);
+
+// Versions and preview
+router.get('/:instanceId/:templateId/versions', templateController.getTemplateVersions);
+router.post('/:instanceId/:templateId/preview', templateController.previewTemplate);
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, verifyInstanceOwnership } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
 router.use(apiKeyAuth);
+router.use(requireScope({ read: 'webhook:read', write: 'webhook:manage' }));
+router.use(verifyInstanceOwnership);
+router.param('instanceId', verifyInstanceOwnership);
 
 // Test webhook URL
 router.post('/test', webhookController.testWebhook);
@@ -24,4 +27,19 @@ router.get('/stats', webhookController.getWebhookStats);
 // Clear webhook logs
 router.delete('/logs', webhookController.clearWebhookLogs);
 
+// Dead-lettered deliveries (failed after all retries)
+router.get('/dead-letters/:instanceId', webhookController.getDeadLetters);
+router.post('/dead-letters/:instanceId/replay', webhookController.replayDeadLetters);
+router.delete('/dead-letters/:instanceId', webhookController.purgeDeadLetters);
+
+// Rotate the webhook signing secret (previous secret stays valid for a grace period)
+router.post('/secret/:instanceId/rotate', webhookController.rotateSecret);
+
+// Webhook subscriptions (additional endpoints with event filters)
+router.get('/subscriptions/:instanceId', webhookController.getSubscriptions);
+router.post('/subscriptions/:instanceId', webhookController.createSubscription);
+router.get('/subscriptions/:instanceId/:subscriptionId', webhookController.getSubscription);
+router.put('/subscriptions/:instanceId/:subscriptionId', webhookController.updateSubscription);
+router.delete('/subscriptions/:instanceId/:subscriptionId', webhookController.deleteSubscription);
+
 module.exports = router;
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const config = require('../config/config');
+
+// Scopes that can be granted to a tenant API key.
+// `<resource>:*` grants every scope of a resource. The master key (config.apiKey)
+// holds `*`, which is the only way to get the `admin` scope.
+const SCOPES = [
+  'instance:read',
+  'instance:manage',
+  'message:read',
+  'message:send',
+  'chat:read',
+  'chat:manage',
+  'group:read',
+  'group:admin',
+  'contact:read',
+  'contact:manage',
+  'presence:read',
+  'presence:manage',
+  'profile:read',
+  'profile:manage',
+  'channel:read',
+  'channel:manage',
+  'status:send',
+  'event:send',
+  'label:read',
+  'label:manage',
+  'call:read',
+  'call:manage',
+  'webhook:read',
+  'webhook:manage',
+  'observability:read',
+  'stream:read'
+];
+
+class ApiKeyService {
+  constructor() {
+    this.cache = new Map(); // keyHash -> { apiKey, expiresAt }
+    this.scopes = SCOPES;
+  }
+
+  /**
+   * Hash an API key for storage/lookup
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate a new random API key
+   */
+  generateKey() {
+    return `${config.auth.apiKeyPrefix}_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Check whether a list of granted scopes satisfies a required scope
+   */
+  hasScope(granted = [], required) {
+    if (granted.includes('*') || granted.includes(required)) {
+      return true;
+    }
+
+    const [resource] = required.split(':');
+    return granted.includes(`${resource}:*`);
+  }
+
+  /**
+   * Validate a list of scopes, returns the invalid ones
+   */
+  getInvalidScopes(scopes) {
+    return scopes.filter(scope => {
+      if (SCOPES.includes(scope)) return false;
+      if (scope.endsWith(':*')) {
+        const resource = scope.slice(0, -2);
+        return !SCOPES.some(s => s.startsWith(`${resource}:`));
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Resolve a raw API key into an auth context, or null when invalid
+   * @param {string} key - API key from the request
+   * @returns {Promise<object|null>}
+   */
+  async authenticate(key) {
+    if (!key) {
+      return null;
+    }
+
+    // The configured API key is the master key with full access
+    if (key === config.apiKey) {
+      return {
+        type: 'master',
+        keyId: null,
+        tenantId: null,
+        scopes: ['*'],
+        instanceIds: null
+      };
+    }
+
+    const keyHash = this.hashKey(key);
+    let apiKey;
+
+    const cached = this.cache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+      apiKey = cached.apiKey;
+    } else {
+      const prisma = database.getInstance();
+      apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash },
+        include: { tenant: true }
+      });
+
+      if (!apiKey) {
+        this.cache.delete(keyHash);
+        return null;
+      }
+
+      this.cache.set(keyHash, {
+        apiKey,
+        expiresAt: Date.now() + config.auth.apiKeyCacheTtl
+      });
+    }
+
+    if (apiKey.revokedAt || !apiKey.tenant?.isActive) {
+      return null;
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    this.touch(apiKey);
+
+    return {
+      type: 'apiKey',
+      keyId: apiKey.id,
+      tenantId: apiKey.tenantId,
+      scopes: Array.isArray(apiKey.scopes) ? apiKey.scopes : [],
+      instanceIds: Array.isArray(apiKey.instanceIds) ? apiKey.instanceIds : null
+    };
+  }
+
+  /**
+   * Record key usage, at most once per cache period
+   */
+  touch(apiKey) {
+    const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed < config.auth.apiKeyCacheTtl) {
+      return;
+    }
+
+    apiKey.lastUsedAt = new Date();
+    database.getInstance().apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: apiKey.lastUsedAt }
+    }).catch(error => {
+      console.error('Error updating API key usage:', error.message);
+    });
+  }
+
+  /**
+   * Check whether an auth context may access an instance
+   */
+  async canAccessInstance(auth, instanceId) {
+    if (!auth) return false;
+    if (auth.type === 'master') return true;
+    if (!instanceId) return false;
+
+    if (auth.instanceIds && !auth.instanceIds.includes(instanceId)) {
+      return false;
+    }
+
+    // Bearer tokens without a tenant claim are limited by their instance list only
+    if (!auth.tenantId) {
+      return true;
+    }
+
+    // Instances moved to another tenant are no longer reachable, even if listed on the key
+    const prisma = database.getInstance();
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: { tenantId: true }
+    });
+
+    return instance?.tenantId === auth.tenantId;
+  }
+
+  /**
+   * Get the instance IDs an auth context is limited to, or null when unrestricted
+   */
+  async getAccessibleInstanceIds(auth) {
+    if (!auth || auth.type === 'master') {
+      return null;
+    }
+
+    if (!auth.tenantId) {
+      return auth.instanceIds;
+    }
+
+    const where = { tenantId: auth.tenantId };
+    if (auth.instanceIds) {
+      where.id = { in: auth.instanceIds };
+    }
+
+    const prisma = database.getInstance();
+    const instances = await prisma.instance.findMany({
+      where,
+      select: { id: true }
+    });
+
+    return instances.map(instance => instance.id);
+  }
+
+  /**
+   * Create a tenant, optionally assigning existing instances to it
+   */
+  async createTenant({ name, instanceIds = [] }) {
+    const prisma = database.getInstance();
+
+    const tenant = await prisma.tenant.create({
+      data: { name }
+    });
+
+    if (instanceIds.length > 0) {
+      await this.assignInstances(tenant.id, instanceIds);
+    }
+
+    return tenant;
+  }
+
+  /**
+   * List tenants with their instances and key counts
+   */
+  async listTenants() {
+    const prisma = database.getInstance();
+
+    return prisma.tenant.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: {
+        instances: { select: { id: true, name: true, phoneNumber: true } },
+        _count: { select: { apiKeys: true } }
+      }
+    });
+  }
+
+  /**
+   * Assign instances to a tenant
+   */
+  async assignInstances(tenantId, instanceIds) {
+    const prisma = database.getInstance();
+
+    const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+    if (!tenant) {
+      const error = new Error('Tenant not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const result = await prisma.instance.updateMany({
+      where: { id: { in: instanceIds } },
+      data: { tenantId }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Mint a new API key. The plain key is only returned here.
+   */
+  async createKey({ tenantId, name, scopes, instanceIds = null, expiresAt = null }) {
+    const prisma = database.getInstance();
+
+    const invalidScopes = this.getInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      const error = new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+    if (!tenant) {
+      const error = new Error('Tenant not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (instanceIds) {
+      const owned = await prisma.instance.count({
+        where: { id: { in: instanceIds }, tenantId }
+      });
+
+      if (owned !== instanceIds.length) {
+        const error = new Error('All instanceIds must belong to the tenant');
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    const key = this.generateKey();
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        tenantId,
+        name,
+        keyPrefix: key.substring(0, config.auth.apiKeyPrefix.length + 9),
+        keyHash: this.hashKey(key),
+        scopes,
+        instanceIds,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      }
+    });
+
+    return { ...this.serialize(apiKey), apiKey: key };
+  }
+
+  /**
+   * List API keys, optionally for a single tenant
+   */
+  async listKeys(tenantId = null) {
+    const prisma = database.getInstance();
+
+    const keys = await prisma.apiKey.findMany({
+      where: tenantId ? { tenantId } : {},
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return keys.map(key => this.serialize(key));
+  }
+
+  /**
+   * Replace the secret of an API key, the old key stops working immediately
+   */
+  async rotateKey(id) {
+    const prisma = database.getInstance();
+
+    const existing = await prisma.apiKey.findUnique({ where: { id } });
+    if (!existing || existing.revokedAt) {
+      const error = new Error('API key not found or revoked');
+      error.status = 404;
+      throw error;
+    }
+
+    const key = this.generateKey();
+    const apiKey = await prisma.apiKey.update({
+      where: { id },
+      data: {
+        keyPrefix: key.substring(0, config.auth.apiKeyPrefix.length + 9),
+        keyHash: this.hashKey(key)
+      }
+    });
+
+    this.cache.delete(existing.keyHash);
+    return { ...this.serialize(apiKey), apiKey: key };
+  }
+
+  /**
+   * Revoke an API key
+   */
+  async revokeKey(id) {
+    const prisma = database.getInstance();
+
+    const existing = await prisma.apiKey.findUnique({ where: { id } });
+    if (!existing) {
+      const error = new Error('API key not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: existing.revokedAt || new Date() }
+    });
+
+    this.cache.delete(existing.keyHash);
+    return this.serialize(apiKey);
+  }
+
+  /**
+   * Strip the hash before returning a key record
+   */
+  serialize(apiKey) {
+    const { keyHash, ...rest } = apiKey;
+    return rest;
+  }
+}
+
+module.exports = new ApiKeyService();
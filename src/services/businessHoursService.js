@@ -0,0 +1,304 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const optOutService = require('./optOutService');
+const { renderTemplate } = require('../utils/template');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Business hours of an instance, like the greeting and away messages of the
+// WhatsApp Business app. Hours are wall-clock times in the instance timezone.
+// The away message is sent once per closed window: the time between two opening
+// hours, identified by the local time the business closed.
+class BusinessHoursService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Parse a HH:MM time (24:00 ends a day) to minutes since midnight
+   */
+  parseTime(value) {
+    const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(value || '');
+    const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+    return minutes !== null && minutes <= 1440 ? minutes : null;
+  }
+
+  formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Validate opening hours of a day, from has to be before to
+   */
+  validateRanges(ranges, field) {
+    if (!Array.isArray(ranges)) {
+      this.fail(`${field} must be an array of { from, to } hours`);
+    }
+
+    for (const range of ranges) {
+      const from = this.parseTime(range?.from);
+      const to = this.parseTime(range?.to);
+
+      if (from === null || to === null || from >= to) {
+        this.fail(`${field} hours need from before to as HH:MM, split hours past midnight over two days`);
+      }
+    }
+  }
+
+  /**
+   * Validate business hours settings, omitted fields are not checked
+   */
+  validate({ timezone, schedule, holidays, greetingAfterDays }) {
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        this.fail(`Invalid timezone ${timezone}`);
+      }
+    }
+
+    if (schedule !== undefined) {
+      if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        this.fail(`schedule must be an object with the days ${DAYS.join(', ')}`);
+      }
+
+      for (const [day, ranges] of Object.entries(schedule)) {
+        if (!DAYS.includes(day)) {
+          this.fail(`Invalid schedule day ${day}. Must be one of: ${DAYS.join(', ')}`);
+        }
+        this.validateRanges(ranges, `schedule.${day}`);
+      }
+    }
+
+    if (holidays !== undefined && holidays !== null) {
+      if (!Array.isArray(holidays)) {
+        this.fail('holidays must be an array');
+      }
+
+      for (const holiday of holidays) {
+        if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(holiday?.date || '')) {
+          this.fail('Every holiday needs a date as YYYY-MM-DD, or MM-DD for every year');
+        }
+        if (holiday.hours !== undefined) {
+          this.validateRanges(holiday.hours, `holiday ${holiday.date}`);
+        }
+      }
+    }
+
+    if (greetingAfterDays !== undefined && (!Number.isInteger(greetingAfterDays) || greetingAfterDays < 1)) {
+      this.fail('greetingAfterDays must be a positive integer');
+    }
+  }
+
+  /**
+   * Get the business hours of an instance, defaults when they were never set
+   */
+  async get(instanceId) {
+    const prisma = database.getInstance();
+
+    const settings = await prisma.businessHours.findUnique({ where: { instanceId } });
+    if (settings) {
+      return settings;
+    }
+
+    const instance = await prisma.instance.findUnique({ where: { id: instanceId }, select: { id: true } });
+    if (!instance) {
+      this.fail('Instance not found', 404);
+    }
+
+    return {
+      instanceId,
+      timezone: config.scheduler.timezone,
+      schedule: {},
+      holidays: [],
+      greetingEnabled: false,
+      greetingMessage: null,
+      greetingAfterDays: 14,
+      awayEnabled: false,
+      awayMessage: null
+    };
+  }
+
+  /**
+   * Update the business hours of an instance, omitted fields keep their value
+   */
+  async update(instanceId, changes) {
+    const prisma = database.getInstance();
+    const current = await this.get(instanceId);
+
+    const fields = ['timezone', 'schedule', 'holidays', 'greetingEnabled', 'greetingMessage', 'greetingAfterDays', 'awayEnabled', 'awayMessage'];
+    const data = {};
+    for (const field of fields) {
+      if (changes[field] !== undefined) {
+        data[field] = changes[field];
+      }
+    }
+
+    this.validate(data);
+
+    const next = { ...current, ...data };
+
+    if (next.greetingEnabled && !next.greetingMessage) {
+      this.fail('greetingMessage is required to enable the greeting');
+    }
+
+    if (next.awayEnabled && !next.awayMessage) {
+      this.fail('awayMessage is required to enable the away message');
+    }
+
+    const saved = Object.fromEntries(fields.map(field => [field, next[field]]));
+    saved.holidays = saved.holidays || [];
+
+    return prisma.businessHours.upsert({
+      where: { instanceId },
+      create: { instanceId, ...saved },
+      update: saved
+    });
+  }
+
+  /**
+   * Local date (YYYY-MM-DD) and minutes since midnight of a date in a timezone
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date);
+
+    const part = type => parts.find(item => item.type === type).value;
+
+    return {
+      date: `${part('year')}-${part('month')}-${part('day')}`,
+      minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+  }
+
+  /**
+   * Move a local YYYY-MM-DD date by a number of days
+   */
+  shiftDate(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Opening hours of a local date in minutes, holidays replace the weekly schedule
+   * @returns {object[]} [{ from, to }]
+   */
+  getRanges(settings, date) {
+    const holiday = (settings.holidays || []).find(item => item.date === date || item.date === date.slice(5));
+    const day = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const ranges = holiday ? holiday.hours || [] : (settings.schedule || {})[day] || [];
+
+    return ranges.map(range => ({ from: this.parseTime(range.from), to: this.parseTime(range.to) }));
+  }
+
+  /**
+   * Whether the business is open at a date
+   */
+  isOpen(settings, date = new Date()) {
+    const local = this.getLocalTime(date, settings.timezone);
+    return this.getRanges(settings, local.date).some(range => local.minutes >= range.from && local.minutes < range.to);
+  }
+
+  /**
+   * Closed window a date falls in, named after the local time the business closed
+   * (2026-01-05T17:00). Looks back a year, a business that was never open in that
+   * time is in the single window "closed".
+   * @returns {string|null} null when the business is open
+   */
+  getClosedWindow(settings, date = new Date()) {
+    const local = this.getLocalTime(date, settings.timezone);
+    const today = this.getRanges(settings, local.date);
+
+    if (today.some(range => local.minutes >= range.from && local.minutes < range.to)) {
+      return null;
+    }
+
+    const closedToday = today.filter(range => range.to <= local.minutes).map(range => range.to);
+    if (closedToday.length > 0) {
+      return `${local.date}T${this.formatTime(Math.max(...closedToday))}`;
+    }
+
+    for (let days = 1; days <= 366; days++) {
+      const previous = this.shiftDate(local.date, -days);
+      const ranges = this.getRanges(settings, previous);
+
+      if (ranges.length > 0) {
+        return `${previous}T${this.formatTime(Math.max(...ranges.map(range => range.to)))}`;
+      }
+    }
+
+    return 'closed';
+  }
+
+  /**
+   * Send the away message outside business hours, at most once per closed window,
+   * or the greeting on the first message of a new conversation
+   * @param {object} message - { chatId, from, pushName, timestamp, previousMessageAt, socket }
+   * @returns {Promise<string|null>} away, greeting, or null when nothing was sent
+   */
+  async handleIncomingMessage(instanceId, { chatId, from, pushName, timestamp, previousMessageAt, socket }) {
+    if (!socket || !optOutService.isPersonal(chatId || '')) {
+      return null;
+    }
+
+    try {
+      const prisma = database.getInstance();
+      const settings = await prisma.businessHours.findUnique({ where: { instanceId } });
+
+      if (!settings || (!settings.greetingEnabled && !settings.awayEnabled)) {
+        return null;
+      }
+
+      let kind = null;
+      const window = settings.awayEnabled ? this.getClosedWindow(settings, timestamp) : null;
+
+      if (window) {
+        // Claim the window on the chat, so that concurrent messages send it once
+        const { count } = await prisma.chat.updateMany({
+          where: {
+            instanceId,
+            chatId,
+            OR: [{ awayWindow: null }, { awayWindow: { not: window } }]
+          },
+          data: { awayWindow: window }
+        });
+
+        kind = count > 0 ? 'away' : null;
+      } else if (settings.greetingEnabled) {
+        const idle = settings.greetingAfterDays * 24 * 60 * 60 * 1000;
+        const isNew = !previousMessageAt || timestamp - previousMessageAt >= idle;
+
+        kind = isNew ? 'greeting' : null;
+      }
+
+      if (!kind || await optOutService.isOptedOut(instanceId, chatId)) {
+        return null;
+      }
+
+      const text = renderTemplate(kind === 'away' ? settings.awayMessage : settings.greetingMessage, {
+        name: pushName || '',
+        phone: (from || chatId).split('@')[0].split(':')[0]
+      });
+
+      await socket.sendMessage(chatId, { text }, { context: { automated: true } });
+
+      console.log(`Sent ${kind} message to ${chatId} on instance ${instanceId}`);
+      return kind;
+    } catch (error) {
+      console.error('Error sending greeting or away message:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new BusinessHoursService();
@@ -0,0 +1,207 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const optOutService = require('./optOutService');
+
+const STATUSES = ['offer', 'ringing', 'accept', 'reject', 'timeout', 'terminate'];
+
+// Call log and automatic call rejection. Every incoming call is logged, instances
+// with rejectCalls reject offers right away and reply to the caller, at most once
+// per cooldown. The cooldown is read from the call log, so it survives restarts.
+class CallService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Get the call settings of an instance, falling back to the config defaults
+   */
+  async getSettings(instanceId) {
+    const prisma = database.getInstance();
+
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: { rejectCalls: true, callRejectMessage: true, callRejectCooldown: true }
+    });
+
+    if (!instance) {
+      this.fail('Instance not found', 404);
+    }
+
+    return {
+      rejectCalls: instance.rejectCalls,
+      message: instance.callRejectMessage ?? config.calls.rejectMessage,
+      cooldownSeconds: instance.callRejectCooldown ?? config.calls.replyCooldown
+    };
+  }
+
+  /**
+   * Update the call settings of an instance, null restores the default
+   * @param {object} settings - { rejectCalls, message ('' disables the reply), cooldownSeconds }
+   */
+  async updateSettings(instanceId, { rejectCalls, message, cooldownSeconds }) {
+    const prisma = database.getInstance();
+
+    if (rejectCalls !== undefined && typeof rejectCalls !== 'boolean') {
+      this.fail('rejectCalls must be a boolean');
+    }
+
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+      this.fail('message must be a string');
+    }
+
+    if (cooldownSeconds !== undefined && cooldownSeconds !== null && (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0)) {
+      this.fail('cooldownSeconds must be a non-negative integer');
+    }
+
+    await this.getSettings(instanceId);
+
+    await prisma.instance.update({
+      where: { id: instanceId },
+      data: {
+        rejectCalls,
+        callRejectMessage: message,
+        callRejectCooldown: cooldownSeconds
+      }
+    });
+
+    return this.getSettings(instanceId);
+  }
+
+  /**
+   * Log a call event and reject offers of instances that reject calls
+   * @param {object} call - Baileys call event
+   * @param {object} socket - Socket of the instance
+   * @returns {Promise<object>} { autoRejected, replied }
+   */
+  async handleCall(instanceId, call, socket) {
+    const prisma = database.getInstance();
+    const result = { autoRejected: false, replied: false };
+
+    try {
+      const log = await prisma.callLog.upsert({
+        where: { instanceId_callId: { instanceId, callId: call.id } },
+        update: {},
+        create: {
+          instanceId,
+          callId: call.id,
+          from: call.from,
+          fromName: call.pushName || null,
+          groupJid: call.groupJid || null,
+          isVideo: call.isVideo || false,
+          isGroup: call.isGroup || false,
+          status: call.status
+        }
+      });
+
+      // An auto-rejected call stays reject, the terminate event that follows does not replace it
+      if (!log.autoRejected && log.status !== call.status) {
+        await prisma.callLog.update({
+          where: { id: log.id },
+          data: { status: call.status }
+        });
+      }
+
+      if (call.status !== 'offer' || !socket) {
+        return result;
+      }
+
+      const settings = await this.getSettings(instanceId);
+      if (!settings.rejectCalls) {
+        return result;
+      }
+
+      await socket.rejectCall(call.id, call.from);
+      result.autoRejected = true;
+
+      if (settings.message && await this.canReply(instanceId, call.from, settings.cooldownSeconds)) {
+        await socket.sendMessage(call.from, { text: settings.message }, { context: { automated: true } });
+        result.replied = true;
+      }
+
+      await prisma.callLog.update({
+        where: { id: log.id },
+        data: { status: 'reject', ...result }
+      });
+
+      console.log(`Rejected ${call.isVideo ? 'video' : 'voice'} call from ${call.from} on instance ${instanceId}`);
+    } catch (error) {
+      console.error('Error handling call:', error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a rejected caller gets the reply: not opted out and not replied to within the cooldown
+   */
+  async canReply(instanceId, from, cooldownSeconds) {
+    if (await optOutService.isOptedOut(instanceId, from)) {
+      return false;
+    }
+
+    const recent = await database.getInstance().callLog.findFirst({
+      where: {
+        instanceId,
+        from,
+        replied: true,
+        createdAt: { gte: new Date(Date.now() - cooldownSeconds * 1000) }
+      },
+      select: { id: true }
+    });
+
+    return !recent;
+  }
+
+  /**
+   * List the calls of an instance, newest first
+   */
+  async list(instanceId, { from, status, isVideo, autoRejected, since, until, limit = 50, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    if (status && !STATUSES.includes(status)) {
+      this.fail(`Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    const where = { instanceId };
+    if (from) {
+      where.from = { startsWith: from.split('@')[0] };
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (isVideo !== undefined) {
+      where.isVideo = isVideo;
+    }
+    if (autoRejected !== undefined) {
+      where.autoRejected = autoRejected;
+    }
+    if (since || until) {
+      where.createdAt = {};
+      for (const [key, value] of [['gte', since], ['lte', until]]) {
+        if (!value) continue;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          this.fail('since and until must be valid dates');
+        }
+        where.createdAt[key] = date;
+      }
+    }
+
+    const [calls, total] = await Promise.all([
+      prisma.callLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.callLog.count({ where })
+    ]);
+
+    return { calls, total };
+  }
+}
+
+module.exports = new CallService();
@@ -0,0 +1,460 @@
+const database = require('../config/database');
+const outboundQueueService = require('./outboundQueueService');
+const messageBuilder = require('./messageBuilder');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { renderTemplate } = require('../utils/template');
+
+// CSV columns that hold the recipient phone number, the other columns are variables
+const PHONE_COLUMNS = ['phone', 'to', 'number', 'recipient'];
+
+// Campaign status derived from its outbound queue job
+const JOB_STATUS = {
+  queued: 'running',
+  processing: 'running',
+  paused: 'paused',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+// Per-recipient delivery states reported by campaigns
+const DELIVERY_STATES = ['queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'cancelled'];
+
+// Campaigns send a personalized message to a list of recipients. The template is a
+// send payload ({ type, ...fields of /send/<type> }) whose strings may contain
+// {{variable}} placeholders and {a|b} spintax, rendered per recipient with the
+// variables imported from CSV. Started campaigns are sent by the outbound queue,
+// one job per campaign, so they share the instance rate limits.
+class CampaignService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Validate a campaign template
+   */
+  validateTemplate(template) {
+    if (!template || typeof template !== 'object' || !template.type) {
+      this.fail('template with a type is required');
+    }
+
+    messageBuilder.build(template.type, template);
+  }
+
+  /**
+   * Render the message content of a recipient
+   * @returns {object} Baileys message content
+   */
+  renderMessage(template, recipient) {
+    const variables = { phone: recipient.to.split('@')[0], ...(recipient.variables || {}) };
+    const { type, ...fields } = renderTemplate(template, variables);
+
+    return messageBuilder.build(type, fields);
+  }
+
+  /**
+   * Create a draft campaign
+   * @param {object} data - { name, template }
+   */
+  async create(instanceId, { name, template }) {
+    const prisma = database.getInstance();
+
+    if (!name) {
+      this.fail('name is required');
+    }
+
+    this.validateTemplate(template);
+
+    return this.serialize(await prisma.campaign.create({
+      data: { instanceId, name, template }
+    }));
+  }
+
+  /**
+   * List the campaigns of an instance, newest first
+   */
+  async list(instanceId, { limit = 50, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    const [campaigns, total] = await Promise.all([
+      prisma.campaign.findMany({
+        where: { instanceId },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.campaign.count({ where: { instanceId } })
+    ]);
+
+    return {
+      campaigns: await Promise.all(campaigns.map(campaign => this.serialize(campaign))),
+      total
+    };
+  }
+
+  async findCampaign(instanceId, campaignId) {
+    const prisma = database.getInstance();
+
+    const campaign = await prisma.campaign.findFirst({
+      where: { id: campaignId, instanceId }
+    });
+
+    if (!campaign) {
+      this.fail('Campaign not found', 404);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Get a campaign with its delivery statistics
+   */
+  async get(instanceId, campaignId) {
+    return this.serialize(await this.findCampaign(instanceId, campaignId));
+  }
+
+  async findDraft(instanceId, campaignId) {
+    const campaign = await this.findCampaign(instanceId, campaignId);
+
+    if (campaign.jobId) {
+      this.fail('Campaign has already been started', 409);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Update the name or template of a draft campaign
+   */
+  async update(instanceId, campaignId, { name, template }) {
+    const prisma = database.getInstance();
+    await this.findDraft(instanceId, campaignId);
+
+    if (template !== undefined) {
+      this.validateTemplate(template);
+    }
+
+    return this.serialize(await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { name, template }
+    }));
+  }
+
+  /**
+   * Delete a campaign, a running campaign is cancelled first
+   */
+  async delete(instanceId, campaignId) {
+    const prisma = database.getInstance();
+    const campaign = await this.serialize(await this.findCampaign(instanceId, campaignId));
+
+    if (['running', 'paused'].includes(campaign.status)) {
+      await outboundQueueService.cancelJob(instanceId, campaign.jobId);
+    }
+
+    await prisma.campaign.delete({ where: { id: campaignId } });
+  }
+
+  /**
+   * Add recipients to a draft campaign
+   * @param {object} data - { csv } CSV text with a phone column, or { recipients } [{ phone, ...variables }]
+   * @returns {Promise<object>} { added, duplicates, invalid: [{ row, error }] }
+   */
+  async addRecipients(instanceId, campaignId, { csv, recipients }) {
+    const prisma = database.getInstance();
+    const campaign = await this.findDraft(instanceId, campaignId);
+
+    let rows;
+    if (typeof csv === 'string') {
+      rows = parseCsv(csv);
+    } else if (Array.isArray(recipients)) {
+      rows = recipients;
+    } else {
+      this.fail('csv or recipients array is required');
+    }
+
+    const valid = [];
+    const invalid = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+      const key = Object.keys(row || {}).find(column => PHONE_COLUMNS.includes(column.toLowerCase()));
+      const phone = key ? String(row[key]).trim() : '';
+
+      if (!phone) {
+        invalid.push({ row: index + 1, error: key ? `${key} is empty` : `missing ${PHONE_COLUMNS.join('/')} column` });
+        return;
+      }
+
+      const to = phone.includes('@') ? phone : messageBuilder.toJid(phone.replace(/[^0-9]/g, ''));
+      const variables = { ...row };
+      delete variables[key];
+
+      try {
+        // Catches rows whose variables leave required fields empty
+        this.renderMessage(campaign.template, { to, variables });
+      } catch (error) {
+        invalid.push({ row: index + 1, error: error.message });
+        return;
+      }
+
+      if (!seen.has(to)) {
+        seen.add(to);
+        valid.push({ campaignId, to, variables });
+      }
+    });
+
+    const { count } = await prisma.campaignRecipient.createMany({
+      data: valid,
+      skipDuplicates: true
+    });
+
+    return {
+      added: count,
+      duplicates: rows.length - invalid.length - count,
+      invalid
+    };
+  }
+
+  /**
+   * Remove every recipient of a draft campaign
+   */
+  async clearRecipients(instanceId, campaignId) {
+    const prisma = database.getInstance();
+    await this.findDraft(instanceId, campaignId);
+
+    const { count } = await prisma.campaignRecipient.deleteMany({ where: { campaignId } });
+    return count;
+  }
+
+  /**
+   * Start a draft campaign: render every recipient's message and queue them as one job
+   */
+  async start(instanceId, campaignId) {
+    const prisma = database.getInstance();
+    const campaign = await this.findDraft(instanceId, campaignId);
+
+    const recipients = await prisma.campaignRecipient.findMany({
+      where: { campaignId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (recipients.length === 0) {
+      this.fail('Campaign has no recipients');
+    }
+
+    const messages = recipients.map(recipient => {
+      try {
+        // The queue message shares the recipient ID, which links delivery state to the recipient
+        return { id: recipient.id, to: recipient.to, content: this.renderMessage(campaign.template, recipient) };
+      } catch (error) {
+        this.fail(`Recipient ${recipient.to}: ${error.message}`);
+      }
+    });
+
+    let job;
+    try {
+      job = await outboundQueueService.enqueue(instanceId, 'campaign', messages);
+    } catch (error) {
+      // The recipients' queue messages already exist: started by a concurrent request
+      if (error.code === 'P2002') {
+        this.fail('Campaign has already been started', 409);
+      }
+      throw error;
+    }
+
+    await prisma.campaign.update({
+      where: { id: campaignId },
+      data: { jobId: job.id, startedAt: new Date() }
+    });
+
+    return this.get(instanceId, campaignId);
+  }
+
+  async findStarted(instanceId, campaignId) {
+    const campaign = await this.findCampaign(instanceId, campaignId);
+
+    if (!campaign.jobId) {
+      this.fail('Campaign has not been started', 409);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Pause a running campaign
+   */
+  async pause(instanceId, campaignId) {
+    const campaign = await this.findStarted(instanceId, campaignId);
+    await outboundQueueService.pauseJob(instanceId, campaign.jobId);
+    return this.get(instanceId, campaignId);
+  }
+
+  /**
+   * Resume a paused campaign
+   */
+  async resume(instanceId, campaignId) {
+    const campaign = await this.findStarted(instanceId, campaignId);
+    await outboundQueueService.resumeJob(instanceId, campaign.jobId);
+    return this.get(instanceId, campaignId);
+  }
+
+  /**
+   * Cancel a campaign, messages that were not sent yet are dropped
+   */
+  async cancel(instanceId, campaignId) {
+    const campaign = await this.findStarted(instanceId, campaignId);
+    await outboundQueueService.cancelJob(instanceId, campaign.jobId);
+    return this.get(instanceId, campaignId);
+  }
+
+  /**
+   * Per-recipient delivery report of a campaign
+   * @param {object} options - { status, limit, offset }, limit null returns every recipient
+   * @returns {Promise<object>} { recipients, total }
+   */
+  async getReport(instanceId, campaignId, { status, limit = 100, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+    const campaign = await this.findCampaign(instanceId, campaignId);
+
+    if (status && status !== 'pending' && !DELIVERY_STATES.includes(status)) {
+      this.fail(`Invalid status. Must be one of: pending, ${DELIVERY_STATES.join(', ')}`);
+    }
+
+    const page = { take: limit ?? undefined, skip: offset };
+
+    // Drafts have no queue messages yet, every recipient is pending
+    if (!campaign.jobId) {
+      if (status && status !== 'pending') {
+        return { recipients: [], total: 0 };
+      }
+
+      const where = { campaignId };
+      const [recipients, total] = await Promise.all([
+        prisma.campaignRecipient.findMany({ where, orderBy: { createdAt: 'asc' }, ...page }),
+        prisma.campaignRecipient.count({ where })
+      ]);
+
+      return { recipients: recipients.map(recipient => this.serializeRecipient(recipient)), total };
+    }
+
+    if (status === 'pending') {
+      return { recipients: [], total: 0 };
+    }
+
+    const where = { jobId: campaign.jobId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [messages, total] = await Promise.all([
+      prisma.outboundMessage.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        ...page,
+        select: {
+          id: true,
+          status: true,
+          messageId: true,
+          error: true,
+          attempts: true,
+          sentAt: true,
+          deliveredAt: true,
+          readAt: true
+        }
+      }),
+      prisma.outboundMessage.count({ where })
+    ]);
+
+    const recipients = await prisma.campaignRecipient.findMany({
+      where: { id: { in: messages.map(message => message.id) } }
+    });
+    const byId = new Map(recipients.map(recipient => [recipient.id, recipient]));
+
+    return {
+      recipients: messages
+        .filter(message => byId.has(message.id))
+        .map(message => this.serializeRecipient(byId.get(message.id), message)),
+      total
+    };
+  }
+
+  /**
+   * Merge a recipient with the delivery state of its queue message
+   */
+  serializeRecipient(recipient, delivery = {}) {
+    return {
+      id: recipient.id,
+      to: recipient.to,
+      variables: recipient.variables,
+      status: delivery.status || 'pending',
+      messageId: delivery.messageId || null,
+      error: delivery.error || null,
+      attempts: delivery.attempts || 0,
+      sentAt: delivery.sentAt || null,
+      deliveredAt: delivery.deliveredAt || null,
+      readAt: delivery.readAt || null
+    };
+  }
+
+  /**
+   * Delivery report as CSV, one row per recipient with its variables as extra columns
+   */
+  async exportReport(instanceId, campaignId, { status } = {}) {
+    const { recipients } = await this.getReport(instanceId, campaignId, { status, limit: null });
+
+    const variableColumns = [...new Set(recipients.flatMap(recipient => Object.keys(recipient.variables || {})))];
+    const columns = ['phone', 'status', 'messageId', 'error', 'sentAt', 'deliveredAt', 'readAt', ...variableColumns];
+
+    return toCsv(recipients.map(recipient => ({
+      ...recipient.variables,
+      phone: recipient.to.split('@')[0],
+      status: recipient.status,
+      messageId: recipient.messageId,
+      error: recipient.error,
+      sentAt: recipient.sentAt,
+      deliveredAt: recipient.deliveredAt,
+      readAt: recipient.readAt
+    })), columns);
+  }
+
+  /**
+   * Add the status and delivery statistics of a campaign
+   */
+  async serialize(campaign) {
+    const prisma = database.getInstance();
+
+    const stats = Object.fromEntries(DELIVERY_STATES.map(state => [state, 0]));
+    let status = 'draft';
+    let total;
+
+    if (campaign.jobId) {
+      const [job, groups] = await Promise.all([
+        prisma.messageJob.findUnique({ where: { id: campaign.jobId } }),
+        prisma.outboundMessage.groupBy({
+          by: ['status'],
+          where: { jobId: campaign.jobId },
+          _count: { _all: true }
+        })
+      ]);
+
+      for (const group of groups) {
+        stats[group.status] = group._count._all;
+      }
+
+      status = JOB_STATUS[job?.status] || 'cancelled';
+      total = job?.total ?? 0;
+    } else {
+      total = await prisma.campaignRecipient.count({ where: { campaignId: campaign.id } });
+    }
+
+    return {
+      ...campaign,
+      status,
+      total,
+      stats
+    };
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,505 @@
+const { randomBytes } = require('crypto');
+const {
+  proto,
+  generateWAMessageFromContent,
+  jidNormalizedUser,
+  hmacSign,
+  aesDecryptGCM
+} = require('baileys');
+const database = require('../config/database');
+const webhookService = require('./webhookService');
+const sendContextService = require('./sendContextService');
+const { buildPage, paginate } = require('../utils/cursor');
+
+const RESPONSES = { 1: 'going', 2: 'not_going', 3: 'maybe' };
+
+// Native WhatsApp event messages and their RSVPs. Like poll votes, responses are
+// encrypted with the secret of the event message, so events are stored with their
+// secret when they are sent or received and responses to unknown events cannot be
+// read. Every attendee has one row with their latest response.
+class EventService {
+  constructor() {
+    this.responses = Object.values(RESPONSES);
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  toJid(value) {
+    return value.includes('@') ? value : `${value.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+  }
+
+  getMeJid(socket) {
+    return socket?.user?.id ? jidNormalizedUser(socket.user.id) : null;
+  }
+
+  /**
+   * Milliseconds of a protobuf timestamp, which can be a Long
+   */
+  toMillis(value) {
+    return value && typeof value === 'object' ? value.toNumber() : Number(value || 0);
+  }
+
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+      this.fail(`${name} must be a valid date`);
+    }
+    return date;
+  }
+
+  /**
+   * Validate an event and build its eventMessage content
+   * @param {object} data - { name, description, location (string or { name, address, latitude, longitude }), startTime, endTime, callLink }
+   */
+  buildContent({ name, description, location, startTime, endTime, callLink }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      this.fail('Event name is required');
+    }
+
+    const start = this.parseDate(startTime, 'startTime');
+    const end = endTime ? this.parseDate(endTime, 'endTime') : null;
+
+    if (end && end <= start) {
+      this.fail('endTime must be after startTime');
+    }
+
+    if (callLink && (typeof callLink !== 'string' || !/^https?:\/\//.test(callLink))) {
+      this.fail('callLink must be an http(s) URL');
+    }
+
+    const content = {
+      name: name.trim(),
+      startTime: Math.floor(start.getTime() / 1000)
+    };
+
+    if (description) content.description = String(description);
+    if (end) content.endTime = Math.floor(end.getTime() / 1000);
+    if (callLink) content.joinLink = callLink;
+
+    if (location) {
+      const place = typeof location === 'string' ? { name: location } : location;
+
+      content.location = {
+        name: place.name || '',
+        address: place.address || ''
+      };
+
+      if (place.latitude !== undefined && place.longitude !== undefined) {
+        content.location.degreesLatitude = Number(place.latitude);
+        content.location.degreesLongitude = Number(place.longitude);
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Send an event message and store it
+   * @param {object} socket - Connected socket of the instance
+   * @param {string} to - Phone number or JID
+   * @param {object} data - Event fields, see buildContent
+   * @param {object|null} context - { correlationId, metadata } echoed in message.sent
+   * @returns {Promise<object>} Sent Baileys message
+   */
+  async send(instanceId, socket, to, data, context = null) {
+    const jid = this.toJid(to);
+    const content = this.buildContent(data);
+
+    const msg = generateWAMessageFromContent(jid, proto.Message.fromObject({
+      messageContextInfo: { messageSecret: randomBytes(32) },
+      eventMessage: content
+    }), { userJid: socket.user.id });
+
+    sendContextService.register(msg.key.id, context);
+    await socket.relayMessage(jid, msg.message, {
+      messageId: msg.key.id,
+      additionalNodes: [{ tag: 'meta', attrs: { event_type: 'creation' } }]
+    });
+
+    // relayMessage does not emit the message, hand it to the message handlers like sendMessage does
+    await socket.upsertMessage(msg, 'append');
+    await this.recordEvent(instanceId, msg, socket);
+
+    return msg;
+  }
+
+  /**
+   * Cancel an event sent by the instance, by editing the event message
+   */
+  async cancel(instanceId, socket, messageId) {
+    const prisma = database.getInstance();
+    const event = await this.getEvent(instanceId, messageId);
+
+    if (!event.fromMe) {
+      this.fail('Only events sent by this instance can be canceled', 403);
+    }
+
+    if (event.isCanceled) {
+      this.fail('Event is already canceled', 409);
+    }
+
+    const content = {
+      ...this.toContent(event),
+      isCanceled: true
+    };
+
+    const msg = generateWAMessageFromContent(event.chatId, proto.Message.fromObject({
+      protocolMessage: {
+        key: { remoteJid: event.chatId, fromMe: true, id: event.messageId },
+        type: proto.Message.ProtocolMessage.Type.MESSAGE_EDIT,
+        editedMessage: { eventMessage: content },
+        timestampMs: Date.now()
+      }
+    }), { userJid: socket.user.id });
+
+    await socket.relayMessage(event.chatId, msg.message, {
+      messageId: msg.key.id,
+      additionalAttributes: { edit: '1' }
+    });
+
+    const updated = await prisma.event.update({
+      where: { id: event.id },
+      data: { isCanceled: true, canceledAt: new Date() }
+    });
+
+    return this.serialize(updated);
+  }
+
+  /**
+   * eventMessage content of a stored event
+   */
+  toContent(event) {
+    const content = {
+      name: event.name,
+      startTime: Math.floor(event.startTime.getTime() / 1000)
+    };
+
+    if (event.description) content.description = event.description;
+    if (event.endTime) content.endTime = Math.floor(event.endTime.getTime() / 1000);
+    if (event.joinLink) content.joinLink = event.joinLink;
+
+    if (event.location) {
+      content.location = { name: event.location.name || '', address: event.location.address || '' };
+      if (event.location.latitude !== undefined) {
+        content.location.degreesLatitude = event.location.latitude;
+        content.location.degreesLongitude = event.location.longitude;
+      }
+    }
+
+    return content;
+  }
+
+  /**
+   * Event fields stored for an eventMessage, location is left out when there is none
+   */
+  fromContent(content) {
+    const location = content.location
+      ? {
+        name: content.location.name || null,
+        address: content.location.address || null,
+        ...(content.location.degreesLatitude || content.location.degreesLongitude
+          ? { latitude: content.location.degreesLatitude, longitude: content.location.degreesLongitude }
+          : {})
+      }
+      : undefined;
+
+    return {
+      name: content.name || '',
+      description: content.description || null,
+      location,
+      joinLink: content.joinLink || null,
+      startTime: new Date(this.toMillis(content.startTime) * 1000),
+      endTime: content.endTime ? new Date(this.toMillis(content.endTime) * 1000) : null,
+      isCanceled: content.isCanceled || false
+    };
+  }
+
+  /**
+   * Store an event message with its secret
+   * @param {object} msg - Baileys message with an eventMessage
+   * @param {object} socket - Socket of the instance, the creator of events it sent
+   */
+  async recordEvent(instanceId, msg, socket) {
+    const content = msg.message?.eventMessage;
+    const secret = msg.message?.messageContextInfo?.messageSecret;
+
+    if (!content || !secret) {
+      return null;
+    }
+
+    const fromMe = msg.key.fromMe || false;
+    const creatorJid = fromMe ? this.getMeJid(socket) : msg.key.participant || msg.key.remoteJid;
+
+    if (!creatorJid) {
+      return null;
+    }
+
+    try {
+      return await database.getInstance().event.upsert({
+        where: { instanceId_messageId: { instanceId, messageId: msg.key.id } },
+        update: {},
+        create: {
+          instanceId,
+          messageId: msg.key.id,
+          chatId: msg.key.remoteJid,
+          fromMe,
+          creatorJid,
+          ...this.fromContent(content),
+          messageSecret: Buffer.from(secret).toString('base64')
+        }
+      });
+    } catch (error) {
+      console.error('Error saving event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Edited event content of a message edit, null for other messages
+   */
+  getEditedEvent(message) {
+    const protocol = message?.protocolMessage;
+
+    if (protocol?.type !== proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) {
+      return null;
+    }
+
+    return protocol.editedMessage?.eventMessage || null;
+  }
+
+  /**
+   * Apply an edit of an event message, e.g. its cancellation by the creator
+   * @param {object} msg - Baileys message with a protocolMessage edit
+   */
+  async handleEdit(instanceId, msg) {
+    const content = this.getEditedEvent(msg.message);
+    const messageId = msg.message.protocolMessage.key?.id;
+
+    try {
+      const event = messageId
+        ? await database.getInstance().event.findUnique({ where: { instanceId_messageId: { instanceId, messageId } } })
+        : null;
+
+      if (!event) {
+        return null;
+      }
+
+      const data = this.fromContent(content);
+      if (data.isCanceled && !event.isCanceled) {
+        data.canceledAt = new Date();
+      }
+
+      return await database.getInstance().event.update({ where: { id: event.id }, data });
+    } catch (error) {
+      console.error('Error updating event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Decrypt an event response, the same scheme as poll votes with its own use case
+   * @param {object} enc - { encPayload, encIv }
+   * @param {object} ctx - { eventEncKey, eventCreatorJid, eventMsgId, responderJid }
+   * @returns {object} Decoded EventResponseMessage
+   */
+  decryptResponse({ encPayload, encIv }, { eventEncKey, eventCreatorJid, eventMsgId, responderJid }) {
+    const sign = Buffer.concat([
+      Buffer.from(eventMsgId),
+      Buffer.from(eventCreatorJid),
+      Buffer.from(responderJid),
+      Buffer.from('Event Response'),
+      new Uint8Array([1])
+    ]);
+    const key0 = hmacSign(eventEncKey, new Uint8Array(32), 'sha256');
+    const decKey = hmacSign(sign, key0, 'sha256');
+    const aad = Buffer.from(`${eventMsgId}\u0000${responderJid}`);
+
+    return proto.Message.EventResponseMessage.decode(aesDecryptGCM(encPayload, decKey, encIv, aad));
+  }
+
+  /**
+   * Decrypt a response, store it as the latest response of the attendee and fire
+   * event.response. Responses that cannot be read fire event.response.failed.
+   * @param {object} msg - Baileys message with an encEventResponseMessage
+   * @returns {Promise<string|null>} going, not_going or maybe, null when the response was not stored
+   */
+  async handleResponse(instanceId, msg, socket) {
+    const prisma = database.getInstance();
+    const enc = msg.message.encEventResponseMessage;
+    const eventMessageId = enc.eventCreationMessageKey?.id;
+    const respondent = msg.key.fromMe ? this.getMeJid(socket) : msg.key.participant || msg.key.remoteJid;
+    const messageTime = new Date(this.toMillis(msg.messageTimestamp) * 1000 || Date.now());
+
+    try {
+      const event = eventMessageId
+        ? await prisma.event.findUnique({ where: { instanceId_messageId: { instanceId, messageId: eventMessageId } } })
+        : null;
+
+      if (!event) {
+        await webhookService.triggerEventResponseFailed(instanceId, {
+          eventId: eventMessageId,
+          chatId: msg.key.remoteJid,
+          respondent,
+          error: 'Event not found, responses can only be read for events sent or received while connected',
+          timestamp: messageTime.toISOString()
+        });
+        return null;
+      }
+
+      let decrypted;
+      try {
+        decrypted = this.decryptResponse(enc, {
+          eventEncKey: Buffer.from(event.messageSecret, 'base64'),
+          eventCreatorJid: event.creatorJid,
+          eventMsgId: event.messageId,
+          responderJid: respondent
+        });
+      } catch (error) {
+        console.warn(`Could not decrypt response of ${respondent} to event ${event.messageId}:`, error.message);
+        decrypted = null;
+      }
+
+      const response = decrypted ? RESPONSES[decrypted.response] : null;
+
+      if (!response) {
+        await webhookService.triggerEventResponseFailed(instanceId, {
+          eventId: event.messageId,
+          eventName: event.name,
+          chatId: event.chatId,
+          respondent,
+          error: decrypted ? 'Unknown response' : 'Response could not be decrypted',
+          timestamp: messageTime.toISOString()
+        });
+        return null;
+      }
+
+      const respondedAt = new Date(this.toMillis(decrypted.timestampMs) || messageTime.getTime());
+      const extraGuestCount = decrypted.extraGuestCount || 0;
+      const where = { eventId_respondent: { eventId: event.id, respondent } };
+      const previous = await prisma.eventResponse.findUnique({ where });
+
+      // Responses can arrive out of order or twice, an older response does not replace a newer one
+      if (previous && previous.respondedAt >= respondedAt) {
+        return null;
+      }
+
+      await prisma.eventResponse.upsert({
+        where,
+        update: { response, extraGuestCount, respondedAt },
+        create: { eventId: event.id, respondent, response, extraGuestCount, respondedAt }
+      });
+
+      await webhookService.triggerEventResponse(instanceId, {
+        eventId: event.messageId,
+        eventName: event.name,
+        chatId: event.chatId,
+        respondent,
+        response,
+        previousResponse: previous?.response || null,
+        extraGuestCount,
+        timestamp: respondedAt.toISOString()
+      });
+
+      return response;
+    } catch (error) {
+      console.error('Error handling event response:', error);
+      return null;
+    }
+  }
+
+  serialize(event) {
+    return {
+      messageId: event.messageId,
+      chatId: event.chatId,
+      fromMe: event.fromMe,
+      name: event.name,
+      description: event.description,
+      location: event.location,
+      callLink: event.joinLink,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      isCanceled: event.isCanceled,
+      canceledAt: event.canceledAt,
+      createdAt: event.createdAt
+    };
+  }
+
+  /**
+   * Get the stored event of an event message ID
+   */
+  async getEvent(instanceId, messageId) {
+    const event = await database.getInstance().event.findUnique({
+      where: { instanceId_messageId: { instanceId, messageId } }
+    });
+
+    if (!event) {
+      this.fail('Event not found', 404);
+    }
+
+    return event;
+  }
+
+  /**
+   * List the events of an instance, newest first
+   * @param {object} options - { chatId, limit, cursor }
+   */
+  async list(instanceId, { chatId, limit = 50, cursor } = {}) {
+    const page = buildPage({ cursor }, { field: 'createdAt' });
+    const where = { instanceId, ...page.where };
+
+    if (chatId) {
+      where.chatId = this.toJid(chatId);
+    }
+
+    const rows = await database.getInstance().event.findMany({
+      where,
+      orderBy: page.orderBy,
+      take: limit + 1
+    });
+
+    const result = paginate(rows, limit, page.sort);
+    result.data = result.data.map(event => this.serialize(event));
+
+    return result;
+  }
+
+  /**
+   * RSVPs of an event with the count of every response
+   * @param {object} filters - { response }
+   */
+  async getResponses(instanceId, messageId, { response } = {}) {
+    if (response && !this.responses.includes(response)) {
+      this.fail(`Invalid response. Must be one of: ${this.responses.join(', ')}`);
+    }
+
+    const event = await this.getEvent(instanceId, messageId);
+    const rows = await database.getInstance().eventResponse.findMany({
+      where: { eventId: event.id },
+      orderBy: { respondedAt: 'asc' }
+    });
+
+    const counts = Object.fromEntries(this.responses.map(name => [name, 0]));
+    for (const row of rows) {
+      counts[row.response]++;
+    }
+
+    return {
+      ...this.serialize(event),
+      counts,
+      responses: rows
+        .filter(row => !response || row.response === response)
+        .map(row => ({
+          respondent: row.respondent,
+          response: row.response,
+          extraGuestCount: row.extraGuestCount,
+          respondedAt: row.respondedAt
+        }))
+    };
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,315 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config/config');
+const apiKeyService = require('./apiKeyService');
+const jwtService = require('./jwtService');
+const { matchesEvent } = require('../utils/eventFilter');
+
+// Live event feed for browser clients over WebSocket and Server-Sent Events.
+// Clients receive the same payloads WebhookService delivers to webhook URLs.
+class EventStreamService {
+  constructor() {
+    this.clients = new Set();
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Attach the WebSocket endpoint to the HTTP server and start the heartbeat
+   * @param {object} server - HTTP server returned by app.listen
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+    server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), config.stream.heartbeatInterval);
+    console.log(`Event stream listening on ${config.stream.wsPath}`);
+  }
+
+  /**
+   * Close every client connection
+   */
+  close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Resolve the auth context of a WebSocket handshake.
+   * Browsers can not set headers on WebSocket connections, so the API key
+   * (or bearer token) is also accepted as a query parameter.
+   */
+  async authenticate(req, searchParams) {
+    const { methods } = config.auth;
+    const apiKey = req.headers['x-api-key'] || searchParams.get('apiKey');
+
+    if (apiKey && methods.includes('apiKey')) {
+      return apiKeyService.authenticate(apiKey);
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : searchParams.get('token');
+
+    if (token && methods.includes('jwt')) {
+      try {
+        return jwtService.verify(token);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a client filter from the requested instances and events, checking instance access
+   * @param {object} auth - Auth context
+   * @param {object} filter - { instanceIds, events } as arrays or comma separated strings
+   * @returns {Promise<object>} { allowedInstanceIds, instanceIds, events }
+   */
+  async createFilter(auth, { instanceIds, events } = {}) {
+    const requestedInstanceIds = this.parseList(instanceIds);
+    const requestedEvents = this.parseList(events);
+
+    for (const instanceId of requestedInstanceIds) {
+      if (!(await apiKeyService.canAccessInstance(auth, instanceId))) {
+        const error = new Error(`API key is not allowed to access instance ${instanceId}`);
+        error.status = 403;
+        throw error;
+      }
+    }
+
+    return {
+      // Snapshot of the instances the key could reach when the stream was opened
+      allowedInstanceIds: await apiKeyService.getAccessibleInstanceIds(auth),
+      instanceIds: requestedInstanceIds,
+      events: requestedEvents
+    };
+  }
+
+  /**
+   * Parse an array or comma separated string into a list
+   */
+  parseList(value) {
+    if (!value) {
+      return [];
+    }
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Handle an HTTP upgrade request on the WebSocket path
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== config.stream.wsPath) {
+      return this.rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    if (this.clients.size >= config.stream.maxClients) {
+      return this.rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+
+    try {
+      const auth = await this.authenticate(req, url.searchParams);
+
+      if (!auth) {
+        return this.rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      if (!apiKeyService.hasScope(auth.scopes, 'stream:read')) {
+        return this.rejectUpgrade(socket, 403, 'Forbidden');
+      }
+
+      const filter = await this.createFilter(auth, {
+        instanceIds: url.searchParams.get('instanceIds') || url.searchParams.get('instanceId'),
+        events: url.searchParams.get('events')
+      });
+
+      this.wss.handleUpgrade(req, socket, head, ws => this.addWebSocketClient(ws, auth, filter));
+    } catch (error) {
+      if (error.status) {
+        return this.rejectUpgrade(socket, error.status, 'Forbidden');
+      }
+
+      console.error('Error accepting event stream connection:', error);
+      this.rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Answer a failed handshake with a plain HTTP status
+   */
+  rejectUpgrade(socket, status, message) {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+  }
+
+  /**
+   * Register a WebSocket client.
+   * Clients may change their filter by sending {"type": "subscribe", "instanceIds": [...], "events": [...]}
+   */
+  addWebSocketClient(ws, auth, filter) {
+    const client = {
+      type: 'websocket',
+      auth,
+      ...filter,
+      alive: true,
+      send: data => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(data);
+        }
+      },
+      ping: () => {
+        if (!client.alive) {
+          return ws.terminate();
+        }
+        client.alive = false;
+        ws.ping();
+      },
+      close: () => ws.close(1001, 'Server shutting down')
+    };
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+
+    ws.on('message', raw => this.handleClientMessage(client, raw));
+    ws.on('close', () => this.clients.delete(client));
+    ws.on('error', error => {
+      console.error('Event stream WebSocket error:', error.message);
+    });
+
+    this.clients.add(client);
+    this.sendControl(client, 'stream.subscribed');
+  }
+
+  /**
+   * Handle a control message sent by a WebSocket client
+   */
+  async handleClientMessage(client, raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.sendControl(client, 'stream.error', { error: 'Invalid JSON message' });
+    }
+
+    if (message.type === 'ping') {
+      return this.sendControl(client, 'stream.pong');
+    }
+
+    if (message.type !== 'subscribe') {
+      return this.sendControl(client, 'stream.error', { error: `Unknown message type ${message.type}` });
+    }
+
+    try {
+      const filter = await this.createFilter(client.auth, message);
+      client.instanceIds = filter.instanceIds;
+      client.events = filter.events;
+      this.sendControl(client, 'stream.subscribed');
+    } catch (error) {
+      this.sendControl(client, 'stream.error', { error: error.status ? error.message : 'Failed to update subscription' });
+    }
+  }
+
+  /**
+   * Register a Server-Sent Events client on an open response
+   */
+  addSseClient(req, res, auth, filter) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+    });
+    res.write(`retry: ${config.stream.sseRetry}\n\n`);
+
+    const client = {
+      type: 'sse',
+      auth,
+      ...filter,
+      send: data => res.write(`data: ${data}\n\n`),
+      ping: () => res.write(': ping\n\n'),
+      close: () => res.end()
+    };
+
+    req.on('close', () => this.clients.delete(client));
+
+    this.clients.add(client);
+    this.sendControl(client, 'stream.subscribed');
+  }
+
+  /**
+   * Send a stream control event (not a WhatsApp event) to a single client
+   */
+  sendControl(client, event, data = {}) {
+    client.send(JSON.stringify({
+      event,
+      timestamp: new Date().toISOString(),
+      data: {
+        instanceIds: client.instanceIds,
+        events: client.events,
+        ...data
+      }
+    }));
+  }
+
+  /**
+   * Publish an event payload to every client whose filter matches
+   * @param {string} instanceId - Instance ID
+   * @param {object} payload - Webhook payload ({ event, instanceId, timestamp, data })
+   */
+  publish(instanceId, payload) {
+    if (this.clients.size === 0) {
+      return;
+    }
+
+    let data = null;
+
+    for (const client of this.clients) {
+      if (client.allowedInstanceIds && !client.allowedInstanceIds.includes(instanceId)) continue;
+      if (client.instanceIds.length > 0 && !client.instanceIds.includes(instanceId)) continue;
+      if (!matchesEvent(client.events, payload.event)) continue;
+
+      // Serialize once, only when someone listens
+      data = data || JSON.stringify(payload);
+
+      try {
+        client.send(data);
+      } catch (error) {
+        console.error('Error sending event to stream client:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Keep connections open through proxies and drop dead WebSocket clients
+   */
+  heartbeat() {
+    for (const client of this.clients) {
+      try {
+        client.ping();
+      } catch (error) {
+        this.clients.delete(client);
+      }
+    }
+  }
+}
+
+module.exports = new EventStreamService();
@@ -0,0 +1,652 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const database = require('../config/database');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+const { escapeCsv } = require('../utils/csv');
+
+const FORMATS = {
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+const CSV_COLUMNS = ['timestamp', 'chatId', 'chatName', 'messageId', 'fromMe', 'from', 'sender', 'type', 'body', 'status', 'mediaFile'];
+
+// File name prefixes of WhatsApp's own exports, documents keep their file name
+const MEDIA_PREFIXES = { image: 'IMG', video: 'VID', audio: 'PTT', sticker: 'STK', document: 'DOC' };
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'audio/ogg': 'opus',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'video/quicktime': 'mov'
+};
+
+const BATCH_SIZE = 500;
+
+// Chat history export from the Message table, as JSON Lines, CSV or the .txt
+// transcript of WhatsApp's "Export chat". Messages are read in batches and
+// streamed, so exports of any size run in constant memory. With includeMedia the
+// transcript and the stored media files are zipped. Large exports run as jobs
+// that run one at a time, write to EXPORT_PATH and can be downloaded until they expire.
+class ExportService {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+    this.cleanupTimer = null;
+    this.queue = Promise.resolve();
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  toJid(chatId) {
+    return chatId.includes('@') ? chatId : `${chatId}@s.whatsapp.net`;
+  }
+
+  /**
+   * Validate export options
+   * @param {object} input - { chatId, format, since, until, includeMedia, timezone }
+   */
+  parseOptions({ chatId, format = 'jsonl', since, until, includeMedia = false, timezone } = {}) {
+    if (!FORMATS[format]) {
+      this.fail(`Invalid format. Must be one of: ${this.formats.join(', ')}`);
+    }
+
+    const range = {};
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (!value) continue;
+
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        this.fail('since and until must be valid dates');
+      }
+      range[name] = date;
+    }
+
+    if (range.since && range.until && range.since > range.until) {
+      this.fail('since must be before until');
+    }
+
+    if (typeof includeMedia !== 'boolean') {
+      this.fail('includeMedia must be a boolean');
+    }
+
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        this.fail(`Invalid timezone ${timezone}`);
+      }
+    }
+
+    return {
+      chatId: chatId ? this.toJid(chatId) : null,
+      format,
+      since: range.since || null,
+      until: range.until || null,
+      includeMedia,
+      timezone: timezone || config.scheduler.timezone
+    };
+  }
+
+  /**
+   * Validate an export and load its chats
+   * @returns {Promise<object>} { options, instance, chats, fileName, contentType }
+   */
+  async prepare(instanceId, input) {
+    const prisma = database.getInstance();
+    const options = this.parseOptions(input);
+
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: { id: true, name: true }
+    });
+
+    if (!instance) {
+      this.fail('Instance not found', 404);
+    }
+
+    const select = { id: true, chatId: true, name: true, isGroup: true };
+    let chats;
+
+    if (options.chatId) {
+      const chat = await prisma.chat.findUnique({
+        where: { instanceId_chatId: { instanceId, chatId: options.chatId } },
+        select
+      });
+
+      if (!chat) {
+        this.fail('Chat not found', 404);
+      }
+      chats = [chat];
+    } else {
+      chats = await prisma.chat.findMany({ where: { instanceId }, orderBy: { createdAt: 'asc' }, select });
+    }
+
+    const title = options.chatId ? `WhatsApp Chat with ${this.getChatName(chats[0])}` : `WhatsApp Export ${instance.name}`;
+
+    return {
+      options,
+      instance,
+      chats,
+      fileName: this.sanitizeFileName(`${title}.${options.includeMedia ? 'zip' : options.format}`),
+      contentType: options.includeMedia ? 'application/zip' : FORMATS[options.format]
+    };
+  }
+
+  sanitizeFileName(name) {
+    return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+  }
+
+  getPhone(jid) {
+    return (jid || '').split('@')[0].split(':')[0];
+  }
+
+  getChatName(chat) {
+    return chat.name && chat.name !== this.getPhone(chat.chatId) ? chat.name : `+${this.getPhone(chat.chatId)}`;
+  }
+
+  /**
+   * Sender name as shown in the transcript
+   */
+  getSender(message, chat, instance) {
+    if (message.fromMe) {
+      return instance.name;
+    }
+
+    return chat.isGroup ? `+${this.getPhone(message.from)}` : this.getChatName(chat);
+  }
+
+  hasMedia(message) {
+    return Boolean(message.mediaKey) && (!message.mediaExpiresAt || message.mediaExpiresAt > new Date());
+  }
+
+  /**
+   * Name of a media file in the zip, like IMG-20260105-WA0001.jpg
+   */
+  getMediaName(message, index, names) {
+    const prefix = MEDIA_PREFIXES[message.type] || 'FILE';
+    const date = message.timestamp.toISOString().slice(0, 10).replace(/-/g, '');
+    const counter = `WA${String(index).padStart(4, '0')}`;
+
+    let name;
+    if (message.type === 'document' && message.mediaFileName) {
+      name = this.sanitizeFileName(message.mediaFileName);
+    } else {
+      const mimeType = (message.mediaMimeType || '').split(';')[0].trim();
+      const extension = EXTENSIONS[mimeType] || mimeType.split('/')[1]?.replace(/[^a-z0-9]/gi, '') || 'bin';
+      name = `${prefix}-${date}-${counter}.${extension}`;
+    }
+
+    if (names.has(name)) {
+      name = `${prefix}-${date}-${counter}-${name}`;
+    }
+    names.add(name);
+
+    return name;
+  }
+
+  /**
+   * Local date and time of a message as written by WhatsApp: 05/01/2026, 09:41
+   */
+  formatDate(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date);
+
+    const part = type => parts.find(item => item.type === type).value;
+
+    return `${part('day')}/${part('month')}/${part('year')}, ${part('hour')}:${part('minute')}`;
+  }
+
+  /**
+   * Format a message as a line of the export
+   * @param {string} mediaFile - Path of the media in the zip, null when it is not included
+   */
+  formatMessage(format, message, chat, instance, mediaFile, timezone) {
+    const sender = this.getSender(message, chat, instance);
+
+    if (format === 'txt') {
+      let text = message.body || '';
+
+      if (MEDIA_PREFIXES[message.type]) {
+        const attachment = mediaFile ? `${path.basename(mediaFile)} (file attached)` : '<Media omitted>';
+        text = text && message.type !== 'document' ? `${attachment}\n${text}` : attachment;
+      }
+
+      return `${this.formatDate(message.timestamp, timezone)} - ${sender}: ${text}\n`;
+    }
+
+    const record = {
+      timestamp: message.timestamp,
+      chatId: chat.chatId,
+      chatName: this.getChatName(chat),
+      messageId: message.messageId,
+      fromMe: message.fromMe,
+      from: message.fromMe ? 'me' : message.from,
+      sender,
+      type: message.type,
+      body: message.body,
+      status: message.status,
+      mediaFile
+    };
+
+    if (format === 'csv') {
+      return CSV_COLUMNS.map(column => escapeCsv(record[column])).join(',') + '\r\n';
+    }
+
+    return JSON.stringify(record) + '\n';
+  }
+
+  /**
+   * Messages of a chat in (timestamp, id) order, read in batches
+   */
+  async *iterateMessages(chat, { since, until }) {
+    const prisma = database.getInstance();
+    let last = null;
+
+    while (true) {
+      const where = { chatId: chat.id };
+
+      if (since || until) {
+        where.timestamp = {};
+        if (since) where.timestamp.gte = since;
+        if (until) where.timestamp.lte = until;
+      }
+
+      if (last) {
+        where.AND = [{
+          OR: [
+            { timestamp: { gt: last.timestamp } },
+            { timestamp: last.timestamp, id: { gt: last.id } }
+          ]
+        }];
+      }
+
+      const batch = await prisma.message.findMany({
+        where,
+        orderBy: [{ timestamp: 'asc' }, { id: 'asc' }],
+        take: BATCH_SIZE
+      });
+
+      yield* batch;
+
+      if (batch.length < BATCH_SIZE) {
+        return;
+      }
+      last = batch[batch.length - 1];
+    }
+  }
+
+  /**
+   * Write to a stream, waiting for it to drain. Throws when the stream was closed.
+   */
+  async push(stream, chunk) {
+    if (!stream.destroyed && !stream.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => {
+          stream.off('drain', done);
+          stream.off('close', done);
+          resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+      });
+    }
+
+    if (stream.destroyed) {
+      throw new Error('Export stream closed');
+    }
+  }
+
+  /**
+   * Write a prepared export to a stream and end it. Zips hold one .txt transcript
+   * per chat, or a single messages.jsonl / messages.csv, followed by the media files.
+   * @param {object} exportData - Result of prepare()
+   * @param {object} output - Writable stream, e.g. the response
+   * @returns {Promise<number>} Number of exported messages
+   */
+  async write({ options, instance, chats }, output) {
+    const { format, includeMedia, timezone } = options;
+    const perChatFiles = includeMedia && format === 'txt';
+    const mediaDir = options.chatId ? '' : 'media/';
+    const media = [];
+    const names = new Set();
+    let messageCount = 0;
+    let archive = null;
+    let entry = null;
+
+    if (includeMedia) {
+      archive = archiver('zip');
+      archive.on('warning', error => console.warn('Export zip warning:', error.message));
+      archive.on('error', error => output.destroy(error));
+      archive.pipe(output);
+
+      // Stop reading from the database when the client goes away
+      output.on('close', () => {
+        if (!output.writableFinished) {
+          archive.abort();
+          entry?.destroy();
+        }
+      });
+    }
+
+    const openEntry = name => {
+      entry = new PassThrough();
+      archive.append(entry, { name });
+      return entry;
+    };
+
+    const closeEntry = async () => {
+      entry.end();
+      await once(archive, 'entry');
+    };
+
+    let target = includeMedia && !perChatFiles ? openEntry(`messages.${format}`) : output;
+
+    if (format === 'csv') {
+      await this.push(target, CSV_COLUMNS.join(',') + '\r\n');
+    }
+
+    for (const [index, chat] of chats.entries()) {
+      if (perChatFiles) {
+        target = openEntry(this.sanitizeFileName(`WhatsApp Chat with ${this.getChatName(chat)} (${this.getPhone(chat.chatId)}).txt`));
+      } else if (format === 'txt' && !options.chatId) {
+        await this.push(target, `${index > 0 ? '\n' : ''}=== ${this.getChatName(chat)} (${chat.chatId}) ===\n`);
+      }
+
+      for await (const message of this.iterateMessages(chat, options)) {
+        let mediaFile = null;
+
+        if (includeMedia && this.hasMedia(message)) {
+          mediaFile = mediaDir + this.getMediaName(message, media.length + 1, names);
+          media.push({ key: message.mediaKey, name: mediaFile });
+        }
+
+        await this.push(target, this.formatMessage(format, message, chat, instance, mediaFile, timezone));
+        messageCount++;
+      }
+
+      if (perChatFiles) {
+        await closeEntry();
+      }
+    }
+
+    if (!archive) {
+      output.end();
+      await finished(output);
+      return messageCount;
+    }
+
+    if (!perChatFiles) {
+      await closeEntry();
+    }
+
+    const storage = getStorage();
+    for (const file of media) {
+      // Media can expire or be deleted while the export runs
+      if (!await storage.stat(file.key)) {
+        continue;
+      }
+
+      archive.append(await storage.createReadStream(file.key), { name: file.name });
+      await once(archive, 'entry');
+    }
+
+    await archive.finalize();
+    await finished(output);
+
+    return messageCount;
+  }
+
+  serialize(job) {
+    return {
+      id: job.id,
+      chatId: job.chatId,
+      format: job.format,
+      includeMedia: job.includeMedia,
+      since: job.since,
+      until: job.until,
+      timezone: job.timezone,
+      status: job.status,
+      messageCount: job.messageCount,
+      fileName: job.fileName,
+      error: job.error,
+      downloadUrl: job.status === 'completed'
+        ? `/api/exports/${encodeURIComponent(job.instanceId)}/jobs/${job.id}/download`
+        : null,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      createdAt: job.createdAt
+    };
+  }
+
+  getJobPath(jobId) {
+    return path.resolve(config.exports.path, jobId);
+  }
+
+  /**
+   * Create an export job, it runs in the background
+   */
+  async createJob(instanceId, input) {
+    const { options } = await this.prepare(instanceId, input);
+
+    const job = await database.getInstance().exportJob.create({
+      data: {
+        instanceId,
+        chatId: options.chatId,
+        format: options.format,
+        includeMedia: options.includeMedia,
+        since: options.since,
+        until: options.until,
+        timezone: options.timezone
+      }
+    });
+
+    this.enqueue(job.id);
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Queue a job, jobs run one at a time
+   */
+  enqueue(jobId) {
+    this.queue = this.queue.then(() => this.runJob(jobId));
+  }
+
+  /**
+   * Run an export job, writing its file to EXPORT_PATH. Never throws.
+   */
+  async runJob(jobId) {
+    const prisma = database.getInstance();
+    const filePath = this.getJobPath(jobId);
+
+    try {
+      const job = await prisma.exportJob.update({ where: { id: jobId }, data: { status: 'running' } });
+
+      const exportData = await this.prepare(job.instanceId, {
+        chatId: job.chatId,
+        format: job.format,
+        since: job.since,
+        until: job.until,
+        includeMedia: job.includeMedia,
+        timezone: job.timezone
+      });
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const messageCount = await this.write(exportData, fs.createWriteStream(filePath));
+
+      await prisma.exportJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'completed',
+          messageCount,
+          fileName: exportData.fileName,
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + config.exports.ttlHours * 60 * 60 * 1000)
+        }
+      });
+
+      console.log(`Export job ${jobId} completed with ${messageCount} messages`);
+    } catch (error) {
+      console.error(`Export job ${jobId} failed:`, error);
+      await fs.promises.rm(filePath, { force: true });
+
+      await prisma.exportJob.updateMany({
+        where: { id: jobId },
+        data: { status: 'failed', error: error.message }
+      }).catch(updateError => console.error('Error updating export job:', updateError));
+    }
+  }
+
+  /**
+   * Get an export job of an instance
+   */
+  async getJob(instanceId, jobId) {
+    const job = await database.getInstance().exportJob.findFirst({ where: { id: jobId, instanceId } });
+
+    if (!job) {
+      this.fail('Export job not found', 404);
+    }
+
+    return job;
+  }
+
+  /**
+   * List the export jobs of an instance, newest first
+   */
+  async listJobs(instanceId) {
+    const jobs = await database.getInstance().exportJob.findMany({
+      where: { instanceId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return jobs.map(job => this.serialize(job));
+  }
+
+  /**
+   * File of a completed export job
+   * @returns {Promise<object>} { filePath, fileName, contentType, size }
+   */
+  async getDownload(instanceId, jobId) {
+    const job = await this.getJob(instanceId, jobId);
+
+    if (job.status !== 'completed') {
+      this.fail(`Export job is ${job.status}`, 409);
+    }
+
+    if (job.expiresAt && job.expiresAt <= new Date()) {
+      this.fail('Export has expired', 410);
+    }
+
+    const filePath = this.getJobPath(job.id);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+
+    if (!stats) {
+      this.fail('Export file not found', 410);
+    }
+
+    return {
+      filePath,
+      fileName: job.fileName,
+      contentType: job.includeMedia ? 'application/zip' : FORMATS[job.format],
+      size: stats.size
+    };
+  }
+
+  /**
+   * Delete an export job and its file
+   */
+  async deleteJob(instanceId, jobId) {
+    const job = await this.getJob(instanceId, jobId);
+
+    if (['pending', 'running'].includes(job.status)) {
+      this.fail('Export job is still running', 409);
+    }
+
+    await fs.promises.rm(this.getJobPath(job.id), { force: true });
+    await database.getInstance().exportJob.delete({ where: { id: job.id } });
+  }
+
+  /**
+   * Delete expired export files and their jobs
+   */
+  async cleanupExpired() {
+    const prisma = database.getInstance();
+
+    try {
+      const expired = await prisma.exportJob.findMany({
+        where: { expiresAt: { lte: new Date() } },
+        select: { id: true }
+      });
+
+      for (const job of expired) {
+        await fs.promises.rm(this.getJobPath(job.id), { force: true });
+      }
+
+      if (expired.length > 0) {
+        await prisma.exportJob.deleteMany({ where: { id: { in: expired.map(job => job.id) } } });
+        console.log(`Removed ${expired.length} expired exports`);
+      }
+    } catch (error) {
+      console.error('Error cleaning up expired exports:', error);
+    }
+  }
+
+  /**
+   * Run the jobs that were pending or running when the process stopped,
+   * and start the expiry cleanup timer
+   */
+  async start() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    try {
+      const jobs = await database.getInstance().exportJob.findMany({
+        where: { status: { in: ['pending', 'running'] } },
+        select: { id: true }
+      });
+
+      for (const job of jobs) {
+        this.enqueue(job.id);
+      }
+
+      if (jobs.length > 0) {
+        console.log(`Resuming ${jobs.length} export jobs`);
+      }
+    } catch (error) {
+      console.error('Error resuming export jobs:', error);
+    }
+
+    this.cleanupTimer = setInterval(() => this.cleanupExpired(), config.exports.cleanupInterval);
+  }
+
+  /**
+   * Stop the expiry cleanup timer
+   */
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const config = require('../config/config');
+
+const MAX_KEY_LENGTH = 255;
+const KEY_MISMATCH = 'IDEMPOTENCY_KEY_MISMATCH';
+const KEY_IN_PROGRESS = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+
+// Idempotency keys of send requests (Idempotency-Key header). The first request with
+// a key is recorded with a hash of its method, path and body, and its response is
+// stored once it succeeded. Repeats within config.idempotency.ttlHours get the stored
+// response instead of sending again. Keys belong to the tenant (or master key / JWT
+// subject) that used them, failed requests release their key so that they can be retried.
+// A key stays taken while its request runs, even if the client disconnects, so that a
+// retry can not send again. Keys of requests that never answered are freed after
+// config.idempotency.processingTimeout.
+class IdempotencyService {
+  constructor() {
+    this.KEY_MISMATCH = KEY_MISMATCH;
+    this.KEY_IN_PROGRESS = KEY_IN_PROGRESS;
+  }
+
+  fail(message, status = 400, code) {
+    const error = new Error(message);
+    error.status = status;
+    if (code) {
+      error.code = code;
+    }
+    throw error;
+  }
+
+  /**
+   * Validate the value of an Idempotency-Key header
+   */
+  validateKey(key) {
+    if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+      this.fail(`Idempotency-Key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Owner of the keys of an authenticated request
+   * @param {object} auth - req.auth
+   */
+  getOwner(auth) {
+    if (auth?.tenantId) {
+      return `tenant:${auth.tenantId}`;
+    }
+
+    return auth?.type === 'jwt' ? `jwt:${auth.subject || ''}` : 'master';
+  }
+
+  /**
+   * JSON with sorted object keys, so that the same body always has the same hash
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * Hash of a request, a key can only be repeated with the same hash
+   */
+  hashRequest(method, path, body) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method} ${path}\n${this.stableStringify(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Record the first use of a key, or find the response to replay
+   * @returns {Promise<object>} { record } for a new request, { replay } with the stored response of a repeat
+   */
+  async begin(owner, key, requestHash, retried = false) {
+    const prisma = database.getInstance();
+    const now = new Date();
+
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          owner,
+          key,
+          requestHash,
+          expiresAt: new Date(now.getTime() + config.idempotency.ttlHours * 60 * 60 * 1000)
+        }
+      });
+
+      return { record };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({
+      where: { owner_key: { owner, key } }
+    });
+
+    const abandoned = existing && existing.status !== 'completed'
+      && now.getTime() - existing.createdAt.getTime() >= config.idempotency.processingTimeout;
+
+    // An expired key can be used again, as can the key of a request that never answered
+    if (!existing || existing.expiresAt <= now || abandoned) {
+      if (retried) {
+        this.fail('Idempotency-Key is being used by another request', 409, KEY_IN_PROGRESS);
+      }
+
+      if (existing) {
+        await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, status: existing.status } });
+      }
+      return this.begin(owner, key, requestHash, true);
+    }
+
+    if (existing.requestHash !== requestHash) {
+      this.fail('Idempotency-Key was already used with a different request', 409, KEY_MISMATCH);
+    }
+
+    if (existing.status !== 'completed') {
+      this.fail('A request with this Idempotency-Key is still in progress', 409, KEY_IN_PROGRESS);
+    }
+
+    return { replay: existing };
+  }
+
+  /**
+   * Store the response of a request
+   * @param {number} status - HTTP status
+   * @param {object} body - JSON response body
+   */
+  async complete(id, status, body) {
+    const data = body?.data;
+
+    // The key is gone when its request ran past the processing timeout
+    await database.getInstance().idempotencyKey.updateMany({
+      where: { id, status: 'processing' },
+      data: {
+        status: 'completed',
+        responseStatus: status,
+        responseBody: body,
+        messageId: data?.messageId || data?.key?.id || null
+      }
+    });
+  }
+
+  /**
+   * Release the key of a failed request
+   */
+  async release(id) {
+    await database.getInstance().idempotencyKey.deleteMany({ where: { id, status: 'processing' } });
+  }
+
+  /**
+   * Delete expired keys
+   */
+  async cleanupExpired() {
+    try {
+      const { count } = await database.getInstance().idempotencyKey.deleteMany({
+        where: { expiresAt: { lte: new Date() } }
+      });
+
+      if (count > 0) {
+        console.log(`Deleted ${count} expired idempotency keys`);
+      }
+    } catch (error) {
+      console.error('Error deleting expired idempotency keys:', error);
+    }
+  }
+
+  /**
+   * Start the expiry cleanup timer
+   */
+  startCleanup() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => this.cleanupExpired(), config.idempotency.cleanupInterval);
+  }
+
+  /**
+   * Stop the expiry cleanup timer
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,309 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const webhookService = require('./webhookService');
+
+const STATUSES = ['open', 'pending', 'resolved'];
+
+// Shared inbox on top of the chats: status, assignee, tags and internal notes.
+// The SLA timer runs from the first inbound message of a conversation to the first
+// reply. An inbound message on a resolved chat reopens it and starts a new conversation.
+class InboxService {
+  constructor() {
+    this.statuses = STATUSES;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  toJid(chatId) {
+    return chatId.includes('@') ? chatId : `${chatId}@s.whatsapp.net`;
+  }
+
+  /**
+   * Validate tags, duplicates are dropped
+   * @returns {string[]}
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 50)) {
+      this.fail('tags must be an array of non-empty strings of at most 50 characters');
+    }
+
+    return [...new Set(tags.map(tag => tag.trim()))];
+  }
+
+  /**
+   * Prisma filter of the inbox fields
+   * @param {object} filters - { status, assigneeId ('none' for unassigned chats), tag, awaitingReply }
+   */
+  buildWhere({ status, assigneeId, tag, awaitingReply } = {}) {
+    const where = {};
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        this.fail(`Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+      }
+      where.status = status;
+    }
+
+    if (assigneeId) {
+      where.assigneeId = assigneeId === 'none' ? null : assigneeId;
+    }
+
+    if (tag) {
+      where.tags = { array_contains: [tag] };
+    }
+
+    if (awaitingReply) {
+      where.firstInboundAt = { not: null };
+      where.firstResponseAt = null;
+      where.status = where.status || { not: 'resolved' };
+    }
+
+    return where;
+  }
+
+  /**
+   * SLA timer of a chat. waitingSeconds runs while an unresolved chat has no reply.
+   */
+  getSla(chat) {
+    const sla = {
+      firstInboundAt: chat.firstInboundAt || null,
+      firstResponseAt: chat.firstResponseAt || null,
+      responseSeconds: null,
+      waitingSeconds: null,
+      breached: false
+    };
+
+    if (!chat.firstInboundAt) {
+      return sla;
+    }
+
+    if (chat.firstResponseAt) {
+      sla.responseSeconds = Math.round((chat.firstResponseAt - chat.firstInboundAt) / 1000);
+    } else if (chat.status !== 'resolved') {
+      sla.waitingSeconds = Math.round((Date.now() - chat.firstInboundAt) / 1000);
+    }
+
+    const elapsed = sla.responseSeconds ?? sla.waitingSeconds;
+    sla.breached = config.inbox.slaSeconds > 0 && elapsed !== null && elapsed > config.inbox.slaSeconds;
+
+    return sla;
+  }
+
+  serialize(chat) {
+    return {
+      chatId: chat.chatId,
+      name: chat.name,
+      isGroup: chat.isGroup,
+      status: chat.status,
+      assigneeId: chat.assigneeId,
+      tags: chat.tags || [],
+      resolvedAt: chat.resolvedAt,
+      sla: this.getSla(chat)
+    };
+  }
+
+  /**
+   * Get the chat row of a chat ID or phone number
+   */
+  async getChat(instanceId, chatId) {
+    const chat = await database.getInstance().chat.findUnique({
+      where: { instanceId_chatId: { instanceId, chatId: this.toJid(chatId) } }
+    });
+
+    if (!chat) {
+      this.fail('Chat not found', 404);
+    }
+
+    return chat;
+  }
+
+  /**
+   * Get the inbox state of a chat
+   */
+  async get(instanceId, chatId) {
+    return this.serialize(await this.getChat(instanceId, chatId));
+  }
+
+  /**
+   * Change the status, assignee or tags of a chat, omitted fields keep their value.
+   * Fires chat.status and chat.assigned for the fields that changed.
+   * @param {object} changes - { status, assigneeId (null unassigns), tags }
+   */
+  async update(instanceId, chatId, { status, assigneeId, tags }) {
+    const prisma = database.getInstance();
+    const chat = await this.getChat(instanceId, chatId);
+    const data = {};
+
+    if (status !== undefined && status !== chat.status) {
+      if (!STATUSES.includes(status)) {
+        this.fail(`Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+      }
+
+      data.status = status;
+      data.resolvedAt = status === 'resolved' ? new Date() : null;
+
+      // Reopened by hand: the next inbound message starts a new SLA timer
+      if (chat.status === 'resolved') {
+        data.firstInboundAt = null;
+        data.firstResponseAt = null;
+      }
+    }
+
+    if (assigneeId !== undefined && (assigneeId || null) !== chat.assigneeId) {
+      if (assigneeId !== null && (typeof assigneeId !== 'string' || !assigneeId.trim())) {
+        this.fail('assigneeId must be a non-empty string or null');
+      }
+      data.assigneeId = assigneeId ? assigneeId.trim() : null;
+    }
+
+    if (tags !== undefined) {
+      data.tags = this.normalizeTags(tags);
+    }
+
+    if (Object.keys(data).length === 0) {
+      return this.serialize(chat);
+    }
+
+    const updated = await prisma.chat.update({ where: { id: chat.id }, data });
+
+    if (data.status) {
+      await webhookService.triggerChatStatus(instanceId, {
+        chatId: chat.chatId,
+        chatName: chat.name,
+        status: data.status,
+        previousStatus: chat.status,
+        reason: 'manual'
+      });
+    }
+
+    if (data.assigneeId !== undefined) {
+      await webhookService.triggerChatAssigned(instanceId, {
+        chatId: chat.chatId,
+        chatName: chat.name,
+        assigneeId: data.assigneeId,
+        previousAssigneeId: chat.assigneeId
+      });
+    }
+
+    return this.serialize(updated);
+  }
+
+  /**
+   * Update the SLA timer and status of a chat for a saved message
+   * @param {object} chat - Chat row as it was before the message
+   * @param {object} message - { fromMe, timestamp, automated }
+   */
+  async recordMessage(instanceId, chat, { fromMe, timestamp, automated = false }) {
+    const prisma = database.getInstance();
+
+    try {
+      if (fromMe) {
+        // First reply of the conversation stops the timer, automated replies do not count
+        if (chat.firstInboundAt && !chat.firstResponseAt && !automated) {
+          await prisma.chat.updateMany({
+            where: { id: chat.id, firstResponseAt: null },
+            data: { firstResponseAt: timestamp }
+          });
+        }
+        return;
+      }
+
+      if (chat.status === 'resolved') {
+        await prisma.chat.update({
+          where: { id: chat.id },
+          data: { status: 'open', resolvedAt: null, firstInboundAt: timestamp, firstResponseAt: null }
+        });
+
+        await webhookService.triggerChatStatus(instanceId, {
+          chatId: chat.chatId,
+          chatName: chat.name,
+          status: 'open',
+          previousStatus: 'resolved',
+          reason: 'inbound'
+        });
+      } else if (!chat.firstInboundAt) {
+        await prisma.chat.updateMany({
+          where: { id: chat.id, firstInboundAt: null },
+          data: { firstInboundAt: timestamp }
+        });
+      }
+    } catch (error) {
+      console.error('Error updating inbox state:', error);
+    }
+  }
+
+  /**
+   * List the internal notes of a chat, oldest first
+   */
+  async listNotes(instanceId, chatId) {
+    const chat = await this.getChat(instanceId, chatId);
+
+    return database.getInstance().chatNote.findMany({
+      where: { chatId: chat.id },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Add an internal note to a chat
+   * @param {object} data - { body, authorId }
+   */
+  async addNote(instanceId, chatId, { body, authorId }) {
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      this.fail('body is required');
+    }
+
+    const chat = await this.getChat(instanceId, chatId);
+
+    return database.getInstance().chatNote.create({
+      data: { chatId: chat.id, body, authorId: authorId || null }
+    });
+  }
+
+  /**
+   * Get a note of a chat
+   */
+  async getNote(instanceId, chatId, noteId) {
+    const chat = await this.getChat(instanceId, chatId);
+
+    const note = await database.getInstance().chatNote.findFirst({
+      where: { id: noteId, chatId: chat.id }
+    });
+
+    if (!note) {
+      this.fail('Note not found', 404);
+    }
+
+    return note;
+  }
+
+  /**
+   * Edit the body of a note
+   */
+  async updateNote(instanceId, chatId, noteId, { body }) {
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      this.fail('body is required');
+    }
+
+    await this.getNote(instanceId, chatId, noteId);
+
+    return database.getInstance().chatNote.update({
+      where: { id: noteId },
+      data: { body }
+    });
+  }
+
+  /**
+   * Delete a note
+   */
+  async deleteNote(instanceId, chatId, noteId) {
+    await this.getNote(instanceId, chatId, noteId);
+    await database.getInstance().chatNote.delete({ where: { id: noteId } });
+  }
+}
+
+module.exports = new InboxService();
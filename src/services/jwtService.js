@@ -0,0 +1,127 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const apiKeyService = require('./apiKeyService');
+
+class JwtService {
+  constructor() {
+    this.jwks = null; // kid -> KeyObject
+    this.jwksLoadedAt = 0;
+  }
+
+  /**
+   * Load public keys from the configured JWKS file
+   */
+  loadJwks() {
+    const { jwksFile } = config.auth.jwt;
+
+    if (!jwksFile) {
+      throw new Error('JWT_JWKS_FILE is required for RS256 tokens');
+    }
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    const jwks = new Map();
+
+    for (const jwk of keys) {
+      if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+      jwks.set(jwk.kid || 'default', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+
+    this.jwks = jwks;
+    this.jwksLoadedAt = Date.now();
+  }
+
+  /**
+   * Get the verification key for a token header
+   */
+  getKey(header) {
+    const { algorithm, secret } = config.auth.jwt;
+
+    if (header.alg !== algorithm) {
+      throw new jwt.JsonWebTokenError(`Unexpected token algorithm ${header.alg}`);
+    }
+
+    if (algorithm === 'HS256') {
+      if (!secret) {
+        throw new Error('JWT_SECRET is required for HS256 tokens');
+      }
+      return secret;
+    }
+
+    const kid = header.kid || 'default';
+
+    // Reload the JWKS file when an unknown key ID shows up (keys were rotated)
+    if (!this.jwks || (!this.jwks.has(kid) && Date.now() - this.jwksLoadedAt > 10000)) {
+      this.loadJwks();
+    }
+
+    const key = this.jwks.get(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`No signing key found for kid ${kid}`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Verify a bearer token and map its claims to an auth context
+   * @param {string} token - Raw JWT
+   * @returns {object} Auth context (same shape as API key auth)
+   */
+  verify(token) {
+    const { algorithm, audience, issuer, clockTolerance, claims } = config.auth.jwt;
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('Malformed token');
+    }
+
+    const payload = jwt.verify(token, this.getKey(decoded.header), {
+      algorithms: [algorithm],
+      audience: audience || undefined,
+      issuer: issuer || undefined,
+      clockTolerance
+    });
+
+    if (!payload.exp) {
+      throw new jwt.JsonWebTokenError('Token has no expiry');
+    }
+
+    return {
+      type: 'jwt',
+      keyId: null,
+      subject: payload.sub || null,
+      tenantId: payload[claims.tenant] || null,
+      scopes: this.getScopes(payload),
+      instanceIds: this.getInstanceIds(payload)
+    };
+  }
+
+  /**
+   * Read scopes from the token, space separated string or array
+   */
+  getScopes(payload) {
+    const raw = payload[config.auth.jwt.claims.scopes];
+    const scopes = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(' ') : config.auth.jwt.defaultScopes);
+
+    // Tokens can never carry the master-only scopes
+    return scopes.filter(scope => scope && apiKeyService.getInvalidScopes([scope]).length === 0);
+  }
+
+  /**
+   * Read allowed instance IDs from the token, ["*"] allows every instance
+   */
+  getInstanceIds(payload) {
+    const raw = payload[config.auth.jwt.claims.instances];
+    const instanceIds = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(',') : []);
+
+    if (instanceIds.includes('*')) {
+      return null;
+    }
+
+    return instanceIds.map(id => id.trim()).filter(Boolean);
+  }
+}
+
+module.exports = new JwtService();
@@ -0,0 +1,236 @@
+const { downloadMediaMessage } = require('baileys');
+const database = require('../config/database');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+
+// Message content keys that carry downloadable media
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  documentMessage: 'document',
+  audioMessage: 'audio',
+  stickerMessage: 'sticker'
+};
+
+class MediaService {
+  constructor() {
+    this.cleanupTimer = null;
+    this.cleanupRunning = false;
+  }
+
+  /**
+   * Get the media content of a Baileys message, or null for non-media messages
+   */
+  getMediaContent(msg) {
+    for (const key of Object.keys(MEDIA_TYPES)) {
+      if (msg.message?.[key]) {
+        return msg.message[key];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Storage key of a message's media
+   */
+  getStorageKey(instanceId, messageId) {
+    return `${instanceId}/${messageId}`;
+  }
+
+  /**
+   * Public URL of a message's media, served by GET /api/media/:instanceId/:messageId
+   */
+  getMediaUrl(instanceId, messageId) {
+    return `${config.media.baseUrl}/api/media/${encodeURIComponent(instanceId)}/${encodeURIComponent(messageId)}`;
+  }
+
+  /**
+   * Download the media of an incoming message and store it
+   * @param {string} instanceId - Instance ID
+   * @param {object} msg - Baileys message
+   * @param {object} socket - Baileys socket, used to re-request expired media
+   * @returns {Promise<object|null>} Message media fields, null when there is nothing to store
+   */
+  async saveMessageMedia(instanceId, msg, socket) {
+    const content = this.getMediaContent(msg);
+
+    if (!config.media.download || !content) {
+      return null;
+    }
+
+    const size = Number(content.fileLength || 0);
+    if (size > config.media.maxSize) {
+      console.warn(`Media of message ${msg.key.id} is ${size} bytes, larger than MEDIA_MAX_SIZE, not downloaded`);
+      return null;
+    }
+
+    try {
+      const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+        logger: console,
+        reuploadRequest: socket?.updateMediaMessage
+      });
+
+      const key = this.getStorageKey(instanceId, msg.key.id);
+      const mimeType = content.mimetype || 'application/octet-stream';
+
+      await getStorage().put(key, buffer, { contentType: mimeType });
+
+      return {
+        mediaUrl: this.getMediaUrl(instanceId, msg.key.id),
+        mediaKey: key,
+        mediaMimeType: mimeType,
+        mediaSize: buffer.length,
+        mediaFileName: content.fileName || null,
+        mediaExpiresAt: config.media.ttlDays > 0
+          ? new Date(Date.now() + config.media.ttlDays * 24 * 60 * 60 * 1000)
+          : null
+      };
+    } catch (error) {
+      console.error(`Error downloading media of message ${msg.key.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the stored media of a message
+   * @returns {Promise<object|null>} Message row, null when the media is missing or expired
+   */
+  async getMessageMedia(instanceId, messageId) {
+    const prisma = database.getInstance();
+
+    const message = await prisma.message.findFirst({
+      where: { instanceId, messageId },
+      select: {
+        messageId: true,
+        type: true,
+        mediaKey: true,
+        mediaMimeType: true,
+        mediaSize: true,
+        mediaFileName: true,
+        mediaExpiresAt: true
+      }
+    });
+
+    if (!message?.mediaKey || (message.mediaExpiresAt && message.mediaExpiresAt <= new Date())) {
+      return null;
+    }
+
+    return message;
+  }
+
+  /**
+   * Parse a single "bytes=start-end" Range header
+   * @returns {object|null|false} { start, end }, null without a (usable) range, false when unsatisfiable
+   */
+  parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      start = Math.max(size - Number(match[2]), 0);
+      end = size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start > end || start >= size) {
+      return false;
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Delete expired media files, in batches
+   */
+  async cleanupExpired() {
+    if (this.cleanupRunning) {
+      return;
+    }
+
+    this.cleanupRunning = true;
+    const prisma = database.getInstance();
+
+    try {
+      let removed = 0;
+      let expired;
+
+      do {
+        expired = await prisma.message.findMany({
+          where: {
+            mediaKey: { not: null },
+            mediaExpiresAt: { lte: new Date() }
+          },
+          select: { id: true, mediaKey: true },
+          take: 100
+        });
+
+        for (const message of expired) {
+          try {
+            await getStorage().delete(message.mediaKey);
+          } catch (error) {
+            console.error(`Error deleting media ${message.mediaKey}:`, error.message);
+          }
+        }
+
+        if (expired.length > 0) {
+          await prisma.message.updateMany({
+            where: { id: { in: expired.map(message => message.id) } },
+            data: { mediaKey: null, mediaUrl: null }
+          });
+        }
+
+        removed += expired.length;
+      } while (expired.length === 100);
+
+      if (removed > 0) {
+        console.log(`Removed ${removed} expired media files`);
+      }
+    } catch (error) {
+      console.error('Error cleaning up expired media:', error);
+    } finally {
+      this.cleanupRunning = false;
+    }
+  }
+
+  /**
+   * Delete every stored media file of an instance
+   */
+  async deleteInstanceMedia(instanceId) {
+    try {
+      await getStorage().deletePrefix(`${instanceId}/`);
+    } catch (error) {
+      console.error(`Error deleting media of instance ${instanceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Start the expiry cleanup timer
+   */
+  startCleanup() {
+    if (this.cleanupTimer || config.media.ttlDays <= 0) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => this.cleanupExpired(), config.media.cleanupInterval);
+  }
+
+  /**
+   * Stop the expiry cleanup timer
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = new MediaService();
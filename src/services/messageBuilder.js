@@ -0,0 +1,194 @@
+// Builds Baileys message content from send request payloads, shared by the
+// /send/* routes and everything that sends later (queue, scheduler).
+class MessageBuilder {
+  constructor() {
+    this.builders = {
+      text: body => this.buildText(body),
+      image: body => this.buildImage(body),
+      file: body => this.buildFile(body),
+      voice: body => this.buildVoice(body),
+      video: body => this.buildVideo(body),
+      'link-preview': body => this.buildLinkPreview(body),
+      poll: body => this.buildPoll(body),
+      location: body => this.buildLocation(body),
+      contact: body => this.buildContact(body)
+    };
+    this.types = Object.keys(this.builders);
+  }
+
+  /**
+   * Normalize a phone number or JID to a JID
+   */
+  toJid(to) {
+    return to.includes('@') ? to : `${to}@s.whatsapp.net`;
+  }
+
+  /**
+   * Build the Baileys content of a message, throws with error.status 400 when fields are missing
+   * @param {string} type - text, image, file, voice, video, link-preview, poll, location, contact
+   * @param {object} body - Send payload, same fields as the /send/<type> route
+   * @returns {object} Baileys message content
+   */
+  build(type, body) {
+    const builder = this.builders[type];
+
+    if (!builder) {
+      this.fail(`Invalid message type. Must be one of: ${this.types.join(', ')}`);
+    }
+
+    return builder(body || {});
+  }
+
+  fail(message) {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  }
+
+  buildText({ message, quotedMessageId }) {
+    if (!message) this.fail('message is required');
+
+    const content = { text: message };
+
+    // Add quoted message if provided
+    if (quotedMessageId) {
+      content.quoted = { key: { id: quotedMessageId } };
+    }
+
+    return content;
+  }
+
+  buildImage({ imageUrl, imageBase64, caption, viewOnce }) {
+    if (!imageUrl && !imageBase64) this.fail('either imageUrl or imageBase64 is required');
+
+    const content = {
+      caption: caption || '',
+      viewOnce: viewOnce || false
+    };
+
+    if (imageBase64) {
+      content.image = Buffer.from(imageBase64.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    } else {
+      content.image = { url: imageUrl };
+    }
+
+    return content;
+  }
+
+  buildFile({ fileUrl, fileBase64, fileName, mimetype, caption }) {
+    if (!fileUrl && !fileBase64) this.fail('either fileUrl or fileBase64 is required');
+
+    const content = {
+      fileName: fileName || 'document',
+      mimetype: mimetype || 'application/octet-stream',
+      caption: caption || ''
+    };
+
+    if (fileBase64) {
+      content.document = Buffer.from(fileBase64.replace(/^data:.*;base64,/, ''), 'base64');
+    } else {
+      content.document = { url: fileUrl };
+    }
+
+    return content;
+  }
+
+  buildVoice({ audioUrl, audioBase64, ptt = true }) {
+    if (!audioUrl && !audioBase64) this.fail('either audioUrl or audioBase64 is required');
+
+    const content = {
+      ptt, // Push to talk (voice note)
+      mimetype: 'audio/ogg; codecs=opus'
+    };
+
+    if (audioBase64) {
+      content.audio = Buffer.from(audioBase64.replace(/^data:audio\/\w+;base64,/, ''), 'base64');
+    } else {
+      content.audio = { url: audioUrl };
+    }
+
+    return content;
+  }
+
+  buildVideo({ videoUrl, videoBase64, caption, gifPlayback = false }) {
+    if (!videoUrl && !videoBase64) this.fail('either videoUrl or videoBase64 is required');
+
+    const content = {
+      caption: caption || '',
+      gifPlayback
+    };
+
+    if (videoBase64) {
+      content.video = Buffer.from(videoBase64.replace(/^data:video\/\w+;base64,/, ''), 'base64');
+    } else {
+      content.video = { url: videoUrl };
+    }
+
+    return content;
+  }
+
+  buildLinkPreview({ text, url, title, description, thumbnailUrl }) {
+    if (!text) this.fail('text is required');
+
+    // Without custom preview data WhatsApp generates the preview
+    if (!url || !title) {
+      return { text };
+    }
+
+    return {
+      text,
+      linkPreview: {
+        url,
+        title,
+        description: description || '',
+        thumbnailUrl: thumbnailUrl || null
+      }
+    };
+  }
+
+  buildPoll({ question, options, multipleAnswers = false, toAnnouncementGroup = false }) {
+    if (!question || !options || !Array.isArray(options)) this.fail('question and options array are required');
+
+    return {
+      poll: {
+        name: question,
+        values: options,
+        selectableCount: multipleAnswers ? options.length : 1,
+        toAnnouncementGroup: toAnnouncementGroup ? true : false
+      }
+    };
+  }
+
+  buildLocation({ latitude, longitude, name, address }) {
+    if (latitude === undefined || longitude === undefined) this.fail('latitude and longitude are required');
+
+    return {
+      location: {
+        degreesLatitude: latitude,
+        degreesLongitude: longitude,
+        name: name || '',
+        address: address || ''
+      }
+    };
+  }
+
+  buildContact({ contactName, contactNumber, organization }) {
+    if (!contactName || !contactNumber) this.fail('contactName and contactNumber are required');
+
+    const vcard = `BEGIN:VCARD
+VERSION:3.0
+FN:${contactName}
+TEL;type=CELL;type=VOICE;waid=${contactNumber.replace(/[^0-9]/g, '')}:${contactNumber}
+${organization ? `ORG:${organization}` : ''}
+END:VCARD`;
+
+    return {
+      contacts: {
+        displayName: contactName,
+        contacts: [{ vcard }]
+      }
+    };
+  }
+}
+
+module.exports = new MessageBuilder();
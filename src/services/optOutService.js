@@ -0,0 +1,283 @@
+const { Prisma } = require('@prisma/client');
+const database = require('../config/database');
+const config = require('../config/config');
+const { parseCsv } = require('../utils/csv');
+
+// Error code of sends to a recipient that opted out
+const OPTED_OUT = 'RECIPIENT_OPTED_OUT';
+
+// Per-instance opt-out (suppression) list. Recipients are added when they send an
+// opt-out keyword, manually or by import, and every outbound path checks the list
+// before sending. Only personal chats are checked: groups, status and channels
+// are never suppressed.
+class OptOutService {
+  constructor() {
+    this.OPTED_OUT = OPTED_OUT;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Normalize a phone number or JID, device suffixes (628...:12@s.whatsapp.net) are dropped
+   * @returns {string|null} JID, null when there is no usable number
+   */
+  normalizeJid(value) {
+    const text = String(value || '').trim();
+    const [user, domain] = text.includes('@') ? text.split('@') : [text, 's.whatsapp.net'];
+    const id = user.split(':')[0];
+
+    if (domain === 's.whatsapp.net' || domain === 'c.us') {
+      const digits = id.replace(/[^0-9]/g, '');
+      return digits ? `${digits}@s.whatsapp.net` : null;
+    }
+
+    return id ? `${id}@${domain}` : null;
+  }
+
+  /**
+   * Whether a JID is a personal chat, the only kind of chat that is suppressed
+   */
+  isPersonal(jid) {
+    return /@(s\.whatsapp\.net|c\.us|lid)$/.test(jid);
+  }
+
+  /**
+   * Whether a recipient opted out
+   */
+  async isOptedOut(instanceId, to) {
+    const jid = this.normalizeJid(to);
+
+    if (!jid || !this.isPersonal(jid)) {
+      return false;
+    }
+
+    const entry = await database.getInstance().optOut.findUnique({
+      where: { instanceId_jid: { instanceId, jid } },
+      select: { id: true }
+    });
+
+    return Boolean(entry);
+  }
+
+  /**
+   * Throw a 403 RECIPIENT_OPTED_OUT error when a recipient opted out
+   */
+  async assertCanSend(instanceId, to) {
+    if (await this.isOptedOut(instanceId, to)) {
+      const error = new Error(`Recipient ${String(to).split('@')[0]} has opted out`);
+      error.status = 403;
+      error.code = OPTED_OUT;
+      throw error;
+    }
+  }
+
+  /**
+   * Split recipients into allowed and opted-out ones with a single query
+   * @returns {Promise<object>} { allowed, optedOut } with the recipients as given
+   */
+  async filterRecipients(instanceId, recipients) {
+    const jids = recipients.map(recipient => this.normalizeJid(recipient));
+
+    const entries = await database.getInstance().optOut.findMany({
+      where: { instanceId, jid: { in: jids.filter(Boolean) } },
+      select: { jid: true }
+    });
+    const blocked = new Set(entries.map(entry => entry.jid));
+
+    const allowed = [];
+    const optedOut = [];
+    recipients.forEach((recipient, index) => {
+      (blocked.has(jids[index]) ? optedOut : allowed).push(recipient);
+    });
+
+    return { allowed, optedOut };
+  }
+
+  /**
+   * Add recipients to the opt-out list, already listed ones are kept as they are
+   * @param {string[]} phones - Phone numbers or JIDs
+   * @param {object} data - { source, keyword, note }
+   * @returns {Promise<object>} { added, invalid }
+   */
+  async add(instanceId, phones, { source = 'manual', keyword = null, note = null } = {}) {
+    const prisma = database.getInstance();
+
+    const invalid = [];
+    const jids = new Set();
+
+    for (const phone of phones) {
+      const jid = this.normalizeJid(phone);
+      if (jid && this.isPersonal(jid)) {
+        jids.add(jid);
+      } else {
+        invalid.push(phone);
+      }
+    }
+
+    const { count } = await prisma.optOut.createMany({
+      data: [...jids].map(jid => ({ instanceId, jid, source, keyword, note })),
+      skipDuplicates: true
+    });
+
+    return { added: count, invalid };
+  }
+
+  /**
+   * Import the opt-out list from CSV text (phone, to, number or first column) or an array
+   */
+  async import(instanceId, { csv, phones }) {
+    let list;
+
+    if (typeof csv === 'string') {
+      const rows = parseCsv(csv);
+      const columns = Object.keys(rows[0] || {});
+      const column = columns.find(name => ['phone', 'to', 'number', 'jid'].includes(name.toLowerCase())) || columns[0];
+      list = rows.map(row => row[column]);
+    } else if (Array.isArray(phones)) {
+      list = phones;
+    } else {
+      this.fail('csv or phones array is required');
+    }
+
+    return this.add(instanceId, list, { source: 'import' });
+  }
+
+  /**
+   * Remove a recipient from the opt-out list
+   */
+  async remove(instanceId, phone) {
+    const prisma = database.getInstance();
+    const jid = this.normalizeJid(phone);
+
+    if (!jid || !this.isPersonal(jid)) {
+      this.fail('Invalid phone number');
+    }
+
+    const { count } = await prisma.optOut.deleteMany({
+      where: { instanceId, jid }
+    });
+
+    if (count === 0) {
+      this.fail('Recipient is not on the opt-out list', 404);
+    }
+  }
+
+  /**
+   * List the opt-out entries of an instance, newest first
+   */
+  async list(instanceId, { search, source, limit = 100, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId };
+    if (search) {
+      where.jid = { contains: search };
+    }
+    if (source) {
+      where.source = source;
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.optOut.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.optOut.count({ where })
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Get the opt-out settings of an instance, falling back to the config defaults
+   */
+  async getSettings(instanceId) {
+    const prisma = database.getInstance();
+
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: { optOutKeywords: true, optOutReply: true }
+    });
+
+    if (!instance) {
+      this.fail('Instance not found', 404);
+    }
+
+    return {
+      keywords: instance.optOutKeywords ?? config.optOut.keywords,
+      reply: instance.optOutReply ?? config.optOut.reply
+    };
+  }
+
+  /**
+   * Update the opt-out settings of an instance, null restores the default
+   * @param {object} settings - { keywords: string[], reply: string ('' disables the reply) }
+   */
+  async updateSettings(instanceId, { keywords, reply }) {
+    const prisma = database.getInstance();
+
+    if (keywords !== undefined && keywords !== null &&
+      (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+      this.fail('keywords must be an array of non-empty strings');
+    }
+
+    if (reply !== undefined && reply !== null && typeof reply !== 'string') {
+      this.fail('reply must be a string');
+    }
+
+    await this.getSettings(instanceId);
+
+    await prisma.instance.update({
+      where: { id: instanceId },
+      data: {
+        optOutKeywords: keywords === null ? Prisma.DbNull : keywords?.map(keyword => keyword.trim()),
+        optOutReply: reply
+      }
+    });
+
+    return this.getSettings(instanceId);
+  }
+
+  /**
+   * Opt out the sender of an incoming message that equals an opt-out keyword
+   * and send the confirmation reply
+   * @returns {Promise<boolean>} Whether the sender was opted out
+   */
+  async handleIncomingMessage(instanceId, { chatId, body, socket }) {
+    const text = (body || '').trim().toUpperCase();
+
+    // Keywords are single words, longer messages are not looked up
+    if (!text || text.length > 64 || !this.isPersonal(chatId || '')) {
+      return false;
+    }
+
+    try {
+      const settings = await this.getSettings(instanceId);
+      const keyword = settings.keywords.find(word => word.toUpperCase() === text);
+
+      if (!keyword) {
+        return false;
+      }
+
+      const { added } = await this.add(instanceId, [chatId], { source: 'keyword', keyword });
+
+      // The confirmation is only sent once, repeated keywords are ignored
+      if (added > 0 && settings.reply && socket) {
+        await socket.sendMessage(chatId, { text: settings.reply }, { context: { automated: true } });
+      }
+
+      console.log(`Recipient ${chatId} opted out of instance ${instanceId} with keyword ${keyword}`);
+      return true;
+    } catch (error) {
+      console.error('Error handling opt-out keyword:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new OptOutService();
@@ -0,0 +1,535 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const whatsappService = require('./whatsappService');
+const optOutService = require('./optOutService');
+
+// Durable outbound message queue. Sends are stored as jobs (one per API request)
+// with one row per recipient, and a background worker drains them per instance
+// respecting the instance rate, jitter and daily cap.
+class OutboundQueueService {
+  constructor() {
+    this.workerTimer = null;
+    this.workerRunning = false;
+    this.nextSendAt = new Map(); // instanceId -> timestamp of the earliest next send
+    this.dailyCounts = new Map(); // instanceId -> { day, count }
+  }
+
+  /**
+   * Serialize Baileys message content, keeping Buffers (base64 media) intact
+   */
+  serializeContent(content) {
+    return JSON.stringify(content, function (key, value) {
+      const raw = this[key];
+      return Buffer.isBuffer(raw) ? { __buffer: raw.toString('base64') } : value;
+    });
+  }
+
+  /**
+   * Restore Baileys message content stored with serializeContent
+   */
+  deserializeContent(content) {
+    return JSON.parse(content, (key, value) =>
+      value && typeof value.__buffer === 'string' ? Buffer.from(value.__buffer, 'base64') : value
+    );
+  }
+
+  /**
+   * Queue messages as a new job
+   * @param {string} instanceId - Instance ID
+   * @param {string} type - Message type (text, image, ..., bulk)
+   * @param {object[]} messages - [{ to: jid, content: Baileys message content, id (optional), context (optional { correlationId, metadata }) }]
+   * @returns {Promise<object>} The created job
+   */
+  async enqueue(instanceId, type, messages) {
+    const prisma = database.getInstance();
+
+    return prisma.$transaction(async (tx) => {
+      const job = await tx.messageJob.create({
+        data: {
+          instanceId,
+          type,
+          total: messages.length
+        }
+      });
+
+      await tx.outboundMessage.createMany({
+        data: messages.map(message => ({
+          id: message.id,
+          jobId: job.id,
+          instanceId,
+          to: message.to,
+          content: this.serializeContent(message.content),
+          correlationId: message.context?.correlationId || null,
+          metadata: message.context?.metadata ?? undefined
+        }))
+      });
+
+      return job;
+    });
+  }
+
+  /**
+   * Get the queue settings of an instance, falling back to the config defaults
+   */
+  async getSettings(instanceId) {
+    const prisma = database.getInstance();
+
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: { queueRatePerMinute: true, queueJitter: true, queueDailyCap: true }
+    });
+
+    if (!instance) {
+      const error = new Error('Instance not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      ratePerMinute: instance.queueRatePerMinute ?? config.queue.ratePerMinute,
+      jitter: instance.queueJitter ?? config.queue.jitter,
+      dailyCap: instance.queueDailyCap ?? config.queue.dailyCap
+    };
+  }
+
+  /**
+   * Update the queue settings of an instance, null restores the default
+   * @param {object} settings - { ratePerMinute, jitter, dailyCap }
+   */
+  async updateSettings(instanceId, { ratePerMinute, jitter, dailyCap }) {
+    const prisma = database.getInstance();
+
+    const isValid = (value, min) => value === undefined || value === null || (Number.isInteger(value) && value >= min);
+    if (!isValid(ratePerMinute, 1) || !isValid(jitter, 0) || !isValid(dailyCap, 0)) {
+      const error = new Error('ratePerMinute must be a positive integer, jitter and dailyCap non-negative integers');
+      error.status = 400;
+      throw error;
+    }
+
+    await this.getSettings(instanceId);
+
+    await prisma.instance.update({
+      where: { id: instanceId },
+      data: {
+        queueRatePerMinute: ratePerMinute,
+        queueJitter: jitter,
+        queueDailyCap: dailyCap
+      }
+    });
+
+    // Apply a new rate right away instead of after the current delay
+    this.nextSendAt.delete(instanceId);
+
+    return this.getSettings(instanceId);
+  }
+
+  /**
+   * Get a job with its progress
+   */
+  async getJob(instanceId, jobId) {
+    const prisma = database.getInstance();
+
+    const job = await prisma.messageJob.findFirst({
+      where: { id: jobId, instanceId }
+    });
+
+    if (!job) {
+      const error = new Error('Job not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * List the jobs of an instance, newest first
+   */
+  async listJobs(instanceId, { status, limit = 50, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [jobs, total] = await Promise.all([
+      prisma.messageJob.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.messageJob.count({ where })
+    ]);
+
+    return { jobs: jobs.map(job => this.serializeJob(job)), total };
+  }
+
+  /**
+   * List the per-recipient messages of a job
+   */
+  async getJobMessages(instanceId, jobId, { status, limit = 100, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    await this.getJob(instanceId, jobId);
+
+    const where = { jobId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [messages, total] = await Promise.all([
+      prisma.outboundMessage.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        take: limit,
+        skip: offset,
+        select: {
+          id: true,
+          to: true,
+          status: true,
+          messageId: true,
+          error: true,
+          attempts: true,
+          sentAt: true,
+          deliveredAt: true,
+          readAt: true,
+          createdAt: true
+        }
+      }),
+      prisma.outboundMessage.count({ where })
+    ]);
+
+    return { messages, total };
+  }
+
+  /**
+   * Cancel a job, messages that were not sent yet are dropped
+   */
+  async cancelJob(instanceId, jobId) {
+    const prisma = database.getInstance();
+
+    const job = await this.getJob(instanceId, jobId);
+
+    if (['completed', 'cancelled'].includes(job.status)) {
+      const error = new Error(`Job is already ${job.status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    const { count } = await prisma.outboundMessage.updateMany({
+      where: { jobId, status: 'queued' },
+      data: { status: 'cancelled' }
+    });
+
+    const updated = await prisma.messageJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'cancelled',
+        cancelled: { increment: count },
+        completedAt: new Date()
+      }
+    });
+
+    return this.serializeJob(updated);
+  }
+
+  /**
+   * Pause a job, its queued messages are skipped by the worker until it is resumed
+   */
+  async pauseJob(instanceId, jobId) {
+    const prisma = database.getInstance();
+
+    const job = await this.getJob(instanceId, jobId);
+
+    if (!['queued', 'processing'].includes(job.status)) {
+      const error = new Error(`Job is ${job.status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    await prisma.messageJob.updateMany({
+      where: { id: jobId, status: { in: ['queued', 'processing'] } },
+      data: { status: 'paused' }
+    });
+
+    return this.getJob(instanceId, jobId);
+  }
+
+  /**
+   * Resume a paused job
+   */
+  async resumeJob(instanceId, jobId) {
+    const prisma = database.getInstance();
+
+    const job = await this.getJob(instanceId, jobId);
+
+    if (job.status !== 'paused') {
+      const error = new Error(`Job is ${job.status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    // The last messages may have been sent while the job was paused
+    const done = job.pending === 0;
+
+    await prisma.messageJob.update({
+      where: { id: jobId },
+      data: done
+        ? { status: 'completed', completedAt: new Date() }
+        : { status: 'processing' }
+    });
+
+    return this.getJob(instanceId, jobId);
+  }
+
+  /**
+   * Add progress information to a job
+   */
+  serializeJob(job) {
+    const done = job.sent + job.failed + job.cancelled;
+
+    return {
+      ...job,
+      pending: job.total - done,
+      progress: job.total > 0 ? Math.round((done / job.total) * 100) : 100
+    };
+  }
+
+  /**
+   * Start the queue worker
+   */
+  async startWorker() {
+    if (this.workerTimer) {
+      return;
+    }
+
+    const prisma = database.getInstance();
+
+    try {
+      // Messages that were being sent when the process stopped are sent again
+      const { count } = await prisma.outboundMessage.updateMany({
+        where: { status: 'sending' },
+        data: { status: 'queued' }
+      });
+
+      if (count > 0) {
+        console.log(`Requeued ${count} interrupted outbound messages`);
+      }
+    } catch (error) {
+      console.error('Error resuming outbound queue:', error);
+    }
+
+    this.workerTimer = setInterval(() => this.processQueue(), config.queue.workerInterval);
+    console.log('Outbound message queue worker started');
+  }
+
+  /**
+   * Stop the queue worker
+   */
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+  }
+
+  /**
+   * Send the next message of every instance that is due
+   */
+  async processQueue() {
+    if (this.workerRunning) {
+      return;
+    }
+
+    this.workerRunning = true;
+    const prisma = database.getInstance();
+
+    try {
+      const pending = await prisma.outboundMessage.findMany({
+        where: { status: 'queued', job: { status: { not: 'paused' } } },
+        distinct: ['instanceId'],
+        select: { instanceId: true }
+      });
+
+      const due = pending
+        .map(row => row.instanceId)
+        .filter(instanceId => (this.nextSendAt.get(instanceId) || 0) <= Date.now())
+        .filter(instanceId => whatsappService.getInstanceStatus(instanceId) === 'connected');
+
+      // Instances are throttled independently, so they are processed in parallel
+      await Promise.all(due.map(instanceId => this.processInstance(instanceId)));
+    } catch (error) {
+      console.error('Error processing outbound queue:', error);
+    } finally {
+      this.workerRunning = false;
+    }
+  }
+
+  /**
+   * Send the oldest queued message of an instance
+   */
+  async processInstance(instanceId) {
+    const prisma = database.getInstance();
+
+    try {
+      const settings = await this.getSettings(instanceId);
+
+      if (settings.dailyCap > 0 && (await this.getDailyCount(instanceId)) >= settings.dailyCap) {
+        // Try again at the start of the next day
+        const tomorrow = new Date();
+        tomorrow.setHours(24, 0, 0, 0);
+        this.nextSendAt.set(instanceId, tomorrow.getTime());
+        console.warn(`Instance ${instanceId} reached its daily cap of ${settings.dailyCap} messages`);
+        return;
+      }
+
+      const message = await prisma.outboundMessage.findFirst({
+        where: { instanceId, status: 'queued', job: { status: { not: 'paused' } } },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      if (!message) {
+        return;
+      }
+
+      // Claim the message so that it is not sent twice
+      const claimed = await prisma.outboundMessage.updateMany({
+        where: { id: message.id, status: 'queued' },
+        data: { status: 'sending', attempts: { increment: 1 } }
+      });
+
+      if (claimed.count !== 1) {
+        return;
+      }
+
+      await prisma.messageJob.updateMany({
+        where: { id: message.jobId, status: 'queued' },
+        data: { status: 'processing' }
+      });
+
+      const interval = 60000 / settings.ratePerMinute;
+      this.nextSendAt.set(instanceId, Date.now() + interval + Math.random() * settings.jitter);
+
+      await this.sendQueuedMessage({ ...message, attempts: message.attempts + 1 });
+    } catch (error) {
+      console.error(`Error processing outbound queue of instance ${instanceId}:`, error);
+    }
+  }
+
+  /**
+   * Send a claimed message and record the result
+   */
+  async sendQueuedMessage(message) {
+    const prisma = database.getInstance();
+    const instance = whatsappService.getInstance(message.instanceId);
+
+    try {
+      // The recipient may have opted out after the message was queued
+      if (await optOutService.isOptedOut(message.instanceId, message.to)) {
+        await prisma.outboundMessage.update({
+          where: { id: message.id },
+          data: { status: 'failed', error: optOutService.OPTED_OUT }
+        });
+
+        await this.recordResult(message.jobId, 'failed');
+        return;
+      }
+
+      if (!instance || !instance.socket) {
+        throw new Error('Instance not found or not connected');
+      }
+
+      const result = await instance.socket.sendMessage(message.to, this.deserializeContent(message.content), {
+        context: { correlationId: message.correlationId, metadata: message.metadata }
+      });
+
+      await prisma.outboundMessage.update({
+        where: { id: message.id },
+        data: {
+          status: 'sent',
+          messageId: result.key.id,
+          error: null,
+          sentAt: new Date()
+        }
+      });
+
+      this.incrementDailyCount(message.instanceId);
+      await this.recordResult(message.jobId, 'sent');
+    } catch (error) {
+      const failed = message.attempts >= config.queue.maxAttempts;
+
+      console.error(`Outbound message ${message.id} attempt ${message.attempts} failed:`, error.message);
+
+      await prisma.outboundMessage.update({
+        where: { id: message.id },
+        data: {
+          status: failed ? 'failed' : 'queued',
+          error: error.message
+        }
+      });
+
+      if (failed) {
+        await this.recordResult(message.jobId, 'failed');
+      }
+    }
+  }
+
+  /**
+   * Update the job counters after a message is sent or failed
+   */
+  async recordResult(jobId, result) {
+    const prisma = database.getInstance();
+
+    const job = await prisma.messageJob.update({
+      where: { id: jobId },
+      data: { [result]: { increment: 1 } }
+    });
+
+    if (job.status === 'processing' && job.sent + job.failed + job.cancelled >= job.total) {
+      await prisma.messageJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'completed',
+          completedAt: new Date()
+        }
+      });
+    }
+  }
+
+  /**
+   * Messages sent by an instance today, counted from the database once per day
+   */
+  async getDailyCount(instanceId) {
+    const day = new Date().toDateString();
+    const cached = this.dailyCounts.get(instanceId);
+
+    if (cached?.day === day) {
+      return cached.count;
+    }
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const count = await database.getInstance().outboundMessage.count({
+      where: {
+        instanceId,
+        // Only sent messages have sentAt, whether or not they were delivered or read since
+        sentAt: { gte: startOfDay }
+      }
+    });
+
+    this.dailyCounts.set(instanceId, { day, count });
+    return count;
+  }
+
+  incrementDailyCount(instanceId) {
+    const cached = this.dailyCounts.get(instanceId);
+    if (cached?.day === new Date().toDateString()) {
+      cached.count++;
+    }
+  }
+}
+
+module.exports = new OutboundQueueService();
@@ -0,0 +1,248 @@
+const { decryptPollVote, getAggregateVotesInPollMessage, jidNormalizedUser } = require('baileys');
+const database = require('../config/database');
+const webhookService = require('./webhookService');
+const { buildPage, paginate } = require('../utils/cursor');
+
+// Polls and their votes. Votes arrive encrypted with the secret of the poll
+// creation message, so polls are stored with their secret when they are sent or
+// received and votes on unknown polls cannot be read. Every voter has one row
+// with their latest selection, an empty selection is a retracted vote.
+class PollService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Poll creation content of a message, null for other messages
+   */
+  getPollContent(message) {
+    return message?.pollCreationMessage || message?.pollCreationMessageV2 || message?.pollCreationMessageV3 || null;
+  }
+
+  getMeJid(socket) {
+    return socket?.user?.id ? jidNormalizedUser(socket.user.id) : null;
+  }
+
+  /**
+   * Milliseconds of a protobuf timestamp, which can be a Long
+   */
+  toMillis(value) {
+    return value && typeof value === 'object' ? value.toNumber() : Number(value || 0);
+  }
+
+  /**
+   * Store a poll creation message with its secret
+   * @param {object} msg - Baileys message
+   * @param {object} socket - Socket of the instance, the creator of polls it sent
+   */
+  async recordPoll(instanceId, msg, socket) {
+    const content = this.getPollContent(msg.message);
+    const secret = msg.message?.messageContextInfo?.messageSecret;
+
+    if (!content || !secret) {
+      return null;
+    }
+
+    const fromMe = msg.key.fromMe || false;
+    const creatorJid = fromMe ? this.getMeJid(socket) : msg.key.participant || msg.key.remoteJid;
+
+    if (!creatorJid) {
+      return null;
+    }
+
+    try {
+      return await database.getInstance().poll.upsert({
+        where: { instanceId_messageId: { instanceId, messageId: msg.key.id } },
+        update: {},
+        create: {
+          instanceId,
+          messageId: msg.key.id,
+          chatId: msg.key.remoteJid,
+          fromMe,
+          creatorJid,
+          question: content.name || '',
+          options: (content.options || []).map(option => option.optionName || ''),
+          selectableCount: content.selectableOptionsCount || 0,
+          messageSecret: Buffer.from(secret).toString('base64')
+        }
+      });
+    } catch (error) {
+      console.error('Error saving poll:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Poll creation message of a stored poll, as Baileys builds it
+   */
+  toMessage(poll) {
+    return {
+      pollCreationMessage: {
+        name: poll.question,
+        options: poll.options.map(optionName => ({ optionName })),
+        selectableOptionsCount: poll.selectableCount
+      }
+    };
+  }
+
+  /**
+   * Decrypt a vote, store the selection of the voter and fire poll.vote.
+   * Votes that cannot be decrypted fire poll.vote.failed.
+   * @param {object} msg - Baileys message with a pollUpdateMessage
+   * @returns {Promise<string[]|null>} Selected option names, null when the vote was not stored
+   */
+  async handleVote(instanceId, msg, socket) {
+    const prisma = database.getInstance();
+    const update = msg.message.pollUpdateMessage;
+    const pollMessageId = update.pollCreationMessageKey?.id;
+    const meJid = this.getMeJid(socket);
+    const voter = msg.key.fromMe ? meJid : msg.key.participant || msg.key.remoteJid;
+    const votedAt = new Date(this.toMillis(update.senderTimestampMs) || this.toMillis(msg.messageTimestamp) * 1000 || Date.now());
+
+    try {
+      const poll = pollMessageId
+        ? await prisma.poll.findUnique({ where: { instanceId_messageId: { instanceId, messageId: pollMessageId } } })
+        : null;
+
+      if (!poll) {
+        await webhookService.triggerPollVoteFailed(instanceId, {
+          pollMessageId,
+          chatId: msg.key.remoteJid,
+          voter,
+          error: 'Poll not found, votes can only be read for polls sent or received while connected',
+          timestamp: votedAt.toISOString()
+        });
+        return null;
+      }
+
+      let vote;
+      try {
+        vote = decryptPollVote(update.vote, {
+          pollEncKey: Buffer.from(poll.messageSecret, 'base64'),
+          pollCreatorJid: poll.creatorJid,
+          pollMsgId: poll.messageId,
+          voterJid: voter
+        });
+      } catch (error) {
+        console.warn(`Could not decrypt vote of ${voter} on poll ${poll.messageId}:`, error.message);
+        await webhookService.triggerPollVoteFailed(instanceId, {
+          pollMessageId: poll.messageId,
+          chatId: poll.chatId,
+          voter,
+          error: 'Vote could not be decrypted',
+          timestamp: votedAt.toISOString()
+        });
+        return null;
+      }
+
+      const selectedOptions = getAggregateVotesInPollMessage(
+        { message: this.toMessage(poll), pollUpdates: [{ pollUpdateMessageKey: msg.key, vote }] },
+        meJid
+      )
+        .filter(option => option.voters.length > 0)
+        .map(option => option.name);
+
+      const where = { pollId_voter: { pollId: poll.id, voter } };
+      const previous = await prisma.pollVote.findUnique({ where });
+
+      // Votes can arrive out of order or twice, an older vote does not replace a newer one
+      if (previous && previous.votedAt >= votedAt) {
+        return null;
+      }
+
+      await prisma.pollVote.upsert({
+        where,
+        update: { selectedOptions, votedAt },
+        create: { pollId: poll.id, voter, selectedOptions, votedAt }
+      });
+
+      await webhookService.triggerPollVote(instanceId, {
+        pollMessageId: poll.messageId,
+        chatId: poll.chatId,
+        question: poll.question,
+        voter,
+        selectedOptions,
+        previousOptions: previous?.selectedOptions || [],
+        timestamp: votedAt.toISOString()
+      });
+
+      return selectedOptions;
+    } catch (error) {
+      console.error('Error handling poll vote:', error);
+      return null;
+    }
+  }
+
+  serialize(poll) {
+    return {
+      messageId: poll.messageId,
+      chatId: poll.chatId,
+      fromMe: poll.fromMe,
+      question: poll.question,
+      options: poll.options,
+      selectableCount: poll.selectableCount,
+      createdAt: poll.createdAt
+    };
+  }
+
+  /**
+   * List the polls of an instance, newest first
+   * @param {object} options - { chatId, limit, cursor }
+   */
+  async list(instanceId, { chatId, limit = 50, cursor } = {}) {
+    const page = buildPage({ cursor }, { field: 'createdAt' });
+    const where = { instanceId, ...page.where };
+
+    if (chatId) {
+      where.chatId = chatId.includes('@') ? chatId : `${chatId}@s.whatsapp.net`;
+    }
+
+    const rows = await database.getInstance().poll.findMany({
+      where,
+      orderBy: page.orderBy,
+      take: limit + 1
+    });
+
+    const result = paginate(rows, limit, page.sort);
+    result.data = result.data.map(poll => this.serialize(poll));
+
+    return result;
+  }
+
+  /**
+   * Live results of a poll: votes and voters per option
+   */
+  async getResults(instanceId, messageId) {
+    const poll = await database.getInstance().poll.findUnique({
+      where: { instanceId_messageId: { instanceId, messageId } },
+      include: { votes: { orderBy: { votedAt: 'asc' } } }
+    });
+
+    if (!poll) {
+      this.fail('Poll not found', 404);
+    }
+
+    const options = poll.options.map(name => ({ name, votes: 0, voters: [] }));
+
+    for (const vote of poll.votes) {
+      for (const name of vote.selectedOptions) {
+        const option = options.find(item => item.name === name);
+
+        if (option) {
+          option.votes++;
+          option.voters.push({ jid: vote.voter, votedAt: vote.votedAt });
+        }
+      }
+    }
+
+    return {
+      ...this.serialize(poll),
+      totalVoters: poll.votes.filter(vote => vote.selectedOptions.length > 0).length,
+      options
+    };
+  }
+}
+
+module.exports = new PollService();
@@ -0,0 +1,221 @@
+const database = require('../config/database');
+const config = require('../config/config');
+
+const ONLINE_PRESENCES = ['available', 'composing', 'recording'];
+
+// Presence state of contacts, kept in memory with a TTL (presence updates are
+// only sent while subscribed) and optionally recorded as last-seen history.
+class PresenceService {
+  constructor() {
+    this.presences = new Map(); // instanceId -> Map(chatId -> Map(jid -> entry))
+    this.cleanupTimer = null;
+    this.lastPruneAt = 0;
+  }
+
+  /**
+   * Store a Baileys presence.update event
+   * @param {string} instanceId - Instance ID
+   * @param {object} update - { id: chatId, presences: { [jid]: { lastKnownPresence, lastSeen } } }
+   * @returns {Promise<object[]>} The stored entries, one per participant
+   */
+  async recordUpdate(instanceId, update) {
+    const chatId = update.id;
+    const now = new Date();
+    const entries = [];
+
+    if (!this.presences.has(instanceId)) {
+      this.presences.set(instanceId, new Map());
+    }
+    const chats = this.presences.get(instanceId);
+
+    if (!chats.has(chatId)) {
+      chats.set(chatId, new Map());
+    }
+    const participants = chats.get(chatId);
+
+    for (const [jid, data] of Object.entries(update.presences || {})) {
+      const previous = participants.get(jid);
+      const presence = data.lastKnownPresence || 'unavailable';
+
+      // Being online, or going offline, means the contact was seen now. Otherwise keep the last known time
+      let lastSeen = previous?.lastSeen || null;
+      if (data.lastSeen) {
+        lastSeen = new Date(data.lastSeen * 1000);
+      } else if (ONLINE_PRESENCES.includes(presence) || (previous && ONLINE_PRESENCES.includes(previous.presence))) {
+        lastSeen = now;
+      }
+
+      const entry = {
+        jid,
+        chatId,
+        presence,
+        lastSeen,
+        updatedAt: now,
+        expiresAt: now.getTime() + config.presence.ttl
+      };
+
+      participants.set(jid, entry);
+      entries.push(entry);
+
+      if (config.presence.history && previous?.presence !== presence) {
+        await this.saveHistory(instanceId, entry);
+      }
+    }
+
+    return entries.map(entry => this.serialize(entry));
+  }
+
+  /**
+   * Record a presence transition in the database
+   */
+  async saveHistory(instanceId, entry) {
+    const prisma = database.getInstance();
+
+    try {
+      await prisma.presenceHistory.create({
+        data: {
+          instanceId,
+          chatId: entry.chatId,
+          jid: entry.jid,
+          presence: entry.presence,
+          lastSeen: entry.lastSeen
+        }
+      });
+    } catch (error) {
+      console.error('Error saving presence history:', error);
+    }
+  }
+
+  /**
+   * Get the current presence of every known contact of an instance
+   */
+  getAll(instanceId) {
+    const result = [];
+
+    for (const participants of this.presences.get(instanceId)?.values() || []) {
+      for (const entry of participants.values()) {
+        if (entry.expiresAt > Date.now()) {
+          result.push(this.serialize(entry));
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the current presence of the participants of a chat
+   * (one entry for private chats, every active member for groups)
+   */
+  getChat(instanceId, chatId) {
+    const participants = this.presences.get(instanceId)?.get(chatId);
+    if (!participants) {
+      return [];
+    }
+
+    return [...participants.values()]
+      .filter(entry => entry.expiresAt > Date.now())
+      .map(entry => this.serialize(entry));
+  }
+
+  /**
+   * Get the recorded presence timeline of a chat
+   * @param {string} instanceId - Instance ID
+   * @param {string} chatId - Chat JID
+   * @param {object} options - { jid, from, to, limit }
+   */
+  async getHistory(instanceId, chatId, { jid, from, to, limit = 100 } = {}) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId, chatId };
+    if (jid) {
+      where.jid = jid;
+    }
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    return prisma.presenceHistory.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Forget the presence state of an instance
+   */
+  clear(instanceId) {
+    this.presences.delete(instanceId);
+  }
+
+  /**
+   * Start the timer that drops expired entries and old history rows
+   */
+  startCleanup() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), config.presence.cleanupInterval);
+  }
+
+  /**
+   * Stop the cleanup timer
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * Drop expired entries, and once an hour history past the retention period
+   */
+  async cleanup() {
+    const now = Date.now();
+
+    for (const chats of this.presences.values()) {
+      for (const [chatId, participants] of chats) {
+        for (const [jid, entry] of participants) {
+          if (entry.expiresAt <= now) participants.delete(jid);
+        }
+        if (participants.size === 0) chats.delete(chatId);
+      }
+    }
+
+    if (!config.presence.history || now - this.lastPruneAt < 60 * 60 * 1000) {
+      return;
+    }
+
+    this.lastPruneAt = now;
+    const prisma = database.getInstance();
+
+    try {
+      const { count } = await prisma.presenceHistory.deleteMany({
+        where: {
+          createdAt: { lt: new Date(now - config.presence.historyRetentionDays * 24 * 60 * 60 * 1000) }
+        }
+      });
+
+      if (count > 0) {
+        console.log(`Pruned ${count} presence history entries`);
+      }
+    } catch (error) {
+      console.error('Error pruning presence history:', error);
+    }
+  }
+
+  /**
+   * Public shape of a presence entry
+   */
+  serialize(entry) {
+    const { expiresAt, ...rest } = entry;
+    return rest;
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,206 @@
+const database = require('../config/database');
+
+// ACK number of Baileys (WebMessageInfo.Status: ERROR 0, PENDING 1, SERVER_ACK 2,
+// DELIVERY_ACK 3, READ 4, PLAYED 5) -> receipt status
+const ACK_STATUSES = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'played' };
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, played: 4 };
+
+// failed is not ranked: it replaces the statuses before delivery and is never replaced
+const FAILED_REPLACES = ['pending', 'sent'];
+
+// Receipt timestamp fields of a group receipt -> receipt status
+const RECEIPT_FIELDS = { receiptTimestamp: 'delivered', readTimestamp: 'read', playedTimestamp: 'played' };
+
+// Delivery receipts of messages sent by the instance. Every transition is a row:
+// server ack (sent), delivered, read, played and failed (error ack), per recipient. In a 1:1 chat the
+// recipient is the chat, in a group every participant sends their own receipts.
+class ReceiptService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  toJid(chatId) {
+    return chatId.includes('@') ? chatId : `${chatId}@s.whatsapp.net`;
+  }
+
+  /**
+   * Seconds of a protobuf timestamp, which can be a Long
+   */
+  toSeconds(value) {
+    return value && typeof value === 'object' ? value.toNumber() : Number(value || 0);
+  }
+
+  /**
+   * Statuses that are lower than a status, to only move Message.status forward
+   */
+  getLowerStatuses(status) {
+    if (status === 'failed') {
+      return FAILED_REPLACES;
+    }
+
+    return Object.keys(STATUS_RANK).filter(name => STATUS_RANK[name] < STATUS_RANK[status]);
+  }
+
+  /**
+   * Store receipts, repeated receipts are ignored
+   * @param {object[]} receipts - [{ messageId, chatId, recipient, status, timestamp }]
+   */
+  async record(instanceId, receipts) {
+    if (receipts.length === 0) {
+      return 0;
+    }
+
+    try {
+      const { count } = await database.getInstance().messageReceipt.createMany({
+        data: receipts.map(receipt => ({ instanceId, ...receipt })),
+        skipDuplicates: true
+      });
+
+      return count;
+    } catch (error) {
+      console.error('Error saving message receipts:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record the ACK of a message, from messages.update. In a group this is the ACK of
+   * the whole group (server ack), participants are recorded by recordGroupReceipts
+   * @param {object} key - Message key
+   * @param {number} ack - 0: error, 2: server ack, 3: delivered, 4: read, 5: played
+   */
+  async recordAck(instanceId, key, ack) {
+    const status = ACK_STATUSES[ack];
+
+    if (!key.fromMe || !status) {
+      return 0;
+    }
+
+    return this.record(instanceId, [{
+      messageId: key.id,
+      chatId: key.remoteJid,
+      recipient: key.remoteJid,
+      status,
+      timestamp: new Date()
+    }]);
+  }
+
+  /**
+   * Record the receipts of group participants, from message-receipt.update
+   * @param {object[]} updates - [{ key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } }]
+   */
+  async recordGroupReceipts(instanceId, updates) {
+    const receipts = [];
+
+    for (const { key, receipt } of updates) {
+      if (!key.fromMe || !receipt?.userJid || key.remoteJid === 'status@broadcast') {
+        continue;
+      }
+
+      for (const [field, status] of Object.entries(RECEIPT_FIELDS)) {
+        const seconds = this.toSeconds(receipt[field]);
+
+        if (seconds) {
+          receipts.push({
+            messageId: key.id,
+            chatId: key.remoteJid,
+            recipient: receipt.userJid,
+            status,
+            timestamp: new Date(seconds * 1000)
+          });
+        }
+      }
+    }
+
+    return this.record(instanceId, receipts);
+  }
+
+  /**
+   * Number of group participants besides the instance, null when the group metadata is not available
+   */
+  async getGroupRecipientCount(socket, chatId) {
+    try {
+      const metadata = socket ? await socket.groupMetadata(chatId) : null;
+      return metadata ? metadata.participants.length - 1 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Receipt timeline of a message and the latest status of every recipient
+   * @param {object} socket - Socket of the instance, to count the participants of a group
+   */
+  async getReceipts(instanceId, chatId, messageId, socket) {
+    const prisma = database.getInstance();
+
+    const message = await prisma.message.findFirst({
+      where: { instanceId, messageId, chat: { chatId: { in: [chatId, this.toJid(chatId)] } } },
+      select: { messageId: true, fromMe: true, status: true, timestamp: true, chat: { select: { chatId: true } } }
+    });
+
+    if (!message) {
+      this.fail('Message not found', 404);
+    }
+
+    const chatJid = message.chat.chatId;
+    const receipts = await prisma.messageReceipt.findMany({
+      where: { instanceId, messageId },
+      orderBy: [{ timestamp: 'asc' }, { id: 'asc' }]
+    });
+
+    const recipients = new Map();
+    for (const receipt of receipts) {
+      const recipient = recipients.get(receipt.recipient) || {
+        jid: receipt.recipient,
+        status: 'sent',
+        deliveredAt: null,
+        readAt: null,
+        playedAt: null,
+        failedAt: null
+      };
+
+      if (receipt.status !== 'sent') {
+        recipient[`${receipt.status}At`] = receipt.timestamp;
+      }
+      if (receipt.status === 'failed'
+        ? FAILED_REPLACES.includes(recipient.status)
+        : STATUS_RANK[receipt.status] > STATUS_RANK[recipient.status]) {
+        recipient.status = receipt.status;
+      }
+
+      recipients.set(receipt.recipient, recipient);
+    }
+
+    // The ACK of the group itself is only part of the timeline
+    const isGroup = chatJid.endsWith('@g.us');
+    const list = [...recipients.values()].filter(recipient => !isGroup || recipient.jid !== chatJid);
+    const reached = status => list.filter(recipient => STATUS_RANK[recipient.status] >= STATUS_RANK[status]).length;
+
+    return {
+      messageId: message.messageId,
+      chatId: chatJid,
+      isGroup,
+      fromMe: message.fromMe,
+      status: message.status,
+      sentAt: message.timestamp,
+      summary: {
+        recipients: isGroup ? await this.getGroupRecipientCount(socket, chatJid) : 1,
+        delivered: reached('delivered'),
+        read: reached('read'),
+        played: reached('played'),
+        failed: list.filter(recipient => recipient.status === 'failed').length
+      },
+      recipients: list,
+      timeline: receipts.map(receipt => ({
+        status: receipt.status,
+        recipient: receipt.recipient,
+        timestamp: receipt.timestamp
+      }))
+    };
+  }
+}
+
+module.exports = new ReceiptService();
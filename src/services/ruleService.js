@@ -0,0 +1,605 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const config = require('../config/config');
+const webhookService = require('./webhookService');
+const messageBuilder = require('./messageBuilder');
+const templateService = require('./templateService');
+const optOutService = require('./optOutService');
+const { renderTemplate } = require('../utils/template');
+const { findUnsafeRepetition, execWithTimeout } = require('../utils/regex');
+
+const ACTIONS = ['reply', 'label', 'forward', 'read', 'webhook'];
+const CHAT_TYPES = ['any', 'private', 'group'];
+const MESSAGE_TYPES = ['text', 'image', 'video', 'document', 'audio', 'sticker', 'poll', 'event'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_REGEX_INPUT = 4096; // characters of a message body matched against conditions.regex
+const REGEX_TIMEOUT = 100; // ms a conditions.regex may run for a message
+
+// Auto-reply rules engine. Incoming messages are matched against the enabled rules
+// of their instance, highest priority first, and the actions of every matching rule
+// run in order until a rule with stopOnMatch matched. Cooldowns are kept per rule
+// and sender in memory, a restart resets them.
+class RuleService {
+  constructor() {
+    this.cooldowns = new Map(); // `${ruleId}:${sender}` -> end of the cooldown (ms)
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Accept a single string or an array of strings
+   */
+  toList(value, field) {
+    const list = Array.isArray(value) ? value : [value];
+
+    if (list.some(item => typeof item !== 'string' || !item.trim())) {
+      this.fail(`conditions.${field} must be a string or an array of non-empty strings`);
+    }
+
+    return list;
+  }
+
+  /**
+   * Parse a HH:MM time to minutes since midnight
+   */
+  parseTime(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+
+  /**
+   * Validate the conditions of a rule
+   * @param {object} conditions - { text, contains, regex, caseSensitive, types, senders, chatType, timeRange }
+   */
+  validateConditions(conditions) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      this.fail('conditions must be an object');
+    }
+
+    const { text, contains, regex, types, senders, chatType, timeRange } = conditions;
+
+    if (text !== undefined) this.toList(text, 'text');
+    if (contains !== undefined) this.toList(contains, 'contains');
+
+    if (regex !== undefined) {
+      if (typeof regex !== 'string' || !regex || regex.length > 500) {
+        this.fail('conditions.regex must be a pattern of at most 500 characters');
+      }
+
+      try {
+        new RegExp(regex);
+      } catch (error) {
+        this.fail(`Invalid conditions.regex: ${error.message}`);
+      }
+
+      const unsafe = findUnsafeRepetition(regex);
+      if (unsafe) {
+        this.fail(`conditions.regex can backtrack catastrophically (${unsafe}), rewrite it without overlapping repetition`);
+      }
+    }
+
+    if (types !== undefined && (!Array.isArray(types) || types.some(type => !MESSAGE_TYPES.includes(type)))) {
+      this.fail(`conditions.types must be an array of: ${MESSAGE_TYPES.join(', ')}`);
+    }
+
+    if (senders !== undefined) this.toList(senders, 'senders');
+
+    if (chatType !== undefined && !CHAT_TYPES.includes(chatType)) {
+      this.fail(`conditions.chatType must be one of: ${CHAT_TYPES.join(', ')}`);
+    }
+
+    if (timeRange !== undefined) {
+      const { from, to, days, timezone } = timeRange || {};
+
+      if (this.parseTime(from) === null || this.parseTime(to) === null) {
+        this.fail('conditions.timeRange requires from and to as HH:MM');
+      }
+
+      if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        this.fail('conditions.timeRange.days must be an array of weekdays, 0 (Sunday) to 6');
+      }
+
+      if (timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch {
+          this.fail(`Invalid timezone ${timezone}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate the actions of a rule
+   * @param {object[]} actions - reply, label, forward, read and webhook actions
+   */
+  async validateActions(instanceId, actions) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+      this.fail('actions must be a non-empty array');
+    }
+
+    for (const action of actions) {
+      if (!action || !ACTIONS.includes(action.type)) {
+        this.fail(`Every action needs a type, one of: ${ACTIONS.join(', ')}`);
+      }
+
+      switch (action.type) {
+        case 'reply':
+          if (action.templateId) {
+            await templateService.get(instanceId, action.templateId);
+          } else {
+            // Validates the send fields the same way the /send/<type> route does
+            messageBuilder.build(action.messageType || 'text', action.content);
+          }
+          break;
+        case 'label':
+          if (!action.labelId) this.fail('label actions require labelId');
+          break;
+        case 'forward':
+          if (!action.to) this.fail('forward actions require to');
+          break;
+        case 'webhook':
+          if (!/^https?:\/\//.test(action.url || '')) this.fail('webhook actions require an http(s) url');
+          break;
+      }
+    }
+  }
+
+  /**
+   * Create a rule
+   * @param {object} data - { name, description, enabled, priority, conditions, actions, cooldownSeconds, stopOnMatch }
+   */
+  async create(instanceId, { name, description, enabled, priority, conditions = {}, actions, cooldownSeconds, stopOnMatch }) {
+    const prisma = database.getInstance();
+
+    if (!name) {
+      this.fail('name is required');
+    }
+
+    this.validateConditions(conditions);
+    await this.validateActions(instanceId, actions);
+
+    return prisma.autoReplyRule.create({
+      data: {
+        instanceId,
+        name,
+        description,
+        enabled,
+        priority: priority !== undefined ? parseInt(priority) || 0 : undefined,
+        conditions,
+        actions,
+        cooldownSeconds: cooldownSeconds !== undefined ? Math.max(parseInt(cooldownSeconds) || 0, 0) : undefined,
+        stopOnMatch
+      }
+    });
+  }
+
+  /**
+   * List the rules of an instance in evaluation order
+   */
+  async list(instanceId, { enabled, limit = 50, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId };
+    if (enabled !== undefined) {
+      where.enabled = enabled;
+    }
+
+    const [rules, total] = await Promise.all([
+      prisma.autoReplyRule.findMany({
+        where,
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+        take: limit,
+        skip: offset
+      }),
+      prisma.autoReplyRule.count({ where })
+    ]);
+
+    return { rules, total };
+  }
+
+  /**
+   * Get a rule
+   */
+  async get(instanceId, ruleId) {
+    const prisma = database.getInstance();
+
+    const rule = await prisma.autoReplyRule.findFirst({
+      where: { id: ruleId, instanceId }
+    });
+
+    if (!rule) {
+      this.fail('Rule not found', 404);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Update a rule, omitted fields keep their value. conditions and actions are replaced as a whole.
+   */
+  async update(instanceId, ruleId, { name, description, enabled, priority, conditions, actions, cooldownSeconds, stopOnMatch }) {
+    const prisma = database.getInstance();
+    await this.get(instanceId, ruleId);
+
+    if (conditions !== undefined) {
+      this.validateConditions(conditions);
+    }
+
+    if (actions !== undefined) {
+      await this.validateActions(instanceId, actions);
+    }
+
+    const rule = await prisma.autoReplyRule.update({
+      where: { id: ruleId },
+      data: {
+        name: name || undefined,
+        description,
+        enabled,
+        priority: priority !== undefined ? parseInt(priority) || 0 : undefined,
+        conditions,
+        actions,
+        cooldownSeconds: cooldownSeconds !== undefined ? Math.max(parseInt(cooldownSeconds) || 0, 0) : undefined,
+        stopOnMatch
+      }
+    });
+
+    this.clearCooldowns(ruleId);
+    return rule;
+  }
+
+  /**
+   * Delete a rule
+   */
+  async delete(instanceId, ruleId) {
+    const prisma = database.getInstance();
+    await this.get(instanceId, ruleId);
+
+    await prisma.autoReplyRule.delete({ where: { id: ruleId } });
+    this.clearCooldowns(ruleId);
+  }
+
+  /**
+   * Local minutes since midnight and weekday of a date in a timezone
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }).formatToParts(date);
+
+    const part = type => parts.find(item => item.type === type).value;
+
+    return {
+      minutes: parseInt(part('hour')) * 60 + parseInt(part('minute')),
+      day: WEEKDAYS.indexOf(part('weekday'))
+    };
+  }
+
+  /**
+   * Whether a date falls in a time range, ranges where from is after to span midnight
+   */
+  inTimeRange(timeRange, date) {
+    const { minutes, day } = this.getLocalTime(date, timeRange.timezone || config.scheduler.timezone);
+    const from = this.parseTime(timeRange.from);
+    const to = this.parseTime(timeRange.to);
+
+    if (Array.isArray(timeRange.days) && !timeRange.days.includes(day)) {
+      return false;
+    }
+
+    return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  }
+
+  /**
+   * Match a message against the conditions of a rule
+   * @param {object} message - { body, type, from, chatId, pushName, timestamp }
+   * @returns {object|null} Template variables of the match, null when the rule does not match
+   */
+  async matchRule(rule, message) {
+    const conditions = rule.conditions || {};
+    const caseSensitive = conditions.caseSensitive === true;
+    const normalize = value => (caseSensitive ? String(value) : String(value).toLowerCase()).trim();
+    const text = normalize(message.body || '');
+    const isGroup = (message.chatId || '').endsWith('@g.us');
+
+    const variables = {
+      name: message.pushName || '',
+      phone: (message.from || '').split('@')[0].split(':')[0],
+      text: message.body || '',
+      chatId: message.chatId
+    };
+
+    if (conditions.types && !conditions.types.includes(message.type)) {
+      return null;
+    }
+
+    if (conditions.chatType && conditions.chatType !== 'any' && conditions.chatType !== (isGroup ? 'group' : 'private')) {
+      return null;
+    }
+
+    if (conditions.senders) {
+      const sender = optOutService.normalizeJid(message.from);
+      const senders = [].concat(conditions.senders).map(value => optOutService.normalizeJid(value));
+
+      if (!senders.includes(sender)) {
+        return null;
+      }
+    }
+
+    if (conditions.text !== undefined && ![].concat(conditions.text).some(value => normalize(value) === text)) {
+      return null;
+    }
+
+    if (conditions.contains !== undefined && ![].concat(conditions.contains).some(value => text.includes(normalize(value)))) {
+      return null;
+    }
+
+    if (conditions.regex) {
+      // Rules saved before the repetition check never match. The match runs in a worker
+      // that is stopped after REGEX_TIMEOUT, so a slow pattern cannot block the gateway.
+      if (findUnsafeRepetition(conditions.regex)) {
+        return null;
+      }
+
+      const body = (message.body || '').slice(0, MAX_REGEX_INPUT);
+      let match;
+
+      try {
+        match = await execWithTimeout(conditions.regex, caseSensitive ? '' : 'i', body, REGEX_TIMEOUT);
+      } catch (error) {
+        console.error(`Error matching regex of rule ${rule.id}:`, error.message);
+        return null;
+      }
+
+      if (!match) {
+        return null;
+      }
+
+      // Capture groups are available as {{1}}, {{2}} and by their name
+      match.values.slice(1).forEach((value, index) => {
+        variables[index + 1] = value ?? '';
+      });
+      Object.assign(variables, match.groups || {});
+    }
+
+    if (conditions.timeRange && !this.inTimeRange(conditions.timeRange, message.timestamp || new Date())) {
+      return null;
+    }
+
+    return variables;
+  }
+
+  getCooldownKey(ruleId, sender) {
+    return `${ruleId}:${sender}`;
+  }
+
+  /**
+   * Whether a rule is in its cooldown for a sender
+   */
+  isCoolingDown(rule, sender) {
+    const until = this.cooldowns.get(this.getCooldownKey(rule.id, sender));
+    return Boolean(until && until > Date.now());
+  }
+
+  /**
+   * Start the cooldown of a rule for a sender, expired cooldowns are dropped on the way
+   */
+  startCooldown(rule, sender) {
+    if (!rule.cooldownSeconds) {
+      return;
+    }
+
+    const now = Date.now();
+    if (this.cooldowns.size > 10000) {
+      for (const [key, until] of this.cooldowns) {
+        if (until <= now) this.cooldowns.delete(key);
+      }
+    }
+
+    this.cooldowns.set(this.getCooldownKey(rule.id, sender), now + rule.cooldownSeconds * 1000);
+  }
+
+  clearCooldowns(ruleId) {
+    for (const key of this.cooldowns.keys()) {
+      if (key.startsWith(`${ruleId}:`)) this.cooldowns.delete(key);
+    }
+  }
+
+  /**
+   * Enabled rules of an instance in evaluation order
+   */
+  async getActiveRules(instanceId) {
+    return database.getInstance().autoReplyRule.findMany({
+      where: { instanceId, enabled: true },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Match a message against the rules of an instance. A matched rule in its
+   * cooldown runs no actions but still stops lower priority rules.
+   * @returns {Promise<object[]>} [{ rule, variables, coolingDown }] in evaluation order
+   */
+  async evaluate(instanceId, message, rules) {
+    const matches = [];
+
+    for (const rule of rules || await this.getActiveRules(instanceId)) {
+      const variables = await this.matchRule(rule, message);
+
+      if (!variables) {
+        continue;
+      }
+
+      matches.push({ rule, variables, coolingDown: this.isCoolingDown(rule, message.from) });
+
+      if (rule.stopOnMatch) {
+        break;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Render the message of a reply action
+   * @returns {Promise<object>} { type, content } with the send fields of the /send/<type> route
+   */
+  async renderReply(instanceId, action, variables) {
+    if (action.templateId) {
+      const rendered = await templateService.render(instanceId, action.templateId, {
+        variables: { ...variables, ...(action.variables || {}) },
+        version: action.version
+      });
+
+      return { type: rendered.type, content: rendered.content };
+    }
+
+    return {
+      type: action.messageType || 'text',
+      content: renderTemplate(action.content, variables)
+    };
+  }
+
+  /**
+   * Run an action for a matched message
+   * @param {object} context - { instanceId, rule, message, variables, socket }
+   */
+  async runAction(action, { instanceId, rule, message, variables, socket }) {
+    switch (action.type) {
+      case 'reply': {
+        await optOutService.assertCanSend(instanceId, message.chatId);
+
+        const { type, content } = await this.renderReply(instanceId, action, variables);
+        await socket.sendMessage(
+          message.chatId,
+          messageBuilder.build(type, content),
+          { ...(action.quote ? { quoted: message.raw } : {}), context: { automated: true } }
+        );
+        break;
+      }
+      case 'label':
+        await socket.addChatLabel(message.chatId, String(action.labelId));
+        break;
+      case 'forward': {
+        const to = messageBuilder.toJid(action.to);
+        await optOutService.assertCanSend(instanceId, to);
+        await socket.sendMessage(to, { forward: message.raw }, { context: { automated: true } });
+        break;
+      }
+      case 'read':
+        await socket.readMessages([message.raw.key]);
+        break;
+      case 'webhook':
+        await webhookService.postWebhook(action.url, {
+          event: 'rule.matched',
+          instanceId,
+          timestamp: new Date().toISOString(),
+          data: {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            messageId: message.messageId,
+            chatId: message.chatId,
+            from: message.from,
+            pushName: message.pushName,
+            body: message.body,
+            type: message.type,
+            variables
+          }
+        }, crypto.randomUUID(), instanceId, { headers: action.headers });
+        break;
+    }
+  }
+
+  /**
+   * Run the rules of an instance on an incoming message. Errors are logged, a
+   * failed action does not stop the next ones.
+   * @param {object} message - { raw, messageId, chatId, from, pushName, body, type, timestamp }
+   */
+  async handleIncomingMessage(instanceId, message, socket) {
+    try {
+      const matches = await this.evaluate(instanceId, message);
+
+      for (const { rule, variables, coolingDown } of matches) {
+        if (coolingDown) {
+          continue;
+        }
+
+        this.startCooldown(rule, message.from);
+
+        await database.getInstance().autoReplyRule.update({
+          where: { id: rule.id },
+          data: { matchCount: { increment: 1 }, lastMatchedAt: new Date() }
+        });
+
+        for (const action of rule.actions) {
+          try {
+            await this.runAction(action, { instanceId, rule, message, variables, socket });
+          } catch (error) {
+            console.error(`Auto-reply rule ${rule.id} ${action.type} action failed:`, error.message);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error running auto-reply rules:', error);
+    }
+  }
+
+  /**
+   * Dry run: match a message without running actions or starting cooldowns
+   * @param {object} message - { body, type, from, chatId, pushName, timestamp }
+   * @param {string} ruleId - Only test this rule, enabled or not
+   * @returns {Promise<object[]>} Matched rules with their rendered actions
+   */
+  async test(instanceId, { body, type = 'text', from, chatId, pushName, timestamp }, ruleId) {
+    if (!from && !chatId) {
+      this.fail('from or chatId is required');
+    }
+
+    const date = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(date.getTime())) {
+      this.fail('timestamp must be a valid date');
+    }
+
+    const message = {
+      body: body || '',
+      type,
+      chatId: messageBuilder.toJid(chatId || from),
+      from: messageBuilder.toJid(from || chatId),
+      pushName: pushName || '',
+      timestamp: date
+    };
+
+    const rules = ruleId ? [await this.get(instanceId, ruleId)] : await this.getActiveRules(instanceId);
+    const matches = await this.evaluate(instanceId, message, rules);
+
+    return Promise.all(matches.map(async ({ rule, variables, coolingDown }) => ({
+      ruleId: rule.id,
+      name: rule.name,
+      priority: rule.priority,
+      stopOnMatch: rule.stopOnMatch,
+      coolingDown,
+      variables,
+      actions: await Promise.all(rule.actions.map(async (action) => {
+        if (action.type !== 'reply') {
+          return action;
+        }
+
+        try {
+          return { ...action, message: await this.renderReply(instanceId, action, variables) };
+        } catch (error) {
+          return { ...action, error: error.message };
+        }
+      }))
+    })));
+  }
+}
+
+module.exports = new RuleService();
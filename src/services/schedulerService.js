@@ -0,0 +1,445 @@
+const { CronExpressionParser } = require('cron-parser');
+const { rrulestr } = require('rrule');
+const database = require('../config/database');
+const config = require('../config/config');
+const whatsappService = require('./whatsappService');
+const webhookService = require('./webhookService');
+const messageBuilder = require('./messageBuilder');
+const optOutService = require('./optOutService');
+const sendContextService = require('./sendContextService');
+
+// Scheduled and recurring messages. Every message is a database row holding the
+// send payload and its next run (sendAt), so schedules survive restarts. A timer
+// sends due messages of connected instances and moves recurring ones to their
+// next occurrence.
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * RRULE recurrences contain FREQ=, anything else is a cron expression
+   */
+  isRRule(recurrence) {
+    return /FREQ=/i.test(recurrence);
+  }
+
+  /**
+   * Validate a recurrence and store RRULEs with their start, so that COUNT and
+   * INTERVAL keep counting from the first run
+   * @param {string} recurrence - Cron expression or RRULE
+   * @param {string} timezone - Timezone of a cron expression
+   * @param {Date} dtstart - First run, used when the RRULE has no DTSTART
+   * @returns {string} Recurrence to store
+   */
+  normalizeRecurrence(recurrence, timezone, dtstart) {
+    try {
+      if (this.isRRule(recurrence)) {
+        let rule = recurrence.trim();
+
+        if (!/DTSTART/i.test(rule)) {
+          const start = new Date(Math.floor(dtstart.getTime() / 1000) * 1000);
+          const stamp = start.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+          rule = `DTSTART:${stamp}\n${/^RRULE:/i.test(rule) ? rule : `RRULE:${rule}`}`;
+        }
+
+        rrulestr(rule);
+        return rule;
+      }
+
+      CronExpressionParser.parse(recurrence, { tz: timezone });
+      return recurrence.trim();
+    } catch (error) {
+      this.fail(`Invalid recurrence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Next occurrence of a recurrence after a date
+   * @returns {Date|null} null when the recurrence has no more occurrences
+   */
+  getNextRun(recurrence, timezone, after = new Date()) {
+    if (this.isRRule(recurrence)) {
+      return rrulestr(recurrence).after(after);
+    }
+
+    const interval = CronExpressionParser.parse(recurrence, {
+      currentDate: after,
+      tz: timezone || config.scheduler.timezone
+    });
+
+    return interval.hasNext() ? interval.next().toDate() : null;
+  }
+
+  validateTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      this.fail(`Invalid timezone ${timezone}`);
+    }
+  }
+
+  /**
+   * Resolve the first run and recurrence of a schedule
+   * @returns {object} { sendAt, recurrence, timezone }
+   */
+  resolveSchedule({ sendAt, recurrence, timezone }) {
+    if (!sendAt && !recurrence) {
+      this.fail('sendAt or recurrence is required');
+    }
+
+    if (timezone) {
+      this.validateTimezone(timezone);
+    }
+
+    let firstRun = null;
+    if (sendAt) {
+      firstRun = new Date(sendAt);
+
+      if (isNaN(firstRun.getTime())) {
+        this.fail('sendAt must be a valid date');
+      }
+
+      if (firstRun <= new Date()) {
+        this.fail('sendAt must be in the future');
+      }
+    }
+
+    if (!recurrence) {
+      return { sendAt: firstRun, recurrence: null, timezone: timezone || null };
+    }
+
+    const now = new Date();
+    const normalized = this.normalizeRecurrence(recurrence, timezone, firstRun || now);
+
+    if (!firstRun) {
+      firstRun = this.getNextRun(normalized, timezone, now);
+
+      if (!firstRun) {
+        this.fail('recurrence has no future occurrences');
+      }
+    }
+
+    return { sendAt: firstRun, recurrence: normalized, timezone: timezone || null };
+  }
+
+  /**
+   * Schedule a message
+   * @param {string} instanceId - Instance ID
+   * @param {object} data - { type, to, payload, sendAt, recurrence, timezone }
+   * @returns {Promise<object>} The scheduled message
+   */
+  async create(instanceId, { type, to, payload, sendAt, recurrence, timezone }) {
+    const prisma = database.getInstance();
+
+    if (!type || !to) {
+      this.fail('type and to are required');
+    }
+
+    // Validates the send fields the same way the /send/<type> route does
+    messageBuilder.build(type, payload);
+    sendContextService.fromBody(payload);
+
+    const schedule = this.resolveSchedule({ sendAt, recurrence, timezone });
+
+    const instance = await prisma.instance.findUnique({ where: { id: instanceId } });
+    if (!instance) {
+      this.fail('Instance not found', 404);
+    }
+
+    return prisma.scheduledMessage.create({
+      data: {
+        instanceId,
+        type,
+        to: messageBuilder.toJid(to),
+        payload,
+        ...schedule
+      }
+    });
+  }
+
+  /**
+   * List the scheduled messages of an instance, next run first
+   */
+  async list(instanceId, { status, limit = 50, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [messages, total] = await Promise.all([
+      prisma.scheduledMessage.findMany({
+        where,
+        orderBy: { sendAt: 'asc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.scheduledMessage.count({ where })
+    ]);
+
+    return { messages, total };
+  }
+
+  /**
+   * Get a scheduled message
+   */
+  async get(instanceId, id) {
+    const prisma = database.getInstance();
+
+    const message = await prisma.scheduledMessage.findFirst({
+      where: { id, instanceId }
+    });
+
+    if (!message) {
+      this.fail('Scheduled message not found', 404);
+    }
+
+    return message;
+  }
+
+  /**
+   * Update a scheduled message that has not been sent yet. A new sendAt or
+   * recurrence reschedules it, payload replaces the send fields.
+   * @param {object} changes - { to, payload, sendAt, recurrence, timezone }
+   */
+  async update(instanceId, id, { to, payload, sendAt, recurrence, timezone }) {
+    const prisma = database.getInstance();
+    const message = await this.get(instanceId, id);
+
+    if (message.status !== 'scheduled') {
+      this.fail(`Scheduled message is ${message.status}`, 409);
+    }
+
+    const data = {};
+
+    if (to) {
+      data.to = messageBuilder.toJid(to);
+    }
+
+    if (payload) {
+      messageBuilder.build(message.type, payload);
+      sendContextService.fromBody(payload);
+      data.payload = payload;
+    }
+
+    if (sendAt !== undefined || recurrence !== undefined || timezone !== undefined) {
+      const nextRecurrence = recurrence !== undefined ? recurrence : message.recurrence;
+      const nextTimezone = timezone !== undefined ? timezone : message.timezone;
+
+      if (sendAt === undefined && !nextRecurrence) {
+        // A one-off message keeps its time
+        data.recurrence = null;
+        data.timezone = nextTimezone || null;
+      } else {
+        // Without a new sendAt a recurring message moves to its next occurrence
+        Object.assign(data, this.resolveSchedule({
+          sendAt,
+          recurrence: nextRecurrence,
+          timezone: nextTimezone
+        }));
+      }
+    }
+
+    // Claimed by the scheduler in the meantime
+    const { count } = await prisma.scheduledMessage.updateMany({
+      where: { id, status: 'scheduled' },
+      data
+    });
+
+    if (count !== 1) {
+      this.fail('Scheduled message is being sent', 409);
+    }
+
+    return this.get(instanceId, id);
+  }
+
+  /**
+   * Cancel a scheduled message, recurring messages stop recurring
+   */
+  async cancel(instanceId, id) {
+    const prisma = database.getInstance();
+    const message = await this.get(instanceId, id);
+
+    if (['sent', 'cancelled'].includes(message.status)) {
+      this.fail(`Scheduled message is already ${message.status}`, 409);
+    }
+
+    await prisma.scheduledMessage.updateMany({
+      where: { id, status: { in: ['scheduled', 'failed'] } },
+      data: { status: 'cancelled' }
+    });
+
+    return this.get(instanceId, id);
+  }
+
+  /**
+   * Start the scheduler
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const prisma = database.getInstance();
+
+    try {
+      // Messages that were being sent when the process stopped are sent again
+      const { count } = await prisma.scheduledMessage.updateMany({
+        where: { status: 'sending' },
+        data: { status: 'scheduled' }
+      });
+
+      if (count > 0) {
+        console.log(`Rescheduled ${count} interrupted scheduled messages`);
+      }
+    } catch (error) {
+      console.error('Error resuming scheduled messages:', error);
+    }
+
+    this.timer = setInterval(() => this.processDue(), config.scheduler.interval);
+    console.log('Message scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send the due messages of connected instances
+   */
+  async processDue() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    const prisma = database.getInstance();
+
+    try {
+      const connected = whatsappService.getAllInstances()
+        .filter(instanceId => whatsappService.getInstanceStatus(instanceId) === 'connected');
+
+      if (connected.length === 0) {
+        return;
+      }
+
+      const due = await prisma.scheduledMessage.findMany({
+        where: {
+          instanceId: { in: connected },
+          status: 'scheduled',
+          sendAt: { lte: new Date() }
+        },
+        orderBy: { sendAt: 'asc' },
+        take: 50
+      });
+
+      for (const message of due) {
+        // Claim the message so that it is not sent twice
+        const claimed = await prisma.scheduledMessage.updateMany({
+          where: { id: message.id, status: 'scheduled' },
+          data: { status: 'sending' }
+        });
+
+        if (claimed.count === 1) {
+          await this.send(message);
+        }
+      }
+    } catch (error) {
+      console.error('Error processing scheduled messages:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send a claimed message and schedule its next occurrence. Runs missed while
+   * the process was down are skipped, only the latest one is sent.
+   */
+  async send(message) {
+    const prisma = database.getInstance();
+    const instance = whatsappService.getInstance(message.instanceId);
+
+    // A recipient that opted out stops the schedule, recurring or not
+    if (await optOutService.isOptedOut(message.instanceId, message.to)) {
+      await prisma.scheduledMessage.update({
+        where: { id: message.id },
+        data: { status: 'cancelled', lastError: optOutService.OPTED_OUT }
+      });
+      return;
+    }
+
+    let nextSendAt = null;
+    if (message.recurrence) {
+      try {
+        nextSendAt = this.getNextRun(message.recurrence, message.timezone);
+      } catch (error) {
+        console.error(`Invalid recurrence of scheduled message ${message.id}:`, error.message);
+      }
+    }
+
+    try {
+      if (!instance || !instance.socket) {
+        throw new Error('Instance not found or not connected');
+      }
+
+      const result = await instance.socket.sendMessage(
+        message.to,
+        messageBuilder.build(message.type, message.payload),
+        { context: sendContextService.fromBody(message.payload) }
+      );
+      const sentAt = new Date();
+
+      const updated = await prisma.scheduledMessage.update({
+        where: { id: message.id },
+        data: {
+          status: nextSendAt ? 'scheduled' : 'sent',
+          sendAt: nextSendAt || message.sendAt,
+          runCount: { increment: 1 },
+          lastSentAt: sentAt,
+          lastMessageId: result.key.id,
+          lastError: null
+        }
+      });
+
+      await webhookService.triggerScheduledMessageSent(message.instanceId, {
+        scheduledMessageId: message.id,
+        messageId: result.key.id,
+        to: message.to,
+        type: message.type,
+        sendAt: message.sendAt.toISOString(),
+        sentAt: sentAt.toISOString(),
+        runCount: updated.runCount,
+        nextSendAt: nextSendAt ? nextSendAt.toISOString() : null
+      });
+    } catch (error) {
+      console.error(`Scheduled message ${message.id} failed:`, error.message);
+
+      // A failed run of a recurring message does not stop the next ones
+      await prisma.scheduledMessage.update({
+        where: { id: message.id },
+        data: {
+          status: nextSendAt ? 'scheduled' : 'failed',
+          sendAt: nextSendAt || message.sendAt,
+          lastError: error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,146 @@
+const database = require('../config/database');
+const { cursorWhere, paginate } = require('../utils/cursor');
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'document', 'audio', 'sticker', 'location', 'contact', 'poll', 'event'];
+const SNIPPET_LENGTH = 160;
+
+// Full-text message search on the FULLTEXT index of Message.body. Every word of
+// the query has to match (as a prefix), quoted phrases match as a whole. Results
+// are sorted newest first and paged with (timestamp, id) cursors.
+class SearchService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  toJid(value) {
+    return value.includes('@') ? value : `${value.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+  }
+
+  /**
+   * Parse a search query into a MySQL boolean mode expression and its terms
+   * @param {string} q - Words and "quoted phrases"
+   * @returns {object} { search, terms }
+   */
+  parseQuery(q) {
+    const terms = [];
+    const clauses = [];
+
+    // Characters with a meaning in boolean mode are dropped from the terms
+    const clean = text => text.replace(/[+\-<>()~*"@]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    const rest = String(q || '').replace(/"([^"]*)"/g, (match, phrase) => {
+      const cleaned = clean(phrase);
+      if (cleaned) {
+        terms.push(cleaned);
+        clauses.push(`+"${cleaned}"`);
+      }
+      return ' ';
+    });
+
+    for (const word of clean(rest).split(' ').filter(Boolean)) {
+      terms.push(word);
+      clauses.push(`+${word}*`);
+    }
+
+    if (clauses.length === 0) {
+      this.fail('q is required');
+    }
+
+    return { search: clauses.join(' '), terms };
+  }
+
+  escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+  }
+
+  /**
+   * Cut the part of a body around the first match and wrap the matches in <mark>.
+   * The snippet is HTML-escaped.
+   */
+  buildSnippet(body, terms) {
+    const text = body || '';
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+
+    const first = text.search(pattern);
+    const start = first > 60 ? first - 60 : 0;
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    const snippet = text.slice(start, end)
+      .split(pattern)
+      .map((part, index) => (index % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+      .join('');
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Search the messages of an instance
+   * @param {object} options - { q, chatId, from, type, fromMe, since, until, limit, cursor }
+   * @returns {Promise<object>} { data, pagination: { limit, nextCursor, hasMore } }
+   */
+  async searchMessages(instanceId, { q, chatId, from, type, fromMe, since, until, limit = 20, cursor }) {
+    const prisma = database.getInstance();
+    const { search, terms } = this.parseQuery(q);
+
+    const where = { instanceId, body: { search } };
+
+    if (chatId) {
+      where.chat = { chatId: this.toJid(chatId) };
+    }
+
+    if (from) {
+      where.from = from === 'me' ? 'me' : this.toJid(from);
+    }
+
+    if (type) {
+      if (!MESSAGE_TYPES.includes(type)) {
+        this.fail(`Invalid type. Must be one of: ${MESSAGE_TYPES.join(', ')}`);
+      }
+      where.type = type;
+    }
+
+    if (fromMe !== undefined) {
+      where.fromMe = fromMe;
+    }
+
+    if (since || until) {
+      where.timestamp = {};
+      for (const [key, value] of [['gte', since], ['lte', until]]) {
+        if (!value) continue;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          this.fail('since and until must be valid dates');
+        }
+        where.timestamp[key] = date;
+      }
+    }
+
+    if (cursor) {
+      where.AND = [cursorWhere(cursor)];
+    }
+
+    const rows = await prisma.message.findMany({
+      where,
+      include: {
+        chat: {
+          select: { chatId: true, name: true, isGroup: true }
+        }
+      },
+      orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+      take: limit + 1
+    });
+
+    const page = paginate(rows, limit);
+    page.data = page.data.map(message => ({
+      ...message,
+      snippet: this.buildSnippet(message.body, terms)
+    }));
+
+    return page;
+  }
+}
+
+module.exports = new SearchService();
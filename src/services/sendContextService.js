@@ -0,0 +1,92 @@
+const MAX_CORRELATION_ID_LENGTH = 128;
+const MAX_METADATA_BYTES = 4096;
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// Context of messages sent by the gateway. The ID of a message is registered before
+// it is sent, so that the message handler can tell it apart from messages sent from
+// the phone and echo the correlationId and metadata of the API caller in message.sent.
+// Automated sends (auto-replies, greetings, opt-out and call reject replies) are
+// registered with { automated: true }, they do not count as a reply to the chat.
+class SendContextService {
+  constructor() {
+    this.pending = new Map(); // messageId -> { correlationId, metadata, automated, expiresAt }
+  }
+
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Validate the correlationId and metadata of a send request
+   * @param {object} body - Request body
+   * @returns {object|null} { correlationId, metadata }, null when neither is given
+   */
+  fromBody({ correlationId, metadata } = {}) {
+    if (correlationId === undefined && metadata === undefined) {
+      return null;
+    }
+
+    if (correlationId !== undefined && correlationId !== null
+      && (typeof correlationId !== 'string' || !correlationId || correlationId.length > MAX_CORRELATION_ID_LENGTH)) {
+      this.fail(`correlationId must be a non-empty string of at most ${MAX_CORRELATION_ID_LENGTH} characters`);
+    }
+
+    if (metadata !== undefined && metadata !== null) {
+      if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        this.fail('metadata must be an object');
+      }
+
+      if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+        this.fail(`metadata must be at most ${MAX_METADATA_BYTES} bytes as JSON`);
+      }
+    }
+
+    return {
+      correlationId: correlationId || null,
+      metadata: metadata || null
+    };
+  }
+
+  /**
+   * Register a message about to be sent by the gateway
+   * @param {string} messageId - ID the message will be sent with
+   * @param {object|null} context - { correlationId, metadata } of the API caller, { automated: true } for automated sends
+   */
+  register(messageId, context) {
+    const now = Date.now();
+
+    // Sends that failed never reach the message handler
+    for (const [id, entry] of this.pending) {
+      if (entry.expiresAt <= now) {
+        this.pending.delete(id);
+      }
+    }
+
+    this.pending.set(messageId, {
+      correlationId: context?.correlationId || null,
+      metadata: context?.metadata || null,
+      automated: Boolean(context?.automated),
+      expiresAt: now + PENDING_TTL_MS
+    });
+  }
+
+  /**
+   * Take the context of a sent message
+   * @returns {object|null} { correlationId, metadata, automated }, null for messages not sent by the gateway
+   */
+  take(messageId) {
+    const entry = this.pending.get(messageId);
+
+    if (!entry) {
+      return null;
+    }
+
+    this.pending.delete(messageId);
+
+    return { correlationId: entry.correlationId, metadata: entry.metadata, automated: entry.automated };
+  }
+}
+
+module.exports = new SendContextService();
@@ -1,5 +1,6 @@
 const database = require('../config/database');
 const whatsappService = require('./whatsappService');
+const webhookService = require('./webhookService');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs').promises;
@@ -21,6 +22,8 @@ class SessionManager {
           name: data.name,
           phoneNumber: data.phoneNumber,
           webhookUrl: data.webhookUrl || null,
+          tenantId: data.tenantId || null,
+          webhookSecret: webhookService.generateSecret(),
           status: 'disconnected'
         }
       });
@@ -36,13 +39,23 @@ class SessionManager {
         createdAt: instance.createdAt
       });
 
-      return instance;
+      // The webhook secret is only returned on creation and rotation
+      return {
+        ...this.omitSecrets(instance),
+        webhookSecret: instance.webhookSecret
+      };
     } catch (error) {
       console.error('Error creating instance:', error);
       throw error;
     }
   }
 
+  // Webhook signing secrets are never part of regular instance responses
+  omitSecrets(instance) {
+    const { webhookSecret, webhookSecretPrevious, webhookSecretPreviousExpiresAt, ...rest } = instance;
+    return rest;
+  }
+
   async deleteInstance(instanceId) {
     const prisma = database.getInstance();
     
@@ -90,7 +103,7 @@ class SessionManager {
       const whatsappInstance = whatsappService.getInstance(instanceId);
       
       return {
-        ...instance,
+        ...this.omitSecrets(instance),
         status,
         qrCode: whatsappInstance?.qr || instance.qrCode,
         info: whatsappInstance?.info || null
@@ -101,12 +114,19 @@ class SessionManager {
     }
   }
 
-  async getAllInstances() {
+  async getAllInstances(instanceIds = null) {
     const prisma = database.getInstance();
     
     try {
+      const where = { isActive: true };
+
+      // Limit to the instances a tenant API key can access
+      if (instanceIds) {
+        where.id = { in: instanceIds };
+      }
+
       const instances = await prisma.instance.findMany({
-        where: { isActive: true },
+        where,
         include: {
           _count: {
             select: {
@@ -123,7 +143,7 @@ class SessionManager {
         const whatsappInstance = whatsappService.getInstance(instance.id);
         
         return {
-          ...instance,
+          ...this.omitSecrets(instance),
           status,
           qrCode: status === 'qr' ? (whatsappInstance?.qr || instance.qrCode) : null,
           info: whatsappInstance?.info || null
@@ -147,7 +167,7 @@ class SessionManager {
         }
       });
       
-      return instance;
+      return this.omitSecrets(instance);
     } catch (error) {
       console.error('Error updating instance:', error);
       throw error;
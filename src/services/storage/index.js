@@ -0,0 +1,31 @@
+const config = require('../../config/config');
+
+// Storage drivers share one interface:
+// put(key, buffer, { contentType }), stat(key), createReadStream(key, { start, end }),
+// delete(key) and deletePrefix(prefix)
+const drivers = {
+  local: () => new (require('./localStorage'))(config.media.local),
+  // Loaded on demand so the AWS SDK is only required when S3 is used
+  s3: () => new (require('./s3Storage'))(config.media.s3)
+};
+
+let storage = null;
+
+/**
+ * Get the configured media storage driver (MEDIA_STORAGE_DRIVER)
+ */
+function getStorage() {
+  if (!storage) {
+    const create = drivers[config.media.driver];
+
+    if (!create) {
+      throw new Error(`Unknown media storage driver ${config.media.driver}`);
+    }
+
+    storage = create();
+  }
+
+  return storage;
+}
+
+module.exports = { getStorage };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores media files on the local disk, below config.media.local.path
+class LocalStorage {
+  constructor(options) {
+    this.basePath = path.resolve(options.path);
+  }
+
+  /**
+   * Resolve a storage key to a file path, refusing keys that escape the base path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.basePath, key);
+
+    if (!filePath.startsWith(this.basePath + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * @returns {Promise<object|null>} { size } or null when the file does not exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {object} range - { start, end } byte offsets, both inclusive
+   */
+  async createReadStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,102 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+
+// Stores media files in an S3 bucket. Any S3-compatible server (MinIO, R2, ...)
+// works by setting MEDIA_S3_ENDPOINT and MEDIA_S3_FORCE_PATH_STYLE=true.
+class S3Storage {
+  constructor(options) {
+    if (!options.bucket) {
+      throw new Error('MEDIA_S3_BUCKET is required for the s3 media driver');
+    }
+
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * @returns {Promise<object|null>} { size } or null when the object does not exist
+   */
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: head.ContentLength };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {object} range - { start, end } byte offsets, both inclusive
+   */
+  async createReadStream(key, range = {}) {
+    const object = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: range.start !== undefined ? `bytes=${range.start}-${range.end}` : undefined
+    }));
+
+    return object.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  async deletePrefix(prefix) {
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+
+      if (page.Contents?.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: page.Contents.map(object => ({ Key: object.Key })) }
+        }));
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+module.exports = S3Storage;
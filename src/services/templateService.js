@@ -0,0 +1,229 @@
+const database = require('../config/database');
+const messageBuilder = require('./messageBuilder');
+const { renderTemplate, findPlaceholders } = require('../utils/template');
+
+// Reusable message templates per instance. The content holds the send fields of the
+// /send/<type> route with {{variable}} placeholders, variables holds their default
+// values. Every update saves a new version, older versions stay available.
+class TemplateService {
+  fail(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Validate the type, content and default variables of a template
+   */
+  validate({ type, content, variables }) {
+    if (!messageBuilder.types.includes(type)) {
+      this.fail(`Invalid type. Must be one of: ${messageBuilder.types.join(', ')}`);
+    }
+
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      this.fail('content must be an object with the fields of the send route');
+    }
+
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      this.fail('variables must be an object of default values');
+    }
+
+    messageBuilder.build(type, content);
+  }
+
+  /**
+   * Create a template, saved as version 1
+   * @param {object} data - { name, description, type, content, variables }
+   */
+  async create(instanceId, { name, description, type, content, variables }) {
+    const prisma = database.getInstance();
+
+    if (!name) {
+      this.fail('name is required');
+    }
+
+    this.validate({ type, content, variables });
+
+    try {
+      return await prisma.messageTemplate.create({
+        data: {
+          instanceId,
+          name,
+          description,
+          type,
+          content,
+          variables: variables || {},
+          versions: {
+            create: { version: 1, type, content, variables: variables || {} }
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        this.fail(`Template ${name} already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the templates of an instance
+   */
+  async list(instanceId, { type, limit = 50, offset = 0 } = {}) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId };
+    if (type) {
+      where.type = type;
+    }
+
+    const [templates, total] = await Promise.all([
+      prisma.messageTemplate.findMany({
+        where,
+        orderBy: { name: 'asc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.messageTemplate.count({ where })
+    ]);
+
+    return { templates, total };
+  }
+
+  /**
+   * Get a template, at its current version
+   */
+  async get(instanceId, templateId) {
+    const prisma = database.getInstance();
+
+    const template = await prisma.messageTemplate.findFirst({
+      where: { id: templateId, instanceId }
+    });
+
+    if (!template) {
+      this.fail('Template not found', 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Update a template, saved as a new version. Omitted fields keep their value.
+   */
+  async update(instanceId, templateId, { name, description, type, content, variables }) {
+    const prisma = database.getInstance();
+    const template = await this.get(instanceId, templateId);
+
+    const next = {
+      type: type ?? template.type,
+      content: content ?? template.content,
+      variables: (variables !== undefined ? variables : template.variables) || {}
+    };
+
+    this.validate(next);
+
+    const version = template.version + 1;
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.messageTemplateVersion.create({
+          data: { templateId, version, ...next }
+        });
+
+        return tx.messageTemplate.update({
+          where: { id: templateId },
+          data: {
+            name,
+            description,
+            ...next,
+            version
+          }
+        });
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        this.fail(error.meta?.target?.includes?.('name') ? `Template ${name} already exists` : 'Template was updated concurrently', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a template and all its versions
+   */
+  async delete(instanceId, templateId) {
+    const prisma = database.getInstance();
+    await this.get(instanceId, templateId);
+
+    await prisma.messageTemplate.delete({ where: { id: templateId } });
+  }
+
+  /**
+   * List the versions of a template, newest first
+   */
+  async listVersions(instanceId, templateId) {
+    const prisma = database.getInstance();
+    await this.get(instanceId, templateId);
+
+    return prisma.messageTemplateVersion.findMany({
+      where: { templateId },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  /**
+   * Get a version of a template, the current one without a version
+   */
+  async getVersion(instanceId, templateId, version) {
+    const prisma = database.getInstance();
+    const template = await this.get(instanceId, templateId);
+
+    if (version === undefined || version === null || version === '') {
+      return template;
+    }
+
+    const saved = await prisma.messageTemplateVersion.findUnique({
+      where: { templateId_version: { templateId, version: parseInt(version) || 0 } }
+    });
+
+    if (!saved) {
+      this.fail(`Version ${version} of template not found`, 404);
+    }
+
+    return { ...template, ...saved, id: template.id };
+  }
+
+  /**
+   * Render a template with variables, missing variables fall back to the defaults
+   * @param {object} options - { variables, version }
+   * @returns {Promise<object>} { templateId, name, type, version, content, missing }
+   */
+  async render(instanceId, templateId, { variables = {}, version } = {}) {
+    const template = await this.getVersion(instanceId, templateId, version);
+
+    const values = { ...(template.variables || {}), ...(variables || {}) };
+    const missing = findPlaceholders(template.content).filter(name => values[name] === undefined || values[name] === null);
+
+    const content = renderTemplate(template.content, values);
+
+    // Variables are strings, coordinates have to be numbers
+    if (template.type === 'location') {
+      for (const field of ['latitude', 'longitude']) {
+        if (typeof content[field] === 'string' && content[field] !== '') {
+          content[field] = Number(content[field]);
+        }
+      }
+    }
+
+    return {
+      templateId: template.id,
+      name: template.name,
+      type: template.type,
+      version: template.version,
+      content,
+      missing
+    };
+  }
+}
+
+module.exports = new TemplateService();
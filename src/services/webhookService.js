@@ -1,12 +1,17 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const database = require('../config/database');
+const config = require('../config/config');
+const eventStreamService = require('./eventStreamService');
+const { matchesEvent } = require('../utils/eventFilter');
 
 class WebhookService {
   constructor() {
-    this.webhookQueue = new Map(); // Queue for failed webhooks
-    this.retryAttempts = new Map(); // Track retry attempts
-    this.maxRetries = 3;
-    this.retryDelay = 5000; // 5 seconds
+    this.maxRetries = config.webhook.maxRetries;
+    this.retryBaseDelay = config.webhook.retryBaseDelay;
+    this.retryMaxDelay = config.webhook.retryMaxDelay;
+    this.workerTimer = null;
+    this.workerRunning = false;
   }
 
   /**
@@ -14,25 +19,21 @@ class WebhookService {
    * @param {string} url - Webhook URL
    * @param {object} payload - Webhook payload
    * @param {string} instanceId - Instance ID
+   * @param {object} subscription - Webhook subscription, null for the instance webhookUrl
    * @returns {Promise<object>}
    */
-  async triggerWebhook(url, payload, instanceId = null) {
+  async triggerWebhook(url, payload, instanceId = null, subscription = null) {
     const webhookId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const subscriptionId = subscription?.id || null;
     
     try {
-      const response = await axios.post(url, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-ID': webhookId,
-          'X-Instance-ID': instanceId || 'unknown'
-        },
-        timeout: 10000 // 10 seconds timeout
-      });
+      const response = await this.postWebhook(url, payload, webhookId, instanceId, subscription);
 
       // Log successful webhook
       await this.logWebhook({
         webhookId,
         instanceId,
+        subscriptionId,
         url,
         event: payload.event,
         payload: JSON.stringify(payload),
@@ -55,6 +56,7 @@ class WebhookService {
       await this.logWebhook({
         webhookId,
         instanceId,
+        subscriptionId,
         url,
         event: payload.event,
         payload: JSON.stringify(payload),
@@ -65,7 +67,7 @@ class WebhookService {
       });
 
       // Add to retry queue
-      this.addToRetryQueue(webhookId, url, payload, instanceId);
+      await this.addToRetryQueue(webhookId, url, payload, instanceId, error, subscriptionId);
 
       return {
         success: false,
@@ -76,86 +78,399 @@ class WebhookService {
   }
 
   /**
-   * Add webhook to retry queue
+   * POST a webhook payload, signed with the instance webhook secret
+   * @param {string} url - Webhook URL
+   * @param {object} payload - Webhook payload
+   * @param {string} webhookId - Webhook ID
+   * @param {string} instanceId - Instance ID
+   * @param {object} subscription - Webhook subscription (custom headers and timeout)
+   * @param {object} extraHeaders - Additional headers
+   * @returns {Promise<object>} Axios response
    */
-  addToRetryQueue(webhookId, url, payload, instanceId) {
-    const attempts = this.retryAttempts.get(webhookId) || 0;
+  async postWebhook(url, payload, webhookId, instanceId = null, subscription = null, extraHeaders = {}) {
+    // Serialize once so the signature covers exactly the bytes that are sent
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    // Custom headers can not override the gateway headers
+    const headers = {
+      ...(subscription?.headers || {}),
+      'Content-Type': 'application/json',
+      'X-Webhook-ID': webhookId,
+      'X-Instance-ID': instanceId || 'unknown',
+      ...extraHeaders
+    };
 
-    if (attempts < this.maxRetries) {
-      this.webhookQueue.set(webhookId, {
-        url,
-        payload,
-        instanceId,
-        attempts: attempts + 1,
-        nextRetry: Date.now() + this.retryDelay * (attempts + 1)
+    const secrets = await this.getSigningSecrets(instanceId);
+    if (secrets.length > 0) {
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Signature'] = secrets
+        .map(secret => `sha256=${this.signPayload(secret, timestamp, body)}`)
+        .join(',');
+    }
+
+    return axios.post(url, body, {
+      headers,
+      timeout: subscription?.timeout || config.webhook.timeout
+    });
+  }
+
+  /**
+   * HMAC-SHA256 signature over "<timestamp>.<raw body>"
+   */
+  signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Get the secrets to sign with: the current one, plus the previous one during its grace period
+   */
+  async getSigningSecrets(instanceId) {
+    if (!instanceId) {
+      return [];
+    }
+
+    const prisma = database.getInstance();
+
+    try {
+      const instance = await prisma.instance.findUnique({
+        where: { id: instanceId },
+        select: {
+          webhookSecret: true,
+          webhookSecretPrevious: true,
+          webhookSecretPreviousExpiresAt: true
+        }
       });
 
-      this.retryAttempts.set(webhookId, attempts + 1);
+      if (!instance?.webhookSecret) {
+        return [];
+      }
 
-      // Schedule retry
-      setTimeout(() => {
-        this.retryWebhook(webhookId);
-      }, this.retryDelay * (attempts + 1));
+      const secrets = [instance.webhookSecret];
+      if (instance.webhookSecretPrevious && instance.webhookSecretPreviousExpiresAt > new Date()) {
+        secrets.push(instance.webhookSecretPrevious);
+      }
+
+      return secrets;
+    } catch (error) {
+      console.error('Error getting webhook signing secret:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Generate a new webhook signing secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Rotate the webhook signing secret of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {number} gracePeriod - Seconds the previous secret keeps being used, 0 to drop it immediately
+   * @returns {Promise<object>}
+   */
+  async rotateSecret(instanceId, gracePeriod = config.webhook.secretRotationGracePeriod) {
+    const prisma = database.getInstance();
+
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: { webhookSecret: true }
+    });
+
+    if (!instance) {
+      const error = new Error('Instance not found');
+      error.status = 404;
+      throw error;
     }
+
+    const keepPrevious = Boolean(instance.webhookSecret) && gracePeriod > 0;
+    const previousExpiresAt = keepPrevious ? new Date(Date.now() + gracePeriod * 1000) : null;
+    const webhookSecret = this.generateSecret();
+
+    await prisma.instance.update({
+      where: { id: instanceId },
+      data: {
+        webhookSecret,
+        webhookSecretPrevious: keepPrevious ? instance.webhookSecret : null,
+        webhookSecretPreviousExpiresAt: previousExpiresAt
+      }
+    });
+
+    return { webhookSecret, previousSecretExpiresAt: previousExpiresAt };
   }
 
   /**
-   * Retry failed webhook
+   * Get the delay before the next retry: exponential backoff with jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
    */
-  async retryWebhook(webhookId) {
-    const webhook = this.webhookQueue.get(webhookId);
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempts - 1));
 
-    if (!webhook) {
+    // Equal jitter: half fixed, half random, so retries of many failed webhooks spread out
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Add webhook to the persistent retry queue
+   */
+  async addToRetryQueue(webhookId, url, payload, instanceId, error = null, subscriptionId = null) {
+    const prisma = database.getInstance();
+
+    if (!instanceId) {
+      console.warn(`Webhook ${webhookId} has no instance, not queued for retry`);
       return;
     }
 
     try {
-      const response = await axios.post(webhook.url, webhook.payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-ID': webhookId,
-          'X-Instance-ID': webhook.instanceId || 'unknown',
-          'X-Retry-Attempt': webhook.attempts
-        },
-        timeout: 10000
+      await prisma.webhook.create({
+        data: {
+          id: webhookId,
+          event: payload.event || 'unknown',
+          instanceId,
+          subscriptionId,
+          url,
+          payload: JSON.stringify(payload),
+          status: this.maxRetries > 0 ? 'pending' : 'dead',
+          attempts: 1,
+          lastAttempt: new Date(),
+          nextAttemptAt: new Date(Date.now() + this.getRetryDelay(1)),
+          lastError: error?.message || null,
+          lastStatusCode: error?.response?.status || null
+        }
+      });
+    } catch (err) {
+      console.error(`Error queueing webhook ${webhookId} for retry:`, err);
+    }
+  }
+
+  /**
+   * Retry a queued webhook
+   * @param {object} webhook - Webhook queue row, already claimed (status processing)
+   */
+  async retryWebhook(webhook) {
+    const prisma = database.getInstance();
+    const attempts = webhook.attempts + 1;
+
+    try {
+      // Subscription deliveries use the current subscription URL, headers and timeout
+      let url = webhook.url;
+      let subscription = null;
+
+      if (webhook.subscriptionId) {
+        subscription = await prisma.webhookSubscription.findUnique({
+          where: { id: webhook.subscriptionId }
+        });
+
+        if (!subscription || !subscription.enabled) {
+          const error = new Error(`Webhook subscription ${subscription ? 'disabled' : 'deleted'}`);
+          error.permanent = true;
+          throw error;
+        }
+
+        url = subscription.url;
+      }
+
+      const response = await this.postWebhook(url, JSON.parse(webhook.payload), webhook.id, webhook.instanceId, subscription, {
+        'X-Retry-Attempt': attempts - 1
+      });
+
+      await prisma.webhook.update({
+        where: { id: webhook.id },
+        data: {
+          status: 'sent',
+          attempts,
+          lastAttempt: new Date(),
+          lastError: null,
+          lastStatusCode: response.status
+        }
       });
 
       // Update webhook log
-      await this.updateWebhookLog(webhookId, {
+      await this.updateWebhookLog(webhook.id, {
         status: 'success',
         statusCode: response.status,
         response: JSON.stringify(response.data),
-        attempts: webhook.attempts
+        attempts
       });
 
-      // Remove from queue
-      this.webhookQueue.delete(webhookId);
-      this.retryAttempts.delete(webhookId);
-
-      console.log(`Webhook ${webhookId} retry successful after ${webhook.attempts} attempts`);
+      console.log(`Webhook ${webhook.id} retry successful after ${attempts} attempts`);
+      return true;
     } catch (error) {
-      console.error(`Webhook ${webhookId} retry ${webhook.attempts} failed:`, error.message);
+      console.error(`Webhook ${webhook.id} retry ${attempts - 1} failed:`, error.message);
+
+      // Dead-letter once all retries are used up (first attempt + maxRetries)
+      const dead = attempts > this.maxRetries || Boolean(error.permanent);
+
+      await prisma.webhook.update({
+        where: { id: webhook.id },
+        data: {
+          status: dead ? 'dead' : 'pending',
+          attempts,
+          lastAttempt: new Date(),
+          nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attempts)),
+          lastError: error.message,
+          lastStatusCode: error.response?.status || null
+        }
+      });
 
       // Update webhook log
-      await this.updateWebhookLog(webhookId, {
+      await this.updateWebhookLog(webhook.id, {
         status: 'failed',
         statusCode: error.response?.status || 0,
         error: error.message,
-        attempts: webhook.attempts
+        attempts
+      });
+
+      if (dead) {
+        console.error(`Webhook ${webhook.id} failed after ${attempts} attempts, moved to dead-letter queue`);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Start the background worker that drains the retry queue
+   */
+  async startWorker() {
+    if (this.workerTimer) {
+      return;
+    }
+
+    const prisma = database.getInstance();
+
+    try {
+      // Deliveries that were in flight when the process stopped are retried
+      const { count } = await prisma.webhook.updateMany({
+        where: { status: 'processing' },
+        data: { status: 'pending' }
+      });
+
+      if (count > 0) {
+        console.log(`Resumed ${count} interrupted webhook deliveries`);
+      }
+    } catch (error) {
+      console.error('Error resuming webhook deliveries:', error);
+    }
+
+    this.workerTimer = setInterval(() => this.processRetryQueue(), config.webhook.workerInterval);
+    console.log('Webhook delivery worker started');
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+  }
+
+  /**
+   * Process due webhooks from the retry queue
+   */
+  async processRetryQueue() {
+    if (this.workerRunning) {
+      return;
+    }
+
+    this.workerRunning = true;
+    const prisma = database.getInstance();
+
+    try {
+      const due = await prisma.webhook.findMany({
+        where: {
+          status: 'pending',
+          nextAttemptAt: { lte: new Date() }
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: config.webhook.workerBatchSize
       });
 
-      // Try again if not exceeded max retries
-      if (webhook.attempts < this.maxRetries) {
-        this.addToRetryQueue(webhookId, webhook.url, webhook.payload, webhook.instanceId);
-      } else {
-        // Max retries exceeded
-        this.webhookQueue.delete(webhookId);
-        this.retryAttempts.delete(webhookId);
-        console.error(`Webhook ${webhookId} failed after ${this.maxRetries} attempts`);
+      for (const webhook of due) {
+        // Claim the row so that another worker does not deliver it too
+        const claimed = await prisma.webhook.updateMany({
+          where: { id: webhook.id, status: 'pending' },
+          data: { status: 'processing' }
+        });
+
+        if (claimed.count === 1) {
+          await this.retryWebhook(webhook);
+        }
       }
+    } catch (error) {
+      console.error('Error processing webhook retry queue:', error);
+    } finally {
+      this.workerRunning = false;
     }
   }
 
+  /**
+   * List dead-lettered webhooks for an instance
+   */
+  async getDeadLetters(instanceId, limit = 50, offset = 0) {
+    const prisma = database.getInstance();
+    const where = { instanceId, status: 'dead' };
+
+    const [webhooks, total] = await Promise.all([
+      prisma.webhook.findMany({
+        where,
+        orderBy: { lastAttempt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.webhook.count({ where })
+    ]);
+
+    return { webhooks, total };
+  }
+
+  /**
+   * Put dead-lettered webhooks back in the queue
+   * @param {string} instanceId - Instance ID
+   * @param {string[]|null} ids - Webhook IDs, all dead letters of the instance when empty
+   */
+  async replayDeadLetters(instanceId, ids = null) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId, status: 'dead' };
+    if (ids && ids.length > 0) {
+      where.id = { in: ids };
+    }
+
+    const { count } = await prisma.webhook.updateMany({
+      where,
+      data: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Delete dead-lettered webhooks
+   * @param {string} instanceId - Instance ID
+   * @param {string[]|null} ids - Webhook IDs, all dead letters of the instance when empty
+   */
+  async purgeDeadLetters(instanceId, ids = null) {
+    const prisma = database.getInstance();
+
+    const where = { instanceId, status: 'dead' };
+    if (ids && ids.length > 0) {
+      where.id = { in: ids };
+    }
+
+    const { count } = await prisma.webhook.deleteMany({ where });
+    return count;
+  }
+
   /**
    * Log webhook to database
    */
@@ -167,6 +482,7 @@ class WebhookService {
         data: {
           webhookId: data.webhookId,
           instanceId: data.instanceId,
+          subscriptionId: data.subscriptionId || null,
           url: data.url,
           event: data.event,
           payload: data.payload,
@@ -211,7 +527,10 @@ class WebhookService {
     const prisma = database.getInstance();
 
     try {
-      const where = instanceId ? { instanceId } : {};
+      // instanceId may be a single ID or a list of IDs
+      const where = Array.isArray(instanceId)
+        ? { instanceId: { in: instanceId } }
+        : (instanceId ? { instanceId } : {});
 
       const logs = await prisma.webhookLog.findMany({
         where,
@@ -245,20 +564,191 @@ class WebhookService {
   }
 
   /**
-   * Trigger session.status webhook
+   * Deliver an event to every destination of an instance: the instance
+   * webhookUrl (catch-all) and each enabled subscription whose filter matches
+   * @param {string} instanceId - Instance ID
+   * @param {object} payload - Webhook payload
+   * @returns {Promise<object[]|null>} One result per destination, null when there is none
    */
-  async triggerSessionStatus(instanceId, status, additionalData = {}) {
+  async dispatchEvent(instanceId, payload) {
     const prisma = database.getInstance();
 
-    try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
+    // Live WebSocket/SSE clients get every event, with or without a webhook configured
+    eventStreamService.publish(instanceId, payload);
+
+    const instance = await prisma.instance.findUnique({
+      where: { id: instanceId },
+      select: {
+        webhookUrl: true,
+        webhookSubscriptions: {
+          where: { enabled: true }
+        }
+      }
+    });
+
+    if (!instance) {
+      return null;
+    }
+
+    const deliveries = [];
+
+    if (instance.webhookUrl) {
+      deliveries.push(this.triggerWebhook(instance.webhookUrl, payload, instanceId));
+    }
+
+    for (const subscription of instance.webhookSubscriptions) {
+      if (matchesEvent(subscription.events, payload.event)) {
+        deliveries.push(this.triggerWebhook(subscription.url, payload, instanceId, subscription));
+      }
+    }
+
+    return deliveries.length > 0 ? Promise.all(deliveries) : null;
+  }
+
+  /**
+   * Validate and normalize subscription input, throws with error.status 400
+   * @param {object} data - Request body
+   * @param {boolean} partial - Only validate the fields that are present (update)
+   */
+  normalizeSubscription(data, partial = false) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
 
-      if (!instance?.webhookUrl) {
-        return null;
+    const subscription = {};
+
+    if (!partial || data.url !== undefined) {
+      try {
+        const { protocol } = new URL(data.url);
+        if (!['http:', 'https:'].includes(protocol)) fail('url must be an http(s) URL');
+      } catch (error) {
+        if (error.status) throw error;
+        fail('url must be a valid URL');
       }
+      subscription.url = data.url;
+    }
+
+    if (!partial || data.events !== undefined) {
+      const events = data.events || [];
+      if (!Array.isArray(events) || events.some(event => typeof event !== 'string' || !event)) {
+        fail('events must be an array of event names');
+      }
+      subscription.events = events;
+    }
+
+    if (data.headers !== undefined) {
+      const headers = data.headers || {};
+      if (typeof headers !== 'object' || Array.isArray(headers) ||
+          Object.values(headers).some(value => typeof value !== 'string')) {
+        fail('headers must be an object of string values');
+      }
+      subscription.headers = headers;
+    }
+
+    // null falls back to WEBHOOK_TIMEOUT
+    if (data.timeout !== undefined) {
+      if (data.timeout !== null && (!Number.isInteger(data.timeout) || data.timeout < 1000 || data.timeout > 60000)) {
+        fail('timeout must be between 1000 and 60000 ms');
+      }
+      subscription.timeout = data.timeout;
+    }
+
+    if (data.enabled !== undefined) {
+      subscription.enabled = Boolean(data.enabled);
+    }
+
+    if (data.description !== undefined) {
+      subscription.description = data.description;
+    }
+
+    return subscription;
+  }
+
+  /**
+   * List webhook subscriptions of an instance
+   */
+  async listSubscriptions(instanceId) {
+    const prisma = database.getInstance();
+
+    return prisma.webhookSubscription.findMany({
+      where: { instanceId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
 
+  /**
+   * Get a webhook subscription, throws with error.status 404 when not found
+   */
+  async getSubscription(instanceId, subscriptionId) {
+    const prisma = database.getInstance();
+
+    const subscription = await prisma.webhookSubscription.findFirst({
+      where: { id: subscriptionId, instanceId }
+    });
+
+    if (!subscription) {
+      const error = new Error('Webhook subscription not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Create a webhook subscription
+   */
+  async createSubscription(instanceId, data) {
+    const prisma = database.getInstance();
+    const subscription = this.normalizeSubscription(data);
+
+    const instance = await prisma.instance.findUnique({ where: { id: instanceId } });
+    if (!instance) {
+      const error = new Error('Instance not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return prisma.webhookSubscription.create({
+      data: { ...subscription, instanceId }
+    });
+  }
+
+  /**
+   * Update a webhook subscription
+   */
+  async updateSubscription(instanceId, subscriptionId, data) {
+    const prisma = database.getInstance();
+    const subscription = this.normalizeSubscription(data, true);
+
+    await this.getSubscription(instanceId, subscriptionId);
+
+    return prisma.webhookSubscription.update({
+      where: { id: subscriptionId },
+      data: subscription
+    });
+  }
+
+  /**
+   * Delete a webhook subscription
+   */
+  async deleteSubscription(instanceId, subscriptionId) {
+    const prisma = database.getInstance();
+
+    await this.getSubscription(instanceId, subscriptionId);
+
+    await prisma.webhookSubscription.delete({
+      where: { id: subscriptionId }
+    });
+  }
+
+  /**
+   * Trigger session.status webhook
+   */
+  async triggerSessionStatus(instanceId, status, additionalData = {}) {
+    try {
       const payload = {
         event: 'session.status',
         instanceId,
@@ -269,7 +759,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering session.status webhook:', error);
       return null;
@@ -280,17 +770,7 @@ class WebhookService {
    * Trigger message.received webhook
    */
   async triggerMessageReceived(instanceId, messageData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.received',
         instanceId,
@@ -298,7 +778,7 @@ class WebhookService {
         data: messageData
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.received webhook:', error);
       return null;
@@ -309,17 +789,7 @@ class WebhookService {
    * Trigger message.sent webhook
    */
   async triggerMessageSent(instanceId, messageData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.sent',
         instanceId,
@@ -327,7 +797,7 @@ class WebhookService {
         data: messageData
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.sent webhook:', error);
       return null;
@@ -338,17 +808,7 @@ class WebhookService {
    * Trigger message.updated webhook
    */
   async triggerMessageUpdated(instanceId, messageData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.updated',
         instanceId,
@@ -356,7 +816,7 @@ class WebhookService {
         data: messageData
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.updated webhook:', error);
       return null;
@@ -367,17 +827,7 @@ class WebhookService {
    * Trigger message.any webhook (for all message events)
    */
   async triggerMessageAny(instanceId, messageData, eventType = 'any') {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.any',
         instanceId,
@@ -388,7 +838,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.any webhook:', error);
       return null;
@@ -399,17 +849,7 @@ class WebhookService {
    * Trigger message.ack webhook (message acknowledgment/read receipt)
    */
   async triggerMessageAck(instanceId, messageData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.ack',
         instanceId,
@@ -418,13 +858,14 @@ class WebhookService {
           messageId: messageData.messageId,
           chatId: messageData.chatId,
           from: messageData.from,
-          ack: messageData.ack, // 0: pending, 1: sent, 2: delivered, 3: read, 4: played
+          ack: messageData.ack, // 0: error, 1: pending, 2: sent, 3: delivered, 4: read, 5: played
           ackName: this.getAckName(messageData.ack),
+          correlationId: messageData.correlationId || null,
           timestamp: messageData.timestamp || new Date().toISOString()
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.ack webhook:', error);
       return null;
@@ -435,17 +876,7 @@ class WebhookService {
    * Trigger message.revoked webhook (message deleted)
    */
   async triggerMessageRevoked(instanceId, messageData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.revoked',
         instanceId,
@@ -460,7 +891,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.revoked webhook:', error);
       return null;
@@ -471,17 +902,7 @@ class WebhookService {
    * Trigger message.edited webhook (message edited)
    */
   async triggerMessageEdited(instanceId, messageData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'message.edited',
         instanceId,
@@ -498,23 +919,52 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering message.edited webhook:', error);
       return null;
     }
   }
 
+  /**
+   * Trigger message.scheduled.sent webhook (scheduled message fired)
+   */
+  async triggerScheduledMessageSent(instanceId, scheduledData) {
+    try {
+      const payload = {
+        event: 'message.scheduled.sent',
+        instanceId,
+        timestamp: new Date().toISOString(),
+        data: {
+          scheduledMessageId: scheduledData.scheduledMessageId,
+          messageId: scheduledData.messageId,
+          to: scheduledData.to,
+          type: scheduledData.type,
+          sendAt: scheduledData.sendAt,
+          sentAt: scheduledData.sentAt || new Date().toISOString(),
+          runCount: scheduledData.runCount,
+          nextSendAt: scheduledData.nextSendAt || null // null when it does not recur
+        }
+      };
+
+      return await this.dispatchEvent(instanceId, payload);
+    } catch (error) {
+      console.error('Error triggering message.scheduled.sent webhook:', error);
+      return null;
+    }
+  }
+
   /**
    * Get acknowledgment name from ack number
    */
   getAckName(ack) {
     const ackNames = {
-      0: 'pending',
-      1: 'sent',
-      2: 'delivered',
-      3: 'read',
-      4: 'played'
+      0: 'error',
+      1: 'pending',
+      2: 'sent',
+      3: 'delivered',
+      4: 'read',
+      5: 'played'
     };
     return ackNames[ack] || 'unknown';
   }
@@ -570,17 +1020,7 @@ class WebhookService {
    * Trigger group.v2.join webhook (someone joined group)
    */
   async triggerGroupJoin(instanceId, groupData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'group.v2.join',
         instanceId,
@@ -594,7 +1034,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering group.v2.join webhook:', error);
       return null;
@@ -605,17 +1045,7 @@ class WebhookService {
    * Trigger group.v2.leave webhook (someone left group)
    */
   async triggerGroupLeave(instanceId, groupData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'group.v2.leave',
         instanceId,
@@ -630,7 +1060,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering group.v2.leave webhook:', error);
       return null;
@@ -641,17 +1071,7 @@ class WebhookService {
    * Trigger group.v2.update webhook (group info updated)
    */
   async triggerGroupUpdate(instanceId, groupData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'group.v2.update',
         instanceId,
@@ -665,7 +1085,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering group.v2.update webhook:', error);
       return null;
@@ -676,17 +1096,7 @@ class WebhookService {
    * Trigger group.v2.participants webhook (participants changed)
    */
   async triggerGroupParticipants(instanceId, groupData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'group.v2.participants',
         instanceId,
@@ -701,7 +1111,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering group.v2.participants webhook:', error);
       return null;
@@ -712,30 +1122,21 @@ class WebhookService {
    * Trigger presence.update webhook (user online/offline status)
    */
   async triggerPresenceUpdate(instanceId, presenceData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'presence.update',
         instanceId,
         timestamp: new Date().toISOString(),
         data: {
           jid: presenceData.jid,
+          chatId: presenceData.chatId || presenceData.jid,
           presence: presenceData.presence, // available, unavailable, composing, recording, paused
           lastSeen: presenceData.lastSeen || null,
           timestamp: presenceData.timestamp || new Date().toISOString()
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering presence.update webhook:', error);
       return null;
@@ -746,17 +1147,7 @@ class WebhookService {
    * Trigger poll.vote webhook (someone voted on a poll)
    */
   async triggerPollVote(instanceId, pollData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'poll.vote',
         instanceId,
@@ -764,13 +1155,15 @@ class WebhookService {
         data: {
           pollMessageId: pollData.pollMessageId,
           chatId: pollData.chatId,
+          question: pollData.question,
           voter: pollData.voter,
           selectedOptions: pollData.selectedOptions,
+          previousOptions: pollData.previousOptions || [],
           timestamp: pollData.timestamp || new Date().toISOString()
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering poll.vote webhook:', error);
       return null;
@@ -781,17 +1174,7 @@ class WebhookService {
    * Trigger poll.vote.failed webhook (poll vote failed)
    */
   async triggerPollVoteFailed(instanceId, pollData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'poll.vote.failed',
         instanceId,
@@ -805,7 +1188,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering poll.vote.failed webhook:', error);
       return null;
@@ -816,17 +1199,7 @@ class WebhookService {
    * Trigger chat.archive webhook (chat archived/unarchived)
    */
   async triggerChatArchive(instanceId, chatData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'chat.archive',
         instanceId,
@@ -839,7 +1212,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering chat.archive webhook:', error);
       return null;
@@ -847,20 +1220,61 @@ class WebhookService {
   }
 
   /**
-   * Trigger call.received webhook (incoming call)
+   * Trigger chat.status webhook (inbox status changed)
    */
-  async triggerCallReceived(instanceId, callData) {
-    const prisma = database.getInstance();
+  async triggerChatStatus(instanceId, chatData) {
+    try {
+      const payload = {
+        event: 'chat.status',
+        instanceId,
+        timestamp: new Date().toISOString(),
+        data: {
+          chatId: chatData.chatId,
+          chatName: chatData.chatName,
+          status: chatData.status, // open, pending, resolved
+          previousStatus: chatData.previousStatus,
+          reason: chatData.reason, // manual, or inbound when a message reopened the chat
+          timestamp: chatData.timestamp || new Date().toISOString()
+        }
+      };
 
+      return await this.dispatchEvent(instanceId, payload);
+    } catch (error) {
+      console.error('Error triggering chat.status webhook:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Trigger chat.assigned webhook (inbox assignee changed)
+   */
+  async triggerChatAssigned(instanceId, chatData) {
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
+      const payload = {
+        event: 'chat.assigned',
+        instanceId,
+        timestamp: new Date().toISOString(),
+        data: {
+          chatId: chatData.chatId,
+          chatName: chatData.chatName,
+          assigneeId: chatData.assigneeId, // null when unassigned
+          previousAssigneeId: chatData.previousAssigneeId,
+          timestamp: chatData.timestamp || new Date().toISOString()
+        }
+      };
 
-      if (!instance?.webhookUrl) {
-        return null;
-      }
+      return await this.dispatchEvent(instanceId, payload);
+    } catch (error) {
+      console.error('Error triggering chat.assigned webhook:', error);
+      return null;
+    }
+  }
 
+  /**
+   * Trigger call.received webhook (incoming call)
+   */
+  async triggerCallReceived(instanceId, callData) {
+    try {
       const payload = {
         event: 'call.received',
         instanceId,
@@ -875,7 +1289,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering call.received webhook:', error);
       return null;
@@ -886,17 +1300,7 @@ class WebhookService {
    * Trigger call.accepted webhook (call accepted)
    */
   async triggerCallAccepted(instanceId, callData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'call.accepted',
         instanceId,
@@ -910,7 +1314,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering call.accepted webhook:', error);
       return null;
@@ -921,17 +1325,7 @@ class WebhookService {
    * Trigger call.rejected webhook (call rejected)
    */
   async triggerCallRejected(instanceId, callData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'call.rejected',
         instanceId,
@@ -941,12 +1335,13 @@ class WebhookService {
           from: callData.from,
           fromName: callData.fromName,
           isVideo: callData.isVideo,
-          reason: callData.reason || 'rejected',
+          reason: callData.reason || 'rejected', // auto when the gateway rejected it
+          replied: callData.replied || false, // the reject message was sent
           timestamp: callData.timestamp || new Date().toISOString()
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering call.rejected webhook:', error);
       return null;
@@ -957,17 +1352,7 @@ class WebhookService {
    * Trigger label.upsert webhook (label created/updated)
    */
   async triggerLabelUpsert(instanceId, labelData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'label.upsert',
         instanceId,
@@ -981,7 +1366,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering label.upsert webhook:', error);
       return null;
@@ -992,17 +1377,7 @@ class WebhookService {
    * Trigger label.deleted webhook (label deleted)
    */
   async triggerLabelDeleted(instanceId, labelData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'label.deleted',
         instanceId,
@@ -1014,7 +1389,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering label.deleted webhook:', error);
       return null;
@@ -1025,17 +1400,7 @@ class WebhookService {
    * Trigger label.chat.added webhook (label added to chat)
    */
   async triggerLabelChatAdded(instanceId, labelData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'label.chat.added',
         instanceId,
@@ -1049,7 +1414,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering label.chat.added webhook:', error);
       return null;
@@ -1060,17 +1425,7 @@ class WebhookService {
    * Trigger label.chat.deleted webhook (label removed from chat)
    */
   async triggerLabelChatDeleted(instanceId, labelData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'label.chat.deleted',
         instanceId,
@@ -1084,7 +1439,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering label.chat.deleted webhook:', error);
       return null;
@@ -1095,17 +1450,7 @@ class WebhookService {
    * Trigger event.response webhook (event RSVP response)
    */
   async triggerEventResponse(instanceId, eventData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'event.response',
         instanceId,
@@ -1116,11 +1461,13 @@ class WebhookService {
           chatId: eventData.chatId,
           respondent: eventData.respondent,
           response: eventData.response, // 'going', 'not_going', 'maybe'
+          previousResponse: eventData.previousResponse || null,
+          extraGuestCount: eventData.extraGuestCount || 0,
           timestamp: eventData.timestamp || new Date().toISOString()
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering event.response webhook:', error);
       return null;
@@ -1131,17 +1478,7 @@ class WebhookService {
    * Trigger event.response.failed webhook (event RSVP response failed)
    */
   async triggerEventResponseFailed(instanceId, eventData) {
-    const prisma = database.getInstance();
-
     try {
-      const instance = await prisma.instance.findUnique({
-        where: { id: instanceId }
-      });
-
-      if (!instance?.webhookUrl) {
-        return null;
-      }
-
       const payload = {
         event: 'event.response.failed',
         instanceId,
@@ -1156,7 +1493,7 @@ class WebhookService {
         }
       };
 
-      return await this.triggerWebhook(instance.webhookUrl, payload, instanceId);
+      return await this.dispatchEvent(instanceId, payload);
     } catch (error) {
       console.error('Error triggering event.response.failed webhook:', error);
       return null;
@@ -1,4 +1,4 @@
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, delay, fetchLatestBaileysVersion, Browsers } = require('baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, delay, fetchLatestBaileysVersion, Browsers, generateMessageIDV2 } = require('baileys');
 
 const { Boom } = require('@hapi/boom');
 const qrcode = require('qrcode');
@@ -7,6 +7,18 @@ const fs = require('fs').promises;
 const database = require('../config/database.js');
 const config = require('../config/config.js');
 const webhookService = require('./webhookService.js');
+const presenceService = require('./presenceService.js');
+const mediaService = require('./mediaService.js');
+const optOutService = require('./optOutService.js');
+const ruleService = require('./ruleService.js');
+const businessHoursService = require('./businessHoursService.js');
+const callService = require('./callService.js');
+const inboxService = require('./inboxService.js');
+const pollService = require('./pollService.js');
+const eventService = require('./eventService.js');
+const sendContextService = require('./sendContextService.js');
+const receiptService = require('./receiptService.js');
+const { usesCursor, buildPage, paginate } = require('../utils/cursor.js');
 
 const winston = require('winston');
 
@@ -113,6 +125,17 @@ class WhatsAppService {
                 },
             });
 
+            // Messages sent through the socket are registered under their ID before they
+            // are sent, options.context carries the correlationId and metadata of the API caller
+            const sendMessage = socket.sendMessage;
+            socket.sendMessage = (jid, content, options = {}) => {
+                const { context, ...sendOptions } = options;
+                sendOptions.messageId = sendOptions.messageId || generateMessageIDV2(socket.user?.id);
+                sendContextService.register(sendOptions.messageId, context);
+
+                return sendMessage(jid, content, sendOptions);
+            };
+
             // Handle connection updates
             socket.ev.on('connection.update', async (update) => {
                 await this.handleConnectionUpdate(instanceId, update, socket, saveCreds);
@@ -131,6 +154,11 @@ class WhatsAppService {
                 await this.handleMessageUpdate(instanceId, messages);
             });
 
+            // Handle receipts of group participants (delivered, read, played)
+            socket.ev.on('message-receipt.update', async (receipts) => {
+                await receiptService.recordGroupReceipts(instanceId, receipts);
+            });
+
             // Handle message revoke (delete)
             socket.ev.on('message.delete', async (messageDelete) => {
                 await this.handleMessageRevoke(instanceId, messageDelete);
@@ -310,6 +338,12 @@ class WhatsAppService {
                                 } else if (msg.message?.contactMessage) {
                                     type = 'contact';
                                     body = msg.message.contactMessage.displayName || '';
+                                } else if (pollService.getPollContent(msg.message)) {
+                                    type = 'poll';
+                                    body = pollService.getPollContent(msg.message).name || '';
+                                } else if (msg.message?.eventMessage) {
+                                    type = 'event';
+                                    body = msg.message.eventMessage.name || '';
                                 } else {
                                     // Skip unknown message types
                                     skippedCount++;
@@ -467,6 +501,12 @@ class WhatsAppService {
                                     }
                                 }
 
+                                if (type === 'poll') {
+                                    await pollService.recordPoll(instanceId, msg, socket);
+                                } else if (type === 'event') {
+                                    await eventService.recordEvent(instanceId, msg, socket);
+                                }
+
                                 savedCount++;
                                 
                                 // Log progress every 100 messages
@@ -713,6 +753,18 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Whether a message has content of its own, reactions, edits, revokes and other
+     * protocol messages only change another message
+     */
+    hasChatContent(message) {
+        const updates = ['protocolMessage', 'reactionMessage', 'editedMessage'];
+        const envelope = ['messageContextInfo', 'senderKeyDistributionMessage'];
+        const keys = Object.keys(message || {}).filter((key) => message[key]);
+
+        return !keys.some((key) => updates.includes(key)) && keys.some((key) => !envelope.includes(key));
+    }
+
     async handleIncomingMessages(instanceId, messageUpdate) {
         const prisma = database.getInstance();
 
@@ -723,6 +775,23 @@ class WhatsAppService {
                 // Skip status messages
                 if (msg.key.remoteJid === 'status@broadcast') continue;
 
+                // Poll votes update the poll results, they are not chat messages
+                if (msg.message?.pollUpdateMessage) {
+                    await pollService.handleVote(instanceId, msg, this.instances.get(instanceId)?.socket);
+                    continue;
+                }
+
+                // Event RSVPs and edits (e.g. cancellation) update the stored event
+                if (msg.message?.encEventResponseMessage) {
+                    await eventService.handleResponse(instanceId, msg, this.instances.get(instanceId)?.socket);
+                    continue;
+                }
+
+                if (eventService.getEditedEvent(msg.message)) {
+                    await eventService.handleEdit(instanceId, msg);
+                    continue;
+                }
+
                 // Extract message details
                 const messageId = msg.key.id;
                 const fromMe = msg.key.fromMe || false;
@@ -753,8 +822,26 @@ class WhatsAppService {
                     type = 'audio';
                 } else if (msg.message?.stickerMessage) {
                     type = 'sticker';
+                } else if (pollService.getPollContent(msg.message)) {
+                    type = 'poll';
+                    body = pollService.getPollContent(msg.message).name || '';
+                } else if (msg.message?.eventMessage) {
+                    type = 'event';
+                    body = msg.message.eventMessage.name || '';
                 }
 
+                // Download media to the configured storage so webhooks can link to it
+                const media = await mediaService.saveMessageMedia(instanceId, msg, this.instances.get(instanceId)?.socket);
+                if (media) {
+                    mediaUrl = media.mediaUrl;
+                }
+
+                // Messages sent by the gateway carry the context of the API caller
+                const sendContext = fromMe ? sendContextService.take(messageId) : null;
+                const correlation = sendContext
+                    ? { correlationId: sendContext.correlationId, metadata: sendContext.metadata ?? undefined }
+                    : {};
+
                 // Check if chat exists, create if not
                 let chat = await prisma.chat.findUnique({
                     where: {
@@ -765,6 +852,9 @@ class WhatsAppService {
                     },
                 });
 
+                // Last message before this one, a long gap starts a new conversation
+                const previousMessageAt = chat ? chat.lastMessageAt : null;
+
                 if (!chat) {
                     const isGroup = chatId.endsWith('@g.us');
                     chat = await prisma.chat.create({
@@ -799,6 +889,8 @@ class WhatsAppService {
                         body,
                         type,
                         mediaUrl,
+                        ...media,
+                        ...correlation,
                         timestamp,
                         status: fromMe ? 'sent' : 'received',
                     },
@@ -812,11 +904,41 @@ class WhatsAppService {
                         body,
                         type,
                         mediaUrl,
+                        ...media,
+                        ...correlation,
                         timestamp,
                         status: fromMe ? 'sent' : 'received',
                     },
                 });
 
+                // Polls and events are stored with their secret to decrypt the votes and responses
+                if (type === 'poll') {
+                    await pollService.recordPoll(instanceId, msg, this.instances.get(instanceId)?.socket);
+                } else if (type === 'event') {
+                    await eventService.recordEvent(instanceId, msg, this.instances.get(instanceId)?.socket);
+                }
+
+                // SLA timer and reopening of resolved chats
+                await inboxService.recordMessage(instanceId, chat, { fromMe, timestamp, automated: Boolean(sendContext?.automated) });
+
+                // Outbound messages, sent by the gateway (api) or from the phone or another linked device
+                if (fromMe && this.hasChatContent(msg.message)) {
+                    await webhookService.triggerMessageSent(instanceId, {
+                        messageId,
+                        chatId,
+                        to: chatId,
+                        body,
+                        type,
+                        mediaUrl,
+                        mimeType: media?.mediaMimeType || null,
+                        fileName: media?.mediaFileName || null,
+                        timestamp,
+                        source: sendContext ? 'api' : 'device',
+                        correlationId: sendContext?.correlationId || null,
+                        metadata: sendContext?.metadata || null,
+                    });
+                }
+
                 // Trigger webhook for incoming messages (not from me)
                 if (!fromMe) {
                     await webhookService.triggerMessageReceived(instanceId, {
@@ -827,8 +949,45 @@ class WhatsAppService {
                         body,
                         type,
                         mediaUrl,
+                        mimeType: media?.mediaMimeType || null,
+                        fileName: media?.mediaFileName || null,
                         timestamp,
                     });
+
+                    // STOP/BERHENTI-style keywords unsubscribe the sender
+                    let optedOut = false;
+                    if (type === 'text') {
+                        optedOut = await optOutService.handleIncomingMessage(instanceId, {
+                            chatId,
+                            body,
+                            socket: this.instances.get(instanceId)?.socket,
+                        });
+                    }
+
+                    // Auto-replies only answer new messages, not synced history
+                    const socket = this.instances.get(instanceId)?.socket;
+                    if (!optedOut && messageUpdate.type === 'notify' && socket) {
+                        await businessHoursService.handleIncomingMessage(instanceId, {
+                            chatId,
+                            from,
+                            pushName,
+                            timestamp,
+                            previousMessageAt,
+                            socket,
+                        });
+
+                        // Not awaited so that slow rule actions do not hold up the next messages
+                        ruleService.handleIncomingMessage(instanceId, {
+                            raw: msg,
+                            messageId,
+                            chatId,
+                            from,
+                            pushName,
+                            body,
+                            type,
+                            timestamp,
+                        }, socket);
+                    }
                 }
 
                 console.log(`New message received in instance ${instanceId}: ${body.substring(0, 50)}...`);
@@ -852,36 +1011,71 @@ class WhatsAppService {
                     const ack = update.update.status;
                     let status = 'sent';
 
+                    // WebMessageInfo.Status: ERROR 0, PENDING 1, SERVER_ACK 2, DELIVERY_ACK 3, READ 4, PLAYED 5
                     switch (ack) {
                         case 0:
-                            status = 'pending';
+                            status = 'failed';
                             break;
                         case 1:
-                            status = 'sent';
+                            status = 'pending';
                             break;
                         case 2:
-                            status = 'delivered';
+                            status = 'sent';
                             break;
                         case 3:
-                            status = 'read';
+                            status = 'delivered';
                             break;
                         case 4:
+                            status = 'read';
+                            break;
+                        case 5:
                             status = 'played';
                             break;
                     }
 
-                    // Update in database
+                    // Update in database, ACKs can arrive out of order so the status only moves forward
                     await prisma.message.updateMany({
-                        where: { messageId },
+                        where: {
+                            messageId,
+                            OR: [{ status: null }, { status: { in: receiptService.getLowerStatuses(status) } }],
+                        },
                         data: { status },
                     });
 
+                    // Every transition is kept as a receipt
+                    await receiptService.recordAck(instanceId, update.key, ack);
+
+                    // Delivery state of messages sent by the outbound queue (bulk sends, campaigns)
+                    if (status === 'delivered') {
+                        await prisma.outboundMessage.updateMany({
+                            where: { instanceId, messageId, status: 'sent' },
+                            data: { status: 'delivered', deliveredAt: new Date() },
+                        });
+                    } else if (status === 'read' || status === 'played') {
+                        await prisma.outboundMessage.updateMany({
+                            where: { instanceId, messageId, status: { in: ['sent', 'delivered'] } },
+                            data: { status: 'read', readAt: new Date() },
+                        });
+                    } else if (status === 'failed') {
+                        // The job already counted the message as sent, its counters are kept
+                        await prisma.outboundMessage.updateMany({
+                            where: { instanceId, messageId, status: 'sent' },
+                            data: { status: 'failed', error: 'WhatsApp rejected the message (error ACK)' },
+                        });
+                    }
+
+                    // correlationId of messages sent through the API, to reconcile the ACK
+                    const stored = update.key.fromMe
+                        ? await prisma.message.findUnique({ where: { messageId }, select: { correlationId: true } })
+                        : null;
+
                     // Trigger message.ack webhook
                     await webhookService.triggerMessageAck(instanceId, {
                         messageId,
                         chatId,
                         from,
                         ack,
+                        correlationId: stored?.correlationId || null,
                         timestamp: new Date().toISOString(),
                     });
 
@@ -1107,8 +1301,22 @@ class WhatsAppService {
     }
 
     async handlePresenceUpdate(instanceId, presenceUpdate) {
-        // Handle presence updates if needed
-        console.log(`Presence update for instance ${instanceId}:`, presenceUpdate);
+        try {
+            // One entry per participant (a single one for private chats)
+            const entries = await presenceService.recordUpdate(instanceId, presenceUpdate);
+
+            for (const entry of entries) {
+                await webhookService.triggerPresenceUpdate(instanceId, {
+                    jid: entry.jid,
+                    chatId: entry.chatId,
+                    presence: entry.presence,
+                    lastSeen: entry.lastSeen?.toISOString() || null,
+                    timestamp: entry.updatedAt.toISOString(),
+                });
+            }
+        } catch (error) {
+            console.error('Error handling presence update:', error);
+        }
     }
 
     async saveSessionToDatabase(instanceId) {
@@ -1170,6 +1378,10 @@ class WhatsAppService {
         const { socket } = instance;
         const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
 
+        await optOutService.assertCanSend(instanceId, jid);
+
+        const sendOptions = { context: options.context };
+
         try {
             let sentMessage;
 
@@ -1177,27 +1389,27 @@ class WhatsAppService {
                 sentMessage = await socket.sendMessage(jid, {
                     image: { url: options.media },
                     caption: message,
-                });
+                }, sendOptions);
             } else if (options.type === 'document' && options.media) {
                 sentMessage = await socket.sendMessage(jid, {
                     document: { url: options.media },
                     fileName: options.fileName || 'document',
                     mimetype: options.mimetype || 'application/octet-stream',
-                });
+                }, sendOptions);
             } else if (options.type === 'video' && options.media) {
                 sentMessage = await socket.sendMessage(jid, {
                     video: { url: options.media },
                     caption: message,
-                });
+                }, sendOptions);
             } else if (options.type === 'audio' && options.media) {
                 sentMessage = await socket.sendMessage(jid, {
                     audio: { url: options.media },
                     ptt: options.ptt || false,
-                });
+                }, sendOptions);
             } else {
                 sentMessage = await socket.sendMessage(jid, {
                     text: message,
-                });
+                }, sendOptions);
             }
 
             return sentMessage;
@@ -1277,6 +1489,8 @@ class WhatsAppService {
         this.instances.delete(instanceId);
         this.reconnectAttempts.delete(instanceId);
         this.appStateReady.delete(instanceId);
+        presenceService.clear(instanceId);
+        await mediaService.deleteInstanceMedia(instanceId);
 
         // Delete session files
         const sessionPath = path.join(config.whatsapp.sessionPath, instanceId);
@@ -1351,9 +1565,25 @@ class WhatsAppService {
             sortBy = 'lastMessageAt',
             sortOrder = 'desc',
             limit,
-            offset = 0
+            offset = 0,
+            status,
+            assigneeId,
+            tag,
+            awaitingReply,
+            cursor,
+            since,
+            updatedSince
         } = options;
 
+        // Inbox filters only match chats that are in the database
+        const inboxWhere = inboxService.buildWhere({ status, assigneeId, tag, awaitingReply });
+        const filtered = Object.keys(inboxWhere).length > 0;
+
+        // Cursor pages are read from the database in (lastMessageAt, id) order,
+        // requests without cursor, since or updatedSince keep the in-memory pagination
+        const cursorMode = usesCursor({ cursor, since, updatedSince });
+        const page = cursorMode ? buildPage({ cursor, since, updatedSince }, { field: 'lastMessageAt', nullable: true }) : null;
+
         const { socket } = instance;
         const prisma = database.getInstance();
 
@@ -1480,11 +1710,46 @@ class WhatsAppService {
                 });
             }
 
+            if (cursorMode) {
+                const pageLimit = Math.min(parseInt(limit) || 100, 500);
+                const rows = await prisma.chat.findMany({
+                    where: { instanceId, ...inboxWhere, ...page.where },
+                    orderBy: page.orderBy,
+                    take: pageLimit + 1,
+                    include: {
+                        _count: {
+                            select: { messages: true },
+                        },
+                    },
+                });
+
+                const result = paginate(rows, pageLimit, page.sort);
+
+                return {
+                    data: result.data.map((chat) => ({
+                        id: chat.chatId,
+                        name: chat.name,
+                        isGroup: chat.isGroup,
+                        archived: chat.archived,
+                        unreadCount: chat.unreadCount,
+                        lastMessage: chat.lastMessage,
+                        lastMessageAt: chat.lastMessageAt,
+                        messageCount: chat._count.messages,
+                        status: chat.status,
+                        assigneeId: chat.assigneeId,
+                        tags: chat.tags || [],
+                        updatedAt: chat.updatedAt,
+                    })),
+                    count: result.data.length,
+                    pagination: result.pagination,
+                };
+            }
+
             // Note: We'll get all chats from database below, so we don't need to filter here
 
             // Get ALL chats from database (this is the complete list)
             const allDbChats = await prisma.chat.findMany({
-                where: { instanceId },
+                where: { instanceId, ...inboxWhere },
                 orderBy: { lastMessageAt: 'desc' },
                 include: {
                     _count: {
@@ -1505,6 +1770,9 @@ class WhatsAppService {
                     lastMessage: chat.lastMessage,
                     lastMessageAt: chat.lastMessageAt,
                     messageCount: chat._count.messages,
+                    status: chat.status,
+                    assigneeId: chat.assigneeId,
+                    tags: chat.tags || [],
                 });
             });
 
@@ -1525,6 +1793,9 @@ class WhatsAppService {
                         lastMessage: storeChat.lastMessage || dbChat.lastMessage,
                         lastMessageAt: storeChat.lastMessageAt || dbChat.lastMessageAt,
                         messageCount: dbChat.messageCount,
+                        status: dbChat.status,
+                        assigneeId: dbChat.assigneeId,
+                        tags: dbChat.tags,
                     };
                 }
                 
@@ -1534,7 +1805,7 @@ class WhatsAppService {
 
             // Also add any chats from store that are not in database yet
             chatMap.forEach((storeChat, chatId) => {
-                if (!dbChatMap.has(chatId)) {
+                if (!dbChatMap.has(chatId) && !filtered) {
                     // Find message count from database for this chat
                     const dbChat = allDbChats.find(c => c.chatId === chatId);
                     allChats.push({
@@ -1546,6 +1817,9 @@ class WhatsAppService {
                         lastMessage: storeChat.lastMessage,
                         lastMessageAt: storeChat.lastMessageAt,
                         messageCount: dbChat?._count?.messages || 0,
+                        status: 'open',
+                        assigneeId: null,
+                        tags: [],
                     });
                 }
             });
@@ -1790,8 +2064,18 @@ class WhatsAppService {
         }
     }
 
-    async getMessagesInChat(instanceId, chatId, limit = 50, offset = 0) {
+    /**
+     * Messages of a chat, a page of the newest messages in chronological order.
+     * Cursors page back to older messages, updatedSince pages forward through changes.
+     * @param {object} options - { limit, cursor, since, updatedSince, offset (without cursor) }
+     * @returns {Promise<object>} { data, pagination: { limit, nextCursor, hasMore } }, pagination { limit, offset } without cursor
+     */
+    async getMessagesInChat(instanceId, chatId, options = {}) {
         const prisma = database.getInstance();
+        const { offset = 0, cursor, since, updatedSince } = options;
+        const cursorMode = usesCursor({ cursor, since, updatedSince });
+        const limit = cursorMode ? Math.min(options.limit || 50, 500) : options.limit || 50;
+        const page = buildPage({ cursor, since, updatedSince });
 
         try {
             // Normalize chatId to ensure proper JID format
@@ -1813,27 +2097,33 @@ class WhatsAppService {
             });
 
             if (!chat) {
-                // Chat not found in database, return empty array
+                // Chat not found in database, return an empty page
                 console.warn(`Chat ${normalizedChatId} not found in database for instance ${instanceId}`);
-                return [];
+                return cursorMode ? paginate([], limit, page.sort) : { data: [], pagination: { limit, offset } };
             }
 
             // Get messages using chat.id (foreign key) and also match by 'to' field as fallback
-            const messages = await prisma.message.findMany({
+            const rows = await prisma.message.findMany({
                 where: {
                     instanceId,
-                    OR: [
-                        { chatId: chat.id }, // Use foreign key (preferred)
-                        { 
-                            to: {
-                                in: [normalizedChatId, chatId] // Also match by 'to' field
-                            }
+                    ...page.where,
+                    AND: [
+                        {
+                            OR: [
+                                { chatId: chat.id }, // Use foreign key (preferred)
+                                { 
+                                    to: {
+                                        in: [normalizedChatId, chatId] // Also match by 'to' field
+                                    }
+                                },
+                            ],
                         },
+                        ...(page.where.AND || []),
                     ],
                 },
-                orderBy: { timestamp: 'desc' },
-                take: parseInt(limit),
-                skip: parseInt(offset),
+                orderBy: page.orderBy,
+                take: cursorMode ? limit + 1 : limit,
+                skip: cursorMode ? 0 : offset,
                 include: {
                     chat: {
                         select: {
@@ -1846,11 +2136,13 @@ class WhatsAppService {
                 },
             });
 
-            // Reverse to return in chronological order (oldest first)
-            const sortedMessages = messages.reverse();
+            const result = cursorMode ? paginate(rows, limit, page.sort) : { data: rows, pagination: { limit, offset } };
+
+            // Newest first pages are returned in chronological order (oldest first)
+            const messages = page.sort.order === 'desc' ? result.data.reverse() : result.data;
 
             // Format messages for response
-            return sortedMessages.map((msg) => ({
+            result.data = messages.map((msg) => ({
                 id: msg.id,
                 messageId: msg.messageId,
                 fromMe: msg.fromMe,
@@ -1862,6 +2154,7 @@ class WhatsAppService {
                 timestamp: msg.timestamp,
                 status: msg.status,
                 createdAt: msg.createdAt,
+                updatedAt: msg.updatedAt,
                 chat: msg.chat ? {
                     id: msg.chat.chatId, // Return chatId (JID) as id for API response
                     chatId: msg.chat.chatId,
@@ -1869,6 +2162,8 @@ class WhatsAppService {
                     isGroup: msg.chat.isGroup,
                 } : null,
             }));
+
+            return result;
         } catch (error) {
             console.error('Error getting messages in chat:', error);
             throw error;
@@ -2556,10 +2851,21 @@ class WhatsAppService {
                     timestamp: new Date().toISOString(),
                 };
 
+                // Log the call, instances that reject calls reject the offer right away
+                const { autoRejected, replied } = await callService.handleCall(
+                    instanceId,
+                    call,
+                    this.instances.get(instanceId)?.socket
+                );
+
                 if (call.status === 'offer') {
                     // Incoming call
                     await webhookService.triggerCallReceived(instanceId, callData);
                     console.log(`Call received from ${call.from}`);
+
+                    if (autoRejected) {
+                        await webhookService.triggerCallRejected(instanceId, { ...callData, reason: 'auto', replied });
+                    }
                 } else if (call.status === 'accept') {
                     // Call accepted
                     await webhookService.triggerCallAccepted(instanceId, callData);
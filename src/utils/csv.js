@@ -0,0 +1,90 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line breaks).
+ * The first row is the header.
+ * @param {string} text - CSV text
+ * @returns {object[]} One object per row, keyed by the trimmed header names
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = String(text).replace(/^\uFEFF/, ''); // strip the BOM of Excel exports
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter((record) => record.some((value) => value.trim() !== ''));
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map((name) => name.trim());
+
+    return records.map((record) =>
+        Object.fromEntries(columns.map((column, index) => [column, (record[index] ?? '').trim()])),
+    );
+}
+
+/**
+ * Escape a CSV field, quoting it when it contains a separator, quote or line break
+ */
+function escapeCsv(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {object[]} rows - Rows keyed by column name
+ * @param {string[]} columns - Column order, also written as the header
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(escapeCsv).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeCsv(row[column])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, escapeCsv };
@@ -0,0 +1,148 @@
+/**
+ * Encode a (timestamp, id) position as an opaque cursor
+ * @param {Date|string|null} timestamp - Sort timestamp of the last row of a page
+ * @param {string} id - ID of the last row, breaks ties between equal timestamps
+ * @param {string} sort - Sort order the cursor belongs to, e.g. timestamp:desc
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(timestamp, id, sort) {
+    const position = [timestamp ? new Date(timestamp).toISOString() : null, id];
+    if (sort) {
+        position.push(sort);
+    }
+
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function invalidCursor(message = 'Invalid cursor') {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Decode a cursor, throws with error.status 400 when it is not a valid cursor
+ * or belongs to another sort order
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {string} sort - Expected sort order
+ * @returns {object} { timestamp (null for rows without one), id }
+ */
+function decodeCursor(cursor, sort) {
+    let position;
+
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw invalidCursor();
+    }
+
+    const [timestamp, id, cursorSort] = Array.isArray(position) ? position : [];
+    const date = timestamp === null ? null : new Date(timestamp);
+
+    if (typeof id !== 'string' || (date && isNaN(date.getTime())) || timestamp === undefined) {
+        throw invalidCursor();
+    }
+
+    if (sort && cursorSort && cursorSort !== sort) {
+        throw invalidCursor('Cursor belongs to another sort order, start again without cursor');
+    }
+
+    return { timestamp: date, id };
+}
+
+/**
+ * Prisma filter for the rows after a cursor, in (field, id) order.
+ * Nullable fields sort their nulls like MySQL: first ascending, last descending.
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {object} sort - { field, order (asc or desc), nullable }
+ * @returns {object} Prisma where fragment
+ */
+function cursorWhere(cursor, { field = 'timestamp', order = 'desc', nullable = false } = {}) {
+    const { timestamp, id } = decodeCursor(cursor, `${field}:${order}`);
+    const operator = order === 'asc' ? 'gt' : 'lt';
+
+    if (timestamp === null) {
+        return order === 'asc'
+            ? { OR: [{ [field]: null, id: { gt: id } }, { [field]: { not: null } }] }
+            : { [field]: null, id: { lt: id } };
+    }
+
+    const after = [
+        { [field]: { [operator]: timestamp } },
+        { [field]: timestamp, id: { [operator]: id } },
+    ];
+
+    if (nullable && order === 'desc') {
+        after.push({ [field]: null });
+    }
+
+    return { OR: after };
+}
+
+/**
+ * Whether a list request uses cursor paging. An empty cursor starts at the first page,
+ * requests without cursor, since or updatedSince keep the offset paging.
+ * @param {object} query - { cursor, since, updatedSince }
+ * @returns {boolean}
+ */
+function usesCursor({ cursor, since, updatedSince } = {}) {
+    return cursor !== undefined || Boolean(since || updatedSince);
+}
+
+/**
+ * Filter, order and sort of a cursor-paged list. updatedSince switches to
+ * (updatedAt, id) ascending, so that a client can sync every change in order.
+ * @param {object} query - { cursor, since, updatedSince }
+ * @param {object} options - { field: timestamp field of the list, nullable }
+ * @returns {object} { where, orderBy, sort }
+ */
+function buildPage({ cursor, since, updatedSince } = {}, { field = 'timestamp', nullable = false } = {}) {
+    const where = {};
+    const sort = updatedSince
+        ? { field: 'updatedAt', order: 'asc', nullable: false }
+        : { field, order: 'desc', nullable };
+
+    for (const [name, value, target] of [['since', since, field], ['updatedSince', updatedSince, 'updatedAt']]) {
+        if (!value) continue;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw invalidCursor(`${name} must be a valid date`);
+        }
+        where[target] = { gte: date };
+    }
+
+    if (cursor) {
+        where.AND = [cursorWhere(cursor, sort)];
+    }
+
+    return {
+        where,
+        orderBy: [{ [sort.field]: sort.order }, { id: sort.order }],
+        sort,
+    };
+}
+
+/**
+ * Cut a page fetched with take: limit + 1 and build its pagination envelope
+ * @param {object[]} rows - Up to limit + 1 rows
+ * @param {number} limit - Page size
+ * @param {object} sort - { field, order } the rows are sorted by
+ * @returns {object} { data, pagination: { limit, nextCursor, hasMore } }
+ */
+function paginate(rows, limit, { field = 'timestamp', order = 'desc' } = {}) {
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    const last = data[data.length - 1];
+
+    return {
+        data,
+        pagination: {
+            limit,
+            nextCursor: hasMore ? encodeCursor(last[field], last.id, `${field}:${order}`) : null,
+            hasMore,
+        },
+    };
+}
+
+module.exports = { encodeCursor, decodeCursor, cursorWhere, usesCursor, buildPage, paginate };
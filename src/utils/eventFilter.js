@@ -0,0 +1,18 @@
+/**
+ * Check an event name against an event filter.
+ * An empty filter or "*" matches everything, "message.*" matches every message event.
+ * @param {string[]} events - Event filter
+ * @param {string} event - Event name, e.g. message.received
+ * @returns {boolean}
+ */
+function matchesEvent(events, event) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return true;
+    }
+
+    return events.some(
+        (filter) => filter === '*' || filter === event || (filter.endsWith('.*') && event.startsWith(filter.slice(0, -1))),
+    );
+}
+
+module.exports = { matchesEvent };
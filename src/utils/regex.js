@@ -0,0 +1,177 @@
+const { Worker } = require('worker_threads');
+
+// Runs RegExp.exec off the main thread, so that a slow pattern can be stopped
+const WORKER_SOURCE = `
+const { parentPort } = require('worker_threads');
+
+parentPort.on('message', ({ id, pattern, flags, input }) => {
+    try {
+        const match = new RegExp(pattern, flags).exec(input);
+        parentPort.postMessage({
+            id,
+            match: match && { values: [...match], index: match.index, groups: match.groups ? { ...match.groups } : null },
+        });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
+`;
+
+let worker = null;
+let queue = Promise.resolve();
+let nextId = 0;
+
+/**
+ * Quantifier at a position of a pattern
+ * @returns {object|null} { length, min, max }, null when there is none
+ */
+function readQuantifier(pattern, index) {
+    const char = pattern[index];
+
+    if (char === '*' || char === '+' || char === '?') {
+        return { length: 1, min: char === '+' ? 1 : 0, max: char === '?' ? 1 : Infinity };
+    }
+
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!match) {
+        return null;
+    }
+
+    const min = parseInt(match[1]);
+    const max = match[2] ? (match[3] === '' ? Infinity : parseInt(match[3])) : min;
+    return { length: match[0].length, min, max };
+}
+
+/**
+ * Find repetitions that can backtrack catastrophically:
+ * - a repeated group that contains a repeated part, like (a+)+ (star height > 1)
+ * - a repeated group with alternatives, which can overlap, like (a|aa)*
+ * - the same atom repeated without bound twice in a row, like \w*\w*
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Description of the first unsafe part, null when the pattern is safe
+ */
+function findUnsafeRepetition(pattern) {
+    const stack = [{ repeats: false, alternation: false, previous: null, start: 0 }];
+
+    for (let index = 0; index < pattern.length; index++) {
+        const start = index;
+        const char = pattern[index];
+        let group = null;
+
+        if (char === '(') {
+            stack.push({ repeats: false, alternation: false, previous: null, start });
+
+            // Skip the group prefix (?:, (?=, (?!, (?<=, (?<!, (?<name>
+            if (pattern[index + 1] === '?') {
+                const prefix = /^\?(<[=!]|<[^>]*>|[:=!])/.exec(pattern.slice(index + 1));
+                index += prefix ? prefix[0].length : 1;
+            }
+            continue;
+        }
+
+        if (char === '|') {
+            stack[stack.length - 1].alternation = true;
+            stack[stack.length - 1].previous = null;
+            continue;
+        }
+
+        if (char === ')') {
+            if (stack.length === 1) continue;
+            group = stack.pop();
+        } else if (char === '\\') {
+            index++;
+        } else if (char === '[') {
+            // Character classes are a single atom
+            for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+                if (pattern[index] === '\\') index++;
+            }
+        }
+
+        const atom = pattern.slice(group ? group.start : start, index + 1);
+        const quantifier = readQuantifier(pattern, index + 1);
+        const parent = stack[stack.length - 1];
+
+        if (group && quantifier && quantifier.max > 1) {
+            if (group.repeats) return `nested repetition in ${atom}`;
+            if (group.alternation) return `repeated alternation in ${atom}`;
+        }
+
+        const unbounded = Boolean(quantifier && quantifier.max === Infinity);
+        if (unbounded && parent.previous === atom) {
+            return `adjacent repetition of ${atom}`;
+        }
+
+        parent.previous = unbounded ? atom : null;
+        parent.repeats ||= Boolean(group?.repeats) || Boolean(quantifier && quantifier.max > quantifier.min);
+
+        if (quantifier) {
+            index += quantifier.length;
+
+            // Lazy quantifier
+            if (pattern[index + 1] === '?') index++;
+        }
+    }
+
+    return null;
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(WORKER_SOURCE, { eval: true });
+        worker.unref();
+        worker.on('error', (error) => {
+            console.error('Regex worker failed:', error);
+            worker = null;
+        });
+    }
+
+    return worker;
+}
+
+/**
+ * RegExp.exec in a worker thread, stopped after a timeout. Calls run one at a time.
+ * @param {string} pattern - Regular expression source
+ * @param {string} flags - Regular expression flags
+ * @param {string} input - Text to match
+ * @param {number} timeout - ms before the match is stopped, rejects with error.code REGEX_TIMEOUT
+ * @returns {Promise<object|null>} { values, index, groups } like the exec result, null without a match
+ */
+function execWithTimeout(pattern, flags, input, timeout) {
+    const run = () => new Promise((resolve, reject) => {
+        const current = getWorker();
+        const id = ++nextId;
+
+        const onMessage = (message) => {
+            if (message.id !== id) return;
+
+            clearTimeout(timer);
+            current.off('message', onMessage);
+
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(message.match);
+            }
+        };
+
+        // A match that runs too long is stopped with its worker, the next call starts a new one
+        const timer = setTimeout(() => {
+            current.off('message', onMessage);
+            if (worker === current) worker = null;
+            current.terminate();
+
+            const error = new Error(`Regular expression timed out after ${timeout} ms`);
+            error.code = 'REGEX_TIMEOUT';
+            reject(error);
+        }, timeout);
+
+        current.on('message', onMessage);
+        current.postMessage({ id, pattern, flags, input });
+    });
+
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+}
+
+module.exports = { readQuantifier, findUnsafeRepetition, execWithTimeout };
@@ -0,0 +1,75 @@
+/**
+ * Replace {{name}} placeholders with variables, missing variables become empty
+ * @param {string} text - Template text
+ * @param {object} variables - Placeholder values
+ * @returns {string}
+ */
+function renderPlaceholders(text, variables = {}) {
+    return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Resolve spintax: every {a|b|c} group is replaced by one random option,
+ * nested groups are resolved from the inside out
+ * @param {string} text - Text with spintax
+ * @returns {string}
+ */
+function renderSpintax(text) {
+    const group = /\{([^{}]*\|[^{}]*)\}/;
+    let result = text;
+
+    while (group.test(result)) {
+        result = result.replace(group, (match, options) => {
+            const choices = options.split('|');
+            return choices[Math.floor(Math.random() * choices.length)];
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Render placeholders and spintax in every string of a value (strings, arrays, objects)
+ * @param {*} value - Template value, e.g. a send payload
+ * @param {object} variables - Placeholder values
+ * @returns {*} Rendered copy of the value
+ */
+function renderTemplate(value, variables = {}) {
+    if (typeof value === 'string') {
+        return value.includes('{') ? renderSpintax(renderPlaceholders(value, variables)) : value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => renderTemplate(item, variables));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, variables)]));
+    }
+
+    return value;
+}
+
+/**
+ * Collect the {{name}} placeholders used in every string of a value
+ * @param {*} value - Template value
+ * @returns {string[]} Placeholder names, without duplicates
+ */
+function findPlaceholders(value, names = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(/\{\{\s*([\w.-]+)\s*\}\}/g)) {
+            names.add(match[1]);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item) => findPlaceholders(item, names));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach((item) => findPlaceholders(item, names));
+    }
+
+    return [...names];
+}
+
+module.exports = { renderTemplate, renderPlaceholders, renderSpintax, findPlaceholders };
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findUnsafeRepetition, execWithTimeout } = require('../../src/utils/regex');
+
+test('accepts patterns without overlapping repetition', () => {
+    const patterns = [
+        'order\\s+(\\d+)',
+        '^(hi|hello)\\b',
+        '(\\d{3})+',
+        '(?<id>\\d+)',
+        '(?:ab)*c',
+        '\\w+\\s*\\w+',
+        '[a|b]*c',
+        '\\(a+\\)+',
+        '(a|b)?c',
+        'a{2,}b{1,3}',
+    ];
+
+    for (const pattern of patterns) {
+        assert.strictEqual(findUnsafeRepetition(pattern), null, pattern);
+    }
+});
+
+test('rejects nested repetition', () => {
+    for (const pattern of ['(a+)+$', '(a*)*b', '((ab)*c)+', '(?:\\d+,?){2,}', '([a-z]+\\s?)*x']) {
+        assert.match(findUnsafeRepetition(pattern), /^nested repetition/, pattern);
+    }
+});
+
+test('rejects repeated alternation', () => {
+    for (const pattern of ['(a|a)*b', '(a|aa)*c', '(?:cat|dog)+', '(x|y){2,5}']) {
+        assert.match(findUnsafeRepetition(pattern), /^repeated alternation/, pattern);
+    }
+});
+
+test('rejects adjacent unbounded repetition of the same atom', () => {
+    for (const pattern of ['\\w*\\w*\\w*x', 'a+a*b', '[0-9]+[0-9]+$', '(ab)*(ab)+c']) {
+        assert.match(findUnsafeRepetition(pattern), /^adjacent repetition/, pattern);
+    }
+});
+
+test('returns the match with groups', async () => {
+    const match = await execWithTimeout('order\\s+(?<id>\\d+)', 'i', 'ORDER 42 please', 1000);
+
+    assert.deepStrictEqual(match.values, ['ORDER 42', '42']);
+    assert.deepStrictEqual(match.groups, { id: '42' });
+    assert.strictEqual(await execWithTimeout('^bye', '', 'hello', 1000), null);
+});
+
+test('stops a slow match and keeps matching afterwards', async () => {
+    const started = Date.now();
+
+    await assert.rejects(
+        execWithTimeout('(a|a)*b', '', 'a'.repeat(40), 100),
+        { code: 'REGEX_TIMEOUT' }
+    );
+    assert.ok(Date.now() - started < 2000);
+
+    const match = await execWithTimeout('(\\d+)', '', 'id 7', 1000);
+    assert.deepStrictEqual(match.values, ['7', '7']);
+});